@@ -0,0 +1,53 @@
+// Line-based text diff (longest common subsequence) for comparing blog revisions
+
+// Above this many line pairs the LCS table gets too big - report a full replacement instead
+const MAX_CELLS = 4000000;
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Returns [{ type: "equal" | "removed" | "added", lines: [...] }] with consecutive lines grouped
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const changes = [];
+
+  const push = (type, line) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else changes.push({ type, lines: [line] });
+  };
+
+  if (a.length * b.length > MAX_CELLS) {
+    a.forEach((line) => push("removed", line));
+    b.forEach((line) => push("added", line));
+    return changes;
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return changes;
+};
+
+module.exports = { diffLines };
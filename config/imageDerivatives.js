@@ -0,0 +1,123 @@
+const path = require("path");
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+const { getDriverByName, deleteFile } = require("./storage");
+
+// Standard sizes made for every uploaded image (never enlarged)
+// cover: cropped to exactly width x height; inside: scaled to fit, aspect ratio kept
+const DERIVATIVE_SIZES = {
+  thumbnail: { width: 320, height: 320, fit: "cover" },
+  card: { width: 800, height: 500, fit: "cover" },
+  hero: { width: 1920, fit: "inside" }
+};
+
+// Each size is encoded in every format here
+const DERIVATIVE_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 4 }
+};
+
+// Raster images sharp can resize - SVGs scale on their own, so they are left alone
+const PROCESSABLE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/avif", "image/tiff"];
+
+const isProcessableImage = (mimeType) => PROCESSABLE_TYPES.includes(mimeType);
+
+// Dimensions a size ends up with for an image of width x height (same rules as sharp's withoutEnlargement)
+const fitDimensions = (width, height, { width: maxWidth, height: maxHeight = Infinity, fit }) => {
+  const scales = [maxWidth / width, maxHeight / height];
+  const scale = Math.min(1, fit === "cover" ? Math.max(...scales) : Math.min(...scales));
+  return {
+    width: Math.min(maxWidth, Math.round(width * scale)),
+    height: Math.min(maxHeight, Math.round(height * scale))
+  };
+};
+
+// Width, height (after EXIF rotation) and a blurhash placeholder of an image
+const describeImage = async (buffer) => {
+  const { autoOrient } = await sharp(buffer).metadata();
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    width: autoOrient.width,
+    height: autoOrient.height,
+    blurhash: encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3)
+  };
+};
+
+// Whether a driver makes derivatives on delivery (Cloudinary) - no files to encode, so it is cheap enough for a request
+const transformsOnDelivery = (driverName) => typeof getDriverByName(driverName).transformUrl === "function";
+
+// Make every size/format of a stored image - resolves to [{ name, format, url, key, width, height, size }]
+// Drivers that can transform on delivery (Cloudinary) get URLs only; the others store real files next to the original
+// If one fails, the files already stored are deleted before the error is thrown
+const generateDerivatives = async (buffer, { driverName, url, key, folder, width, height }) => {
+  const driver = getDriverByName(driverName);
+  const baseName = path.basename(key).replace(/\.[^/.]+$/, "");
+  const derivatives = [];
+
+  try {
+    for (const [name, size] of Object.entries(DERIVATIVE_SIZES)) {
+      for (const [format, encoding] of Object.entries(DERIVATIVE_FORMATS)) {
+        if (typeof driver.transformUrl === "function") {
+          derivatives.push({
+            name,
+            format,
+            url: driver.transformUrl(url, { ...size, format }),
+            ...fitDimensions(width, height, size)
+          });
+          continue;
+        }
+
+        const { data, info } = await sharp(buffer)
+          .rotate()
+          .resize(size.width, size.height, { fit: size.fit, withoutEnlargement: true })
+          .toFormat(format, encoding)
+          .toBuffer({ resolveWithObject: true });
+        const stored = await driver.put(data, {
+          folder,
+          fileName: `${baseName}-${name}.${format}`,
+          contentType: `image/${format}`
+        });
+        derivatives.push({ name, format, url: stored.url, key: stored.key, width: info.width, height: info.height, size: stored.size });
+      }
+    }
+  } catch (err) {
+    for (const derivative of derivatives.filter(({ key: storedKey }) => storedKey)) {
+      await deleteFile(derivative.url);
+    }
+    throw err;
+  }
+
+  return derivatives;
+};
+
+// Asset fields for a stored image: { width, height, blurhash, derivatives, derivativesGeneratedAt }
+// Images sharp cannot read get no derivatives (and are not retried); storage errors are thrown
+const processImage = async (buffer, stored) => {
+  let description;
+  try {
+    description = await describeImage(buffer);
+  } catch (err) {
+    console.error(`Cannot read image ${stored.url}:`, err.message);
+    return { derivatives: [], derivativesGeneratedAt: new Date() };
+  }
+
+  const derivatives = await generateDerivatives(buffer, { ...stored, ...description });
+  return { ...description, derivatives, derivativesGeneratedAt: new Date() };
+};
+
+module.exports = {
+  DERIVATIVE_SIZES,
+  DERIVATIVE_FORMATS,
+  isProcessableImage,
+  transformsOnDelivery,
+  fitDimensions,
+  describeImage,
+  generateDerivatives,
+  processImage
+};
@@ -0,0 +1,44 @@
+const nodemailer = require("nodemailer");
+
+// Email is optional - only enabled when SMTP credentials are configured
+const isEmailConfigured = () => Boolean(process.env.EMAIL && process.env.EMAIL_PASS);
+
+// Create the SMTP transport used for all outgoing notifications
+const createTransporter = () => {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "smtp.gmail.com",
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: {
+      user: process.env.EMAIL,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+
+// Escape text (names, messages, titles) before putting it in an HTML email
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+// Send an email from the configured account
+// Resolves to false (without throwing) when email is not configured
+const sendMail = async (mailOptions) => {
+  if (!isEmailConfigured()) return false;
+
+  const transporter = createTransporter();
+  await transporter.sendMail({ from: process.env.EMAIL, ...mailOptions });
+  return true;
+};
+
+module.exports = {
+  isEmailConfigured,
+  createTransporter,
+  escapeHtml,
+  sendMail
+};
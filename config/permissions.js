@@ -0,0 +1,66 @@
+// Capabilities checked by requirePermission - "<resource>:<action>"
+const CAPABILITIES = {
+  "blog:read": "View all blogs, including drafts",
+  "blog:create": "Create blog drafts",
+  "blog:edit": "Edit any blog",
+  "blog:edit-own": "Edit own unpublished drafts",
+  "blog:publish": "Publish, unpublish and schedule blogs",
+  "blog:delete": "Delete blogs",
+  "blog:export": "Export blogs",
+  "event:create": "Create events and news",
+  "event:edit": "Edit events and news",
+  "event:delete": "Delete events and news",
+  "event:import": "Bulk import events",
+  "event:export": "Export events",
+  "event:registrations": "View, export and cancel event registrations",
+  "career:read": "View all careers, including unpublished and expired",
+  "career:create": "Create careers",
+  "career:edit": "Edit careers",
+  "career:delete": "Delete careers",
+  "career:import": "Bulk import careers",
+  "career:export": "Export careers",
+  "career:applications": "Review and manage job applications",
+  "taxonomy:manage": "Create, edit and delete tags and categories",
+  "image:create": "Upload gallery images",
+  "image:edit": "Edit gallery images",
+  "image:delete": "Delete gallery images",
+  "album:read": "View all albums, including unpublished",
+  "album:create": "Create photo albums",
+  "album:edit": "Edit albums, add, reorder and remove their images",
+  "album:delete": "Delete albums",
+  "asset:read": "Browse and reuse uploaded files",
+  "asset:delete": "Delete unused uploaded files",
+  "contact:read": "Read contact messages",
+  "contact:edit": "Mark contact messages as read",
+  "contact:delete": "Delete contact messages",
+  "contact:export": "Export contact messages",
+  "user:manage": "Invite and manage users",
+  "job:manage": "View and trigger scheduled jobs",
+  "permission:manage": "Change role permissions",
+  "audit:read": "View the audit log"
+};
+
+const ROLES = ["ADMIN", "AGENT"];
+
+// Capabilities only ADMIN may hold - with them a user could make itself an admin or grant itself everything
+const ADMIN_ONLY_CAPABILITIES = ["user:manage", "permission:manage"];
+
+// ADMIN always holds every capability so the mapping can never lock admins out
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: Object.keys(CAPABILITIES),
+  AGENT: [
+    "blog:read",
+    "blog:create",
+    "blog:edit-own",
+    "image:create",
+    "asset:read",
+    "contact:read"
+  ]
+};
+
+module.exports = {
+  CAPABILITIES,
+  ROLES,
+  ADMIN_ONLY_CAPABILITIES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,100 @@
+const RateLimitHit = require("../models/RateLimitHit");
+
+// Rate limit stores count hits per key within a fixed window
+// Both implement: increment(key, windowMs) -> { count, resetAt } and reset(key)
+
+// In-process counters - fine for development and single-instance deployments
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop expired windows so the map does not grow forever
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, hit] of this.hits) {
+        if (hit.resetAt.getTime() <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.cleanup.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let hit = this.hits.get(key);
+
+    if (!hit || hit.resetAt.getTime() <= now) {
+      hit = { count: 0, resetAt: new Date(now + windowMs) };
+      this.hits.set(key, hit);
+    }
+
+    hit.count += 1;
+    return { count: hit.count, resetAt: hit.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+// Shared counters in MongoDB - needed when several instances serve the API
+class MongoStore {
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    try {
+      // Start a new window if the current one has passed, otherwise count the hit
+      const hit = await RateLimitHit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [windowOpen, "$resetAt", new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: hit.count, resetAt: hit.resetAt };
+    } catch (err) {
+      // Two first hits raced on the upsert - the other one created the counter
+      if (err.code === 11000 && !retried) return this.increment(key, windowMs, true);
+      throw err;
+    }
+  }
+
+  async reset(key) {
+    await RateLimitHit.deleteOne({ key });
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  mongo: MongoStore
+};
+
+let store = null;
+
+// Store selected with RATE_LIMIT_STORE=memory|mongo (default memory)
+const getStore = () => {
+  if (!store) {
+    const type = process.env.RATE_LIMIT_STORE || "memory";
+    const Store = STORES[type];
+    if (!Store) {
+      throw new Error(`Unknown RATE_LIMIT_STORE '${type}' (expected: ${Object.keys(STORES).join(", ")})`);
+    }
+    store = new Store();
+  }
+  return store;
+};
+
+// Plug in any object with increment() and reset() (e.g. a Redis-backed store)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+
+// Minimal S3 REST client with AWS Signature Version 4
+// Works with AWS S3 and S3-compatible servers (MinIO, R2, Spaces...) - set S3_ENDPOINT for those
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// URI encoding as SigV4 expects it (RFC 3986 - encodeURIComponent leaves !'()* alone)
+const encode = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+};
+
+// Object keys keep their slashes
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+const unescapeXml = (text) => {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+};
+
+// Text of the first <name> element in an S3 XML response
+const xmlValue = (xml, name) => {
+  const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// "20130524T000000Z"
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+class S3Client {
+  // options: endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle
+  constructor(options) {
+    this.region = options.region || "us-east-1";
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, "");
+    // Custom endpoints (MinIO) usually have no per-bucket hostnames
+    this.forcePathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint);
+  }
+
+  // Base URL of the bucket, without a trailing slash
+  bucketUrl() {
+    if (this.forcePathStyle) return `${this.endpoint}/${encode(this.bucket)}`;
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}`;
+  }
+
+  objectUrl(key) {
+    return `${this.bucketUrl()}/${encodeKey(key)}`;
+  }
+
+  signingKey(dateStamp) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const regionKey = hmac(dateKey, this.region);
+    const serviceKey = hmac(regionKey, "s3");
+    return hmac(serviceKey, "aws4_request");
+  }
+
+  // Signature over the canonical request - headers are lowercase name -> value
+  signature(method, url, headers, payloadHash, date) {
+    const dateStamp = amzDate(date).slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const query = [...url.searchParams.entries()]
+      .map(([name, value]) => [encode(name), encode(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join("&");
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join("");
+    const signedHeaders = headerNames.join(";");
+
+    const canonicalRequest = [method, url.pathname, query, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate(date), scope, sha256(canonicalRequest)].join("\n");
+
+    return {
+      scope,
+      signedHeaders,
+      signature: crypto.createHmac("sha256", this.signingKey(dateStamp)).update(stringToSign).digest("hex")
+    };
+  }
+
+  // Pre-signed URL anyone can use until it expires (max 7 days)
+  // query: extra parameters such as response-content-disposition
+  presign(method, key, { expiresIn = 900, query = {}, date = new Date() } = {}) {
+    const url = new URL(this.objectUrl(key));
+    const credentialScope = `${amzDate(date).slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    url.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+    url.searchParams.set("X-Amz-Credential", `${this.accessKeyId}/${credentialScope}`);
+    url.searchParams.set("X-Amz-Date", amzDate(date));
+    url.searchParams.set("X-Amz-Expires", String(Math.min(expiresIn, 604800)));
+    url.searchParams.set("X-Amz-SignedHeaders", "host");
+
+    const { signature } = this.signature(method, url, { host: url.host }, "UNSIGNED-PAYLOAD", date);
+
+    // Rebuild the query with SigV4 encoding so the URL matches what was signed
+    const signedQuery = [...url.searchParams.entries()]
+      .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+      .join("&");
+    return `${url.origin}${url.pathname}?${signedQuery}&X-Amz-Signature=${signature}`;
+  }
+
+  // Signed request with the Authorization header
+  async request(method, key, { body, headers = {}, query, date = new Date() } = {}) {
+    const url = new URL(this.objectUrl(key));
+    if (query) query.forEach((value, name) => url.searchParams.set(name, value));
+    const payloadHash = sha256(body || "");
+    const signedHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate(date)
+    };
+
+    const { scope, signedHeaders: headerList, signature } = this.signature(method, url, signedHeaders, payloadHash, date);
+    const requestHeaders = { ...signedHeaders };
+    delete requestHeaders.host;
+    requestHeaders.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${headerList}, Signature=${signature}`;
+
+    return fetch(url, { method, headers: requestHeaders, body });
+  }
+
+  async putObject(key, body, contentType, headers = {}) {
+    const response = await this.request("PUT", key, { body, headers: { ...headers, "content-type": contentType } });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed (${response.status}): ${await response.text()}`);
+    }
+  }
+
+  // The fetch response, or null when the object does not exist
+  async getObject(key) {
+    const response = await this.request("GET", key);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 download failed (${response.status}): ${await response.text()}`);
+    }
+    return response;
+  }
+
+  async headObject(key) {
+    const response = await this.request("HEAD", key);
+    if (response.status === 404) return false;
+    if (!response.ok) throw new Error(`S3 lookup failed (${response.status})`);
+    return true;
+  }
+
+  // Every object under a prefix as { key, size, lastModified } (ListObjectsV2, 1000 per page)
+  async listObjects(prefix = "") {
+    const objects = [];
+    let continuationToken;
+    do {
+      const query = new URLSearchParams({ "list-type": "2", prefix });
+      if (continuationToken) query.set("continuation-token", continuationToken);
+
+      const response = await this.request("GET", "", { query });
+      const xml = await response.text();
+      if (!response.ok) throw new Error(`S3 list failed (${response.status}): ${xml}`);
+
+      (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach((contents) => {
+        objects.push({
+          key: xmlValue(contents, "Key"),
+          size: Number(xmlValue(contents, "Size")),
+          lastModified: new Date(xmlValue(contents, "LastModified"))
+        });
+      });
+      continuationToken = xmlValue(xml, "IsTruncated") === "true" ? xmlValue(xml, "NextContinuationToken") : null;
+    } while (continuationToken);
+    return objects;
+  }
+
+  // Deleting a missing object is not an error in S3
+  async deleteObject(key) {
+    const response = await this.request("DELETE", key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete failed (${response.status}): ${await response.text()}`);
+    }
+  }
+}
+
+module.exports = {
+  S3Client,
+  encodeKey
+};
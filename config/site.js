@@ -0,0 +1,25 @@
+// Public website (frontend) URLs for links in SEO metadata, feeds and sitemaps
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://ganuprofessional.lk").replace(/\/+$/, "");
+const SITE_NAME = process.env.SITE_NAME || "Ganu Professional";
+
+// Frontend route for each kind of public page - ":slug" is replaced with the document's slug (or id)
+// Override with SITE_ROUTE_<KIND>, e.g. SITE_ROUTE_BLOG=/insights/:slug
+const ROUTES = {
+  blog: process.env.SITE_ROUTE_BLOG || "/blogs/:slug",
+  news: process.env.SITE_ROUTE_NEWS || "/news/:slug",
+  event: process.env.SITE_ROUTE_EVENT || "/events/:slug",
+  career: process.env.SITE_ROUTE_CAREER || "/careers/:slug"
+};
+
+// Absolute frontend URL of a document's page
+const buildPublicUrl = (kind, doc) => {
+  const slug = encodeURIComponent(doc.slug || String(doc._id));
+  return FRONTEND_URL + ROUTES[kind].replace(":slug", slug);
+};
+
+module.exports = {
+  FRONTEND_URL,
+  SITE_NAME,
+  ROUTES,
+  buildPublicUrl
+};
@@ -0,0 +1,36 @@
+// Rendered sitemap XML, kept in memory until content changes
+// Blog, Event and Career clear it on every write (see models/plugins/seoPlugin.js)
+// The TTL bounds staleness where writes happen in another instance (serverless)
+// or time alone changes the output (careers past their deadline)
+const CACHE_TTL_MS = (parseInt(process.env.SITEMAP_CACHE_TTL_SECONDS) || 3600) * 1000;
+const cache = new Map();
+
+// Cached value for `key`, building it with `build()` when missing or expired
+// Nothing is kept for a null result, so requests for missing sitemaps cannot fill the cache
+const getCached = async (key, build) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const value = await build();
+  if (value === null || value === undefined) {
+    cache.delete(key);
+    return value;
+  }
+
+  // Drop expired entries so keys that are no longer requested do not pile up
+  const now = Date.now();
+  cache.forEach((entry, entryKey) => {
+    if (entry.expiresAt <= now) cache.delete(entryKey);
+  });
+  cache.set(key, { value, expiresAt: now + CACHE_TTL_MS });
+  return value;
+};
+
+const invalidate = () => {
+  cache.clear();
+};
+
+module.exports = {
+  getCached,
+  invalidate
+};
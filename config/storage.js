@@ -0,0 +1,444 @@
+const path = require("path");
+const fs = require("fs");
+const { Readable } = require("stream");
+const { cloudinary, isVercel } = require("./cloudinary");
+const { S3Client, encodeKey } = require("./s3Client");
+
+// Storage drivers keep uploaded files and hand back the URL saved on the document
+// All implement:
+//   put(buffer, { folder, fileName, contentType, isPrivate }) -> { url, key, size }
+//     (isPrivate files must not be readable from their URL - only through get() or signedUrl())
+//   get(url) -> { stream, contentType, size } or null when missing
+//   delete(url)
+//   signedUrl(url, { expiresIn, downloadName }) -> time-limited URL, or null if the driver has none
+//   exists(url) -> boolean
+//   owns(url) -> whether the URL points into this driver's storage
+//   keyOf(url) -> the file's identity in this storage (URLs of one file can differ, keys do not)
+//   list(folder) -> every stored file in an upload folder (and below it) as { url, key, size, lastModified }
+// Optionally:
+//   transformUrl(url, { width, height, fit, format }) -> URL of a resized copy made on delivery (no file stored)
+
+// Files on the server's disk, served from /uploads (not usable on Vercel's ephemeral filesystem)
+class LocalStorage {
+  constructor(rootDir = path.join(__dirname, "..", "uploads")) {
+    this.rootDir = rootDir;
+  }
+
+  // Absolute path of a /uploads/... URL, refusing anything outside the upload directory
+  filePath(url) {
+    const relative = decodeURIComponent(url.split("?")[0].replace(/^\/uploads\//, ""));
+    const filePath = path.resolve(this.rootDir, relative);
+    if (!filePath.startsWith(path.resolve(this.rootDir) + path.sep)) {
+      throw new Error("Invalid local file path");
+    }
+    return filePath;
+  }
+
+  owns(url) {
+    return typeof url === "string" && url.startsWith("/uploads/");
+  }
+
+  keyOf(url) {
+    return path.relative(this.rootDir, this.filePath(url)).split(path.sep).join("/");
+  }
+
+  async put(buffer, { folder, fileName }) {
+    const dir = path.join(this.rootDir, folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, fileName), buffer);
+    return { url: `/uploads/${folder}/${fileName}`, key: `${folder}/${fileName}`, size: buffer.length };
+  }
+
+  async get(url) {
+    const filePath = this.filePath(url);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), contentType: null, size: stats.size };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async delete(url) {
+    try {
+      await fs.promises.unlink(this.filePath(url));
+      console.log(`Deleted local file: ${url}`);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  // Local files have no signed URLs - stream them through the API with get()
+  async signedUrl() {
+    return null;
+  }
+
+  async exists(url) {
+    return fs.existsSync(this.filePath(url));
+  }
+
+  async list(folder) {
+    return this.listDirectory(path.join(this.rootDir, folder));
+  }
+
+  async listDirectory(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listDirectory(entryPath));
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        const key = path.relative(this.rootDir, entryPath).split(path.sep).join("/");
+        files.push({ url: `/uploads/${key}`, key, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+    return files;
+  }
+}
+
+// Cloudinary delivery types used here: public files and private (authenticated) ones
+const DELIVERY_TYPES = ["upload", "authenticated"];
+const RESOURCE_KINDS = ["image", "raw"].flatMap((resourceType) => DELIVERY_TYPES.map((type) => [resourceType, type]));
+
+// Key of a Cloudinary file - public files keep the "<resourceType>/<publicId>" keys they always had
+const cloudinaryKey = ({ resourceType, type, publicId }) =>
+  (type === "upload" ? `${resourceType}/${publicId}` : `${resourceType}/${type}/${publicId}`);
+
+// Cloudinary: images as image resources (auto quality), everything else as raw files
+// Private files are "authenticated" resources - their URLs do not deliver them, signed download links do
+class CloudinaryStorage {
+  constructor(rootFolder = process.env.CLOUDINARY_FOLDER || "ganu") {
+    this.rootFolder = rootFolder;
+  }
+
+  owns(url) {
+    return typeof url === "string" && url.includes("cloudinary.com");
+  }
+
+  keyOf(url) {
+    const parsed = this.parseUrl(url);
+    return parsed ? cloudinaryKey(parsed) : url;
+  }
+
+  // { publicId, resourceType, type } of a delivery URL (type: "upload" for public files, "authenticated" for private ones)
+  // Raw public ids keep their extension; older PDF URLs repeat it (".pdf.pdf?fl_attachment=false")
+  parseUrl(url) {
+    const urlParts = url.split("?")[0].split("/");
+    const typeIndex = urlParts.findIndex((part, index) => index > 0 && DELIVERY_TYPES.includes(part)
+      && ["image", "raw"].includes(urlParts[index - 1]));
+    if (typeIndex === -1) return null;
+
+    const type = urlParts[typeIndex];
+    const resourceType = urlParts[typeIndex - 1];
+    let publicId = urlParts.slice(typeIndex + 1).join("/").replace(/^s--[^/]+--\//, "").replace(/^v\d+\//, "");
+    publicId = decodeURIComponent(publicId);
+
+    if (resourceType === "image") {
+      publicId = publicId.replace(/\.[^/.]+$/, "");
+    } else {
+      publicId = publicId.replace(/(\.[^/.]+)\1$/, "$1");
+    }
+    return { publicId, resourceType, type };
+  }
+
+  put(buffer, { folder, fileName, contentType, isPrivate = false }) {
+    const isImage = contentType.startsWith("image/");
+    const options = isImage
+      ? {
+        folder: `${this.rootFolder}/${folder}`,
+        public_id: fileName.replace(/\.[^/.]+$/, ""),
+        resource_type: "image",
+        allowed_formats: ["jpg", "jpeg", "png", "gif", "webp"],
+        transformation: [{ quality: "auto" }]
+      }
+      : {
+        folder: `${this.rootFolder}/${folder}`,
+        public_id: fileName, // Raw files keep the extension in their public id
+        resource_type: "raw"
+      };
+    options.type = isPrivate ? "authenticated" : "upload";
+
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(options, (error, result) => {
+        if (error) return reject(error);
+        resolve({ url: result.secure_url, key: result.public_id, size: result.bytes });
+      });
+      uploadStream.end(buffer);
+    });
+  }
+
+  // URL the file can be fetched from by the server - private files only through a signed link
+  async fetchUrl(url) {
+    const parsed = this.parseUrl(url);
+    return parsed && parsed.type !== "upload" ? this.signedUrl(url, { expiresIn: 60 }) : url;
+  }
+
+  async get(url) {
+    const response = await fetch(await this.fetchUrl(url));
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Cloudinary download failed (${response.status})`);
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get("content-type"),
+      size: Number(response.headers.get("content-length")) || null
+    };
+  }
+
+  async delete(url) {
+    const parsed = this.parseUrl(url);
+    if (!parsed) return;
+    await cloudinary.uploader.destroy(parsed.publicId, { resource_type: parsed.resourceType, type: parsed.type });
+    console.log(`Deleted from Cloudinary: ${parsed.publicId} (${parsed.resourceType})`);
+  }
+
+  // Signed API download link - the only way to download private (authenticated) files
+  async signedUrl(url, { expiresIn = 900 } = {}) {
+    const parsed = this.parseUrl(url);
+    if (!parsed) return null;
+
+    const isRaw = parsed.resourceType === "raw";
+    const format = isRaw ? "" : (url.split("?")[0].match(/\.([^/.]+)$/) || [])[1];
+    return cloudinary.utils.private_download_url(parsed.publicId, format, {
+      resource_type: parsed.resourceType,
+      type: parsed.type,
+      attachment: true,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  }
+
+  async exists(url) {
+    const response = await fetch(await this.fetchUrl(url), { method: "HEAD" });
+    return response.ok;
+  }
+
+  // Resized/re-encoded copy, derived by Cloudinary on first request (lfill/limit never enlarge)
+  transformUrl(url, { width, height, fit, format }) {
+    const parsed = this.parseUrl(url);
+    if (!parsed || parsed.resourceType !== "image" || parsed.type !== "upload") return null;
+    return cloudinary.url(parsed.publicId, {
+      secure: true,
+      format,
+      transformation: [{ width, height, crop: fit === "cover" ? "lfill" : "limit", quality: "auto" }]
+    });
+  }
+
+  // Images and raw files in a folder under the root folder, public and private
+  async list(folder) {
+    const files = [];
+    for (const [resourceType, type] of RESOURCE_KINDS) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type,
+          resource_type: resourceType,
+          prefix: `${this.rootFolder}/${folder}/`,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+        page.resources.forEach((resource) => {
+          files.push({
+            url: resource.secure_url,
+            key: cloudinaryKey({ resourceType, type, publicId: resource.public_id }),
+            size: resource.bytes,
+            lastModified: new Date(resource.created_at)
+          });
+        });
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+    return files;
+  }
+}
+
+// S3 or any S3-compatible server (MinIO for local testing)
+// Public files need a bucket policy allowing reads that must not cover the private prefix
+// (S3_PRIVATE_PREFIX, "private/" by default) - CVs are stored there with a private ACL and fetched with signed URLs
+class S3Storage {
+  constructor(options = {}) {
+    this.client = new S3Client({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined ? undefined : process.env.S3_FORCE_PATH_STYLE === "true",
+      ...options
+    });
+    this.keyPrefix = options.keyPrefix !== undefined ? options.keyPrefix : process.env.S3_KEY_PREFIX || "";
+    this.privatePrefix = options.privatePrefix !== undefined ? options.privatePrefix : process.env.S3_PRIVATE_PREFIX || "private/";
+    // Where stored files are read from - a CDN in front of the bucket, or the bucket itself
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || (this.client.bucket ? this.client.bucketUrl() : ""))
+      .replace(/\/+$/, "");
+  }
+
+  owns(url) {
+    return Boolean(this.publicUrl) && typeof url === "string" && url.startsWith(this.publicUrl + "/");
+  }
+
+  keyOf(url) {
+    return url.slice(this.publicUrl.length + 1).split("?")[0].split("/").map(decodeURIComponent).join("/");
+  }
+
+  async put(buffer, { folder, fileName, contentType, isPrivate = false }) {
+    if (!this.client.bucket) throw new Error("S3 storage is not configured (S3_BUCKET)");
+
+    const key = `${this.keyPrefix}${isPrivate ? this.privatePrefix : ""}${folder}/${fileName}`;
+    await this.client.putObject(key, buffer, contentType, isPrivate ? { "x-amz-acl": "private" } : {});
+    return { url: `${this.publicUrl}/${encodeKey(key)}`, key, size: buffer.length };
+  }
+
+  async get(url) {
+    const response = await this.client.getObject(this.keyOf(url));
+    if (!response) return null;
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get("content-type"),
+      size: Number(response.headers.get("content-length")) || null
+    };
+  }
+
+  async delete(url) {
+    await this.client.deleteObject(this.keyOf(url));
+    console.log(`Deleted from S3: ${this.keyOf(url)}`);
+  }
+
+  async signedUrl(url, { expiresIn = 900, downloadName } = {}) {
+    const query = downloadName
+      ? { "response-content-disposition": `attachment; filename="${downloadName.replace(/"/g, "")}"` }
+      : {};
+    return this.client.presign("GET", this.keyOf(url), { expiresIn, query });
+  }
+
+  async exists(url) {
+    return this.client.headObject(this.keyOf(url));
+  }
+
+  async list(folder) {
+    const objects = [
+      ...await this.client.listObjects(`${this.keyPrefix}${folder}/`),
+      ...await this.client.listObjects(`${this.keyPrefix}${this.privatePrefix}${folder}/`)
+    ];
+    return objects.map((object) => ({
+      url: `${this.publicUrl}/${encodeKey(object.key)}`,
+      key: object.key,
+      size: object.size,
+      lastModified: object.lastModified
+    }));
+  }
+}
+
+const DRIVERS = {
+  local: LocalStorage,
+  cloudinary: CloudinaryStorage,
+  s3: S3Storage
+};
+
+// Kinds of uploads, each stored by its own driver
+// Chosen with STORAGE_DRIVER_<TYPE>=local|cloudinary|s3, then STORAGE_DRIVER, then the default here
+const RESOURCE_TYPES = {
+  image: "cloudinary", // Images shown on the site
+  document: isVercel ? "cloudinary" : "local", // PDFs attached to posts
+  private: isVercel ? "cloudinary" : "local" // CVs - only downloaded by admins
+};
+
+const instances = {};
+
+const getDriverByName = (name) => {
+  if (!instances[name]) {
+    const Driver = DRIVERS[name];
+    if (!Driver) {
+      throw new Error(`Unknown storage driver '${name}' (expected: ${Object.keys(DRIVERS).join(", ")})`);
+    }
+    instances[name] = new Driver();
+  }
+  return instances[name];
+};
+
+// Name of the driver that stores new uploads of a resource type
+const getDriverName = (resourceType) => {
+  if (!RESOURCE_TYPES[resourceType]) throw new Error(`Unknown storage resource type '${resourceType}'`);
+  return process.env[`STORAGE_DRIVER_${resourceType.toUpperCase()}`]
+    || process.env.STORAGE_DRIVER
+    || RESOURCE_TYPES[resourceType];
+};
+
+const getDriver = (resourceType) => getDriverByName(getDriverName(resourceType));
+
+// Drivers in use for new uploads, by name
+const getActiveDrivers = () => {
+  const names = new Set(Object.keys(RESOURCE_TYPES).map(getDriverName));
+  return [...names].map((name) => ({ name, driver: getDriverByName(name) }));
+};
+
+// Driver holding an existing file - decided by its URL, so files survive a configuration change
+const getDriverForUrl = (url) => {
+  if (!url) return null;
+  const names = new Set([...Object.keys(DRIVERS), ...Object.keys(instances)]);
+  return [...names].map(getDriverByName).find((driver) => driver.owns(url)) || null;
+};
+
+// Plug in any object implementing the driver operations under a name
+// (e.g. a stand-in for tests, selected with STORAGE_DRIVER=<name>)
+const setDriver = (name, driver) => {
+  instances[name] = driver;
+};
+
+// Resource type of an upload from its MIME type
+const resourceTypeOf = (mimetype) => (mimetype.startsWith("image/") ? "image" : "document");
+
+// Store an uploaded file under a generated name - resolves to { url, key, size, driver }, e.g. blogs/blog-1700000000000-123456789.pdf
+const putFile = async (buffer, { folder, resourceType, originalName, contentType, filePrefix }) => {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const fileName = `${filePrefix || folder}-${uniqueSuffix}${path.extname(originalName || "").toLowerCase()}`;
+  const driverName = getDriverName(resourceType || resourceTypeOf(contentType));
+  const stored = await getDriverByName(driverName).put(buffer, { folder, fileName, contentType, isPrivate: resourceType === "private" });
+  return { ...stored, driver: driverName };
+};
+
+// Delete a stored file wherever it lives - never throws, so cleanup cannot fail a request
+const deleteFile = async (url) => {
+  try {
+    const driver = getDriverForUrl(url);
+    if (driver) await driver.delete(url);
+  } catch (error) {
+    console.error("Error deleting file:", error);
+  }
+};
+
+// { stream, contentType, size } of a stored file, or null when it is missing
+const getFile = async (url) => {
+  const driver = getDriverForUrl(url);
+  return driver ? driver.get(url) : null;
+};
+
+const getSignedUrl = async (url, options) => {
+  const driver = getDriverForUrl(url);
+  return driver ? driver.signedUrl(url, options) : null;
+};
+
+const fileExists = async (url) => {
+  const driver = getDriverForUrl(url);
+  return driver ? driver.exists(url) : false;
+};
+
+module.exports = {
+  LocalStorage,
+  CloudinaryStorage,
+  S3Storage,
+  RESOURCE_TYPES,
+  getDriver,
+  getDriverByName,
+  getDriverForUrl,
+  getActiveDrivers,
+  setDriver,
+  resourceTypeOf,
+  putFile,
+  deleteFile,
+  getFile,
+  getSignedUrl,
+  fileExists
+};
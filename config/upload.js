@@ -0,0 +1,275 @@
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+const Asset = require('../models/Asset');
+const { putFile, resourceTypeOf } = require('./storage');
+const { isProcessableImage, transformsOnDelivery, describeImage, processImage } = require('./imageDerivatives');
+
+// Size and placeholder of a stored image, with its derivatives when the driver makes them on delivery
+// - {} when it is not an image or reading it fails
+// Encoding derivative files is too slow for a request (an album upload can hold 50 images), so images stored
+// as files, and failed ones, keep derivativesGeneratedAt unset for the generate-image-derivatives job
+const describeUpload = async (buffer, file, stored, folder) => {
+  if (!isProcessableImage(file.mimetype)) return {};
+  try {
+    if (!transformsOnDelivery(stored.driver)) return await describeImage(buffer);
+    return await processImage(buffer, { driverName: stored.driver, url: stored.url, key: stored.key, folder });
+  } catch (error) {
+    console.error('Error generating image derivatives:', error);
+    return {};
+  }
+};
+
+// Multer storage engine that hands each file to the configured storage driver and records an Asset
+// req.file.path is the stored file's URL, req.file.filename its key, req.file.assetId its Asset
+const createDriverStorage = (folder, { resourceType, filePrefix }) => {
+  const memoryStorage = multer.memoryStorage();
+
+  return {
+    _handleFile: function (req, file, cb) {
+      memoryStorage._handleFile(req, file, async (err, info) => {
+        if (err) return cb(err);
+
+        try {
+          const type = resourceType || resourceTypeOf(file.mimetype);
+          const stored = await putFile(info.buffer, {
+            folder,
+            resourceType: type,
+            originalName: file.originalname,
+            contentType: file.mimetype,
+            filePrefix
+          });
+
+          const asset = await Asset.create({
+            url: stored.url,
+            key: stored.key,
+            driver: stored.driver,
+            resourceType: type,
+            folder,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: info.size,
+            checksum: crypto.createHash('sha256').update(info.buffer).digest('hex'),
+            uploadedBy: req.user ? req.user._id : undefined,
+            ...await describeUpload(info.buffer, file, stored, folder)
+          });
+
+          cb(null, { path: stored.url, filename: stored.key, size: info.size, assetId: asset._id });
+        } catch (uploadError) {
+          cb(uploadError);
+        }
+      });
+    },
+    _removeFile: function (req, file, cb) {
+      Asset.removeFile(file.path).then(() => cb(null), cb);
+    }
+  };
+};
+
+// Create upload middleware - files go to the storage driver configured for their resource type
+// folder: e.g. 'blogs' (uploads/blogs locally, ganu/blogs on Cloudinary, blogs/ in S3)
+// options.resourceType forces a resource type (defaults to image or document by MIME type)
+// options.allowedMimeTypes restricts uploads to an explicit list (defaults to images and PDFs)
+// options.filePrefix sets the stored file name prefix (defaults to the folder)
+const createUploadMiddleware = (folder, maxSize = 20, options = {}) => {
+  const { resourceType, allowedMimeTypes, filePrefix, fileTypeMessage } = options;
+  const storage = createDriverStorage(folder, { resourceType, filePrefix });
+
+  const fileFilter = (req, file, cb) => {
+    // For handleMulterError's size message - multer checks the filter before the size
+    req.uploadMaxSize = maxSize;
+    const isAllowed = allowedMimeTypes
+      ? allowedMimeTypes.includes(file.mimetype)
+      : file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf';
+
+    if (isAllowed) {
+      cb(null, true);
+    } else {
+      cb(new Error(fileTypeMessage || 'Only image and PDF files are allowed!'), false);
+    }
+  };
+
+  return multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: maxSize * 1024 * 1024
+    }
+  });
+};
+
+// Delete a file multer stored for a request that is not going ahead
+// Reused assets (req.body.assetId) are never passed here - only fresh uploads
+const discardUploadedFile = async (file) => {
+  if (!file) return;
+  try {
+    await Asset.removeFile(file.path);
+  } catch (error) {
+    console.error('Error discarding upload:', error);
+  }
+};
+
+// Multer fields accepted by blog/event/career create and update forms:
+// "file" (the single image or PDF, as before), "cover" (the cover image) and "attachments"
+const ENTITY_UPLOAD_FIELDS = [
+  { name: 'file', maxCount: 1 },
+  { name: 'cover', maxCount: 1 },
+  { name: 'attachments', maxCount: 10 }
+];
+
+// Files multer stored for a request, from upload.single, upload.array or upload.fields
+const uploadedFilesOf = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Files of one upload.fields field, e.g. uploadedFieldFiles(req, 'cover')
+const uploadedFieldFiles = (req, field) => {
+  if (Array.isArray(req.files)) return req.files.filter((file) => file.fieldname === field);
+  return (req.files && req.files[field]) || [];
+};
+
+// Delete every file multer stored for a request that is not going ahead
+const discardUploadedFiles = async (req) => {
+  for (const file of uploadedFilesOf(req)) {
+    await discardUploadedFile(file);
+  }
+};
+
+// An existing library asset as an uploaded file - rejects an unknown or private asset
+const resolveAsset = async (assetId) => {
+  const file = await Asset.toUploadedFile(assetId);
+  if (!file) throw new Error('Asset not found');
+  return file;
+};
+
+// The file for a create/update request: a fresh upload, or an existing asset picked from the library (assetId)
+// Resolves to null when neither is given; rejects an unknown or private asset
+const resolveRequestFile = async (req) => {
+  const [upload] = req.file ? [req.file] : uploadedFieldFiles(req, 'file');
+  if (upload) return upload;
+  if (!req.body.assetId) return null;
+
+  return resolveAsset(req.body.assetId);
+};
+
+// The cover image for a create/update request: a fresh upload ("cover") or a library asset (coverAssetId)
+// Resolves to null when neither is given; rejects anything but an image
+const resolveCoverFile = async (req) => {
+  const [upload] = uploadedFieldFiles(req, 'cover');
+  const file = upload || (req.body.coverAssetId ? await resolveAsset(req.body.coverAssetId) : null);
+
+  if (file && !file.mimetype.startsWith('image/')) {
+    throw new Error('Cover must be an image');
+  }
+  return file;
+};
+
+// A form value sent once, repeated, or as a JSON array - always an array
+const formList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [value];
+    }
+  }
+  return [value];
+};
+
+// Attachment entry for a stored file, in the shape of the attachments plugin
+const toAttachment = (file, caption) => ({
+  url: file.path,
+  type: file.mimetype === 'application/pdf' ? 'pdf' : 'image',
+  fileName: file.originalname,
+  fileSize: formatFileSize(file.size),
+  mimeType: file.mimetype,
+  caption: caption || undefined,
+  asset: file.assetId
+});
+
+// New attachments for a request: uploaded "attachments" files, then library assets (attachmentAssetIds)
+// Captions (req.body.captions) are matched to them in the same order
+const resolveAttachments = async (req) => {
+  const files = [...uploadedFieldFiles(req, 'attachments')];
+  for (const assetId of formList(req.body.attachmentAssetIds)) {
+    files.push(await resolveAsset(assetId));
+  }
+
+  const captions = formList(req.body.captions);
+  return files.map((file, index) => toAttachment(file, captions[index]));
+};
+
+// Request fields consumed by the helpers above - never copied onto a document
+const UPLOAD_BODY_FIELDS = ['assetId', 'coverAssetId', 'attachmentAssetIds', 'captions', 'attachments'];
+
+// Create upload middleware that keeps the file in memory (for files that are parsed, not stored)
+// allowedExtensions e.g. ['.csv', '.xlsx'] - checked by extension since spreadsheet MIME types vary by browser
+const createMemoryUploadMiddleware = (allowedExtensions, maxSize = 5, fileTypeMessage) => {
+  const fileFilter = (req, file, cb) => {
+    req.uploadMaxSize = maxSize;
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (allowedExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error(fileTypeMessage || `Only ${allowedExtensions.join(', ')} files are allowed!`), false);
+    }
+  };
+
+  return multer({
+    storage: multer.memoryStorage(),
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: maxSize * 1024 * 1024
+    }
+  });
+};
+
+// Error handling middleware for multer
+const handleMulterError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        message: req.uploadMaxSize ? `File too large. Maximum size is ${req.uploadMaxSize}MB.` : 'File too large.'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        message: 'Unexpected field or too many files.'
+      });
+    }
+  } else if (error) {
+    return res.status(400).json({
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+// Helper function to format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+module.exports = {
+  createUploadMiddleware,
+  createMemoryUploadMiddleware,
+  ENTITY_UPLOAD_FIELDS,
+  UPLOAD_BODY_FIELDS,
+  uploadedFilesOf,
+  discardUploadedFile,
+  discardUploadedFiles,
+  resolveRequestFile,
+  resolveCoverFile,
+  resolveAttachments,
+  formList,
+  handleMulterError,
+  formatFileSize
+};
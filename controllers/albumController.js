@@ -0,0 +1,324 @@
+const mongoose = require("mongoose");
+const Album = require("../models/Album");
+const Image = require("../models/Image");
+const Event = require("../models/Event");
+const AuditLog = require("../models/AuditLog");
+const { hasPermission } = require("../middleware/authMiddleware");
+const { paginate } = require("../middleware/listQueryMiddleware");
+const { discardUploadedFile, discardUploadedFiles, formList } = require("../config/upload");
+
+// Image fields shown in albums
+const IMAGE_FIELDS = "title description filename originalName image createdAt";
+const COVER_POPULATE = { path: "coverImage", select: IMAGE_FIELDS };
+const EVENT_POPULATE = { path: "event", select: "title slug type date" };
+
+// Load the album named in the URL, or send a 404 - public requests only see published albums
+const findAlbum = async (req, res, { publishedOnly = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "Album not found" });
+    return null;
+  }
+
+  const album = await Album.findOne({ _id: req.params.id, ...(publishedOnly ? { published: true } : {}) });
+  if (!album) res.status(404).json({ message: "Album not found" });
+  return album;
+};
+
+// Image ids from the request (array, repeated form field or JSON string) - null when one does not exist
+const findImageIds = async (value) => {
+  const ids = formList(value).map(String);
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const count = await Image.countDocuments({ _id: { $in: [...new Set(ids)] } });
+  return count === new Set(ids).size ? ids : null;
+};
+
+// Event to link from the request: null unlinks, undefined when the event does not exist
+const findEventId = async (value) => {
+  if (value === "" || value === null || value === "null") return null;
+  if (!mongoose.Types.ObjectId.isValid(value)) return undefined;
+  return (await Event.exists({ _id: value })) ? value : undefined;
+};
+
+// GET /api/albums  (public) - published albums with their cover (paginated, ?event= to filter)
+exports.getAlbums = async (req, res) => {
+  try {
+    const result = await paginate(Album, { published: true }, req.listQuery, { populate: COVER_POPULATE });
+    res.json(result);
+  } catch (err) {
+    console.error("getAlbums error:", err);
+    res.status(500).json({ message: "Server error fetching albums" });
+  }
+};
+
+// GET /api/albums/:id  (public) - a published album with its cover and event (images via /:id/images)
+exports.getAlbum = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res, { publishedOnly: true });
+    if (!album) return;
+
+    await album.populate([COVER_POPULATE, EVENT_POPULATE]);
+    const { images, ...data } = album.toJSON();
+    res.json(data);
+  } catch (err) {
+    console.error("getAlbum error:", err);
+    res.status(500).json({ message: "Server error fetching album" });
+  }
+};
+
+// GET /api/albums/:id/images  (public) - images of a published album in album order (?page=&limit=)
+exports.getAlbumImages = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res, { publishedOnly: true });
+    if (!album) return;
+
+    const { page, limit, cursor } = req.listQuery;
+    if (cursor) {
+      return res.status(400).json({ message: "cursor pagination is not available for album images" });
+    }
+
+    const start = (page - 1) * limit;
+    const ids = album.images.slice(start, start + limit);
+    const images = await Image.find({ _id: { $in: ids } }).select(IMAGE_FIELDS);
+    const byId = new Map(images.map((image) => [String(image._id), image]));
+    const total = album.images.length;
+
+    res.json({
+      data: ids.map((id) => byId.get(String(id))).filter(Boolean),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: start + limit < total,
+        nextCursor: null
+      }
+    });
+  } catch (err) {
+    console.error("getAlbumImages error:", err);
+    res.status(500).json({ message: "Server error fetching album images" });
+  }
+};
+
+// GET /api/albums/admin/all  (album:read) - all albums, including unpublished (paginated)
+exports.getAllAlbums = async (req, res) => {
+  try {
+    const result = await paginate(Album, {}, req.listQuery, { populate: COVER_POPULATE });
+    res.json(result);
+  } catch (err) {
+    console.error("getAllAlbums error:", err);
+    res.status(500).json({ message: "Server error fetching albums" });
+  }
+};
+
+// GET /api/albums/admin/:id  (album:read) - one album with every image, in order
+exports.getAlbumAsAdmin = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    await album.populate([{ path: "images", select: IMAGE_FIELDS }, COVER_POPULATE, EVENT_POPULATE]);
+    res.json(album);
+  } catch (err) {
+    console.error("getAlbumAsAdmin error:", err);
+    res.status(500).json({ message: "Server error fetching album" });
+  }
+};
+
+// POST /api/albums  (album:create) - { title, description, published, event, imageIds }
+exports.createAlbum = async (req, res) => {
+  try {
+    const { title, description, published, event, imageIds } = req.body;
+    if (!title) return res.status(400).json({ message: "Title is required" });
+
+    const images = await findImageIds(imageIds);
+    if (!images) return res.status(400).json({ message: "One or more images do not exist" });
+
+    const eventId = event === undefined ? null : await findEventId(event);
+    if (eventId === undefined) return res.status(400).json({ message: "Event not found" });
+
+    const album = new Album({
+      title,
+      description,
+      published: published === true || published === "true",
+      event: eventId,
+      createdBy: req.user._id
+    });
+    album.addImages(images);
+    await album.save();
+    await AuditLog.record(req, { action: "create", entityType: "Album", after: album });
+
+    res.status(201).json({ message: "Album created", album });
+  } catch (err) {
+    console.error("createAlbum error:", err);
+    res.status(400).json({ message: "Error creating album: " + err.message });
+  }
+};
+
+// PUT /api/albums/:id  (album:edit) - title, description, published, event ("" or null unlinks)
+exports.updateAlbum = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const { title, description, published, event } = req.body;
+    const before = album.toObject();
+    if (title !== undefined) album.title = title;
+    if (description !== undefined) album.description = description;
+    if (published !== undefined) album.published = published === true || published === "true";
+    if (event !== undefined) {
+      const eventId = await findEventId(event);
+      if (eventId === undefined) return res.status(400).json({ message: "Event not found" });
+      album.event = eventId;
+    }
+
+    await album.save();
+    await AuditLog.record(req, { action: "update", entityType: "Album", before, after: album });
+
+    res.json({ message: "Album updated", album });
+  } catch (err) {
+    console.error("updateAlbum error:", err);
+    res.status(400).json({ message: "Error updating album: " + err.message });
+  }
+};
+
+// DELETE /api/albums/:id  (album:delete) - the images stay in the gallery
+exports.deleteAlbum = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    await Album.deleteOne({ _id: album._id });
+    await AuditLog.record(req, { action: "delete", entityType: "Album", before: album });
+    res.json({ message: "Album deleted successfully" });
+  } catch (err) {
+    console.error("deleteAlbum error:", err);
+    res.status(500).json({ message: "Server error deleting album" });
+  }
+};
+
+// POST /api/albums/:id/images  (album:edit) - bulk upload into the album and/or add existing images
+// multipart "images" files (also needs image:create) and imageIds; new images go after the existing ones
+exports.addAlbumImages = async (req, res) => {
+  const files = req.files || [];
+  const createdImages = [];
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) {
+      await discardUploadedFiles(req);
+      return;
+    }
+
+    if (files.length > 0 && !hasPermission(req, "image:create")) {
+      await discardUploadedFiles(req);
+      return res.status(403).json({ message: "Forbidden: you cannot upload images" });
+    }
+
+    const existingIds = await findImageIds(req.body.imageIds);
+    if (!existingIds) {
+      await discardUploadedFiles(req);
+      return res.status(400).json({ message: "One or more images do not exist" });
+    }
+    if (files.length === 0 && existingIds.length === 0) {
+      return res.status(400).json({ message: "No images given" });
+    }
+
+    // Uploads become gallery images titled after their file names, one by one so a failure
+    // part way through keeps the images already made
+    for (const file of files) {
+      const image = await Image.create({
+        title: file.originalname.replace(/\.[^/.]+$/, ""),
+        description: "",
+        filename: file.path, // Stored file's URL
+        originalName: file.originalname,
+        uploadedBy: req.user._id
+      });
+      createdImages.push(image);
+      await AuditLog.record(req, { action: "create", entityType: "Image", after: image });
+    }
+
+    const before = album.toObject();
+    const added = album.addImages([...createdImages.map((image) => image._id), ...existingIds]);
+    await album.save();
+    await AuditLog.record(req, { action: "update", entityType: "Album", before, after: album, metadata: { imagesAdded: added } });
+
+    res.status(201).json({ message: `${added} image(s) added`, album, uploaded: createdImages });
+  } catch (err) {
+    console.error("addAlbumImages error:", err);
+
+    // Clean up uploaded files that did not become gallery images
+    const imageFiles = new Set(createdImages.map((image) => image.filename));
+    for (const file of files) {
+      if (!imageFiles.has(file.path)) await discardUploadedFile(file);
+    }
+
+    res.status(400).json({ message: "Error adding images: " + err.message });
+  }
+};
+
+// PUT /api/albums/:id/images/order  (album:edit) - body { order: [imageId, ...] } naming every image once
+exports.reorderAlbumImages = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const { order } = req.body;
+    const before = album.toObject();
+    if (!Array.isArray(order) || !album.reorderImages(order)) {
+      return res.status(400).json({ message: "order must list every image id in the album exactly once" });
+    }
+
+    await album.save();
+    await AuditLog.record(req, { action: "update", entityType: "Album", before, after: album, metadata: { reordered: true } });
+    res.json({ message: "Album reordered", album });
+  } catch (err) {
+    console.error("reorderAlbumImages error:", err);
+    res.status(500).json({ message: "Server error reordering album" });
+  }
+};
+
+// DELETE /api/albums/:id/images/:imageId  (album:edit) - take an image out of the album (it stays in the gallery)
+exports.removeAlbumImage = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    if (!album.images.some((id) => String(id) === req.params.imageId)) {
+      return res.status(404).json({ message: "Image is not in this album" });
+    }
+
+    const before = album.toObject();
+    album.images.pull(req.params.imageId);
+    await album.save();
+    await AuditLog.record(req, { action: "update", entityType: "Album", before, after: album, metadata: { imageRemoved: req.params.imageId } });
+
+    res.json({ message: "Image removed from album", album });
+  } catch (err) {
+    console.error("removeAlbumImage error:", err);
+    res.status(500).json({ message: "Server error removing image from album" });
+  }
+};
+
+// PUT /api/albums/:id/cover  (album:edit) - body { imageId }, one of the album's images
+exports.setAlbumCover = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const { imageId } = req.body;
+    if (!album.images.some((id) => String(id) === String(imageId))) {
+      return res.status(400).json({ message: "The cover must be one of the album's images" });
+    }
+
+    const before = album.toObject();
+    album.coverImage = imageId;
+    await album.save();
+    await AuditLog.record(req, { action: "update", entityType: "Album", before, after: album });
+
+    await album.populate(COVER_POPULATE);
+    res.json({ message: "Album cover updated", album });
+  } catch (err) {
+    console.error("setAlbumCover error:", err);
+    res.status(500).json({ message: "Server error setting album cover" });
+  }
+};
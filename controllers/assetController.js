@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+const Asset = require("../models/Asset");
+const AuditLog = require("../models/AuditLog");
+const { paginate } = require("../middleware/listQueryMiddleware");
+
+// CVs are private - never listed or reused through the media library
+const LIBRARY_FILTER = { resourceType: { $ne: "private" } };
+
+// GET /api/admin/assets  (asset:read) - browse uploaded files (paginated, see listQueryMiddleware)
+// ?unused=true lists files nothing references; pass an asset's id as `assetId` when creating
+// or editing a blog, event or career to reuse the file instead of uploading it again
+exports.getAssets = async (req, res) => {
+  try {
+    const filter = { ...LIBRARY_FILTER };
+    if (req.query.unused === "true") filter.references = { $size: 0 };
+    if (req.query.unused === "false") filter["references.0"] = { $exists: true };
+
+    const result = await paginate(Asset, filter, req.listQuery, {
+      populate: { path: "uploadedBy", select: "name email" }
+    });
+    res.json(result);
+  } catch (err) {
+    console.error("getAssets error:", err);
+    res.status(500).json({ message: "Server error fetching assets" });
+  }
+};
+
+// GET /api/admin/assets/:id  (asset:read) - one file with the documents that use it
+exports.getAsset = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Asset not found" });
+    }
+
+    const asset = await Asset.findOne({ ...LIBRARY_FILTER, _id: req.params.id })
+      .populate("uploadedBy", "name email");
+    if (!asset) return res.status(404).json({ message: "Asset not found" });
+
+    res.json(asset);
+  } catch (err) {
+    console.error("getAsset error:", err);
+    res.status(500).json({ message: "Server error fetching asset" });
+  }
+};
+
+// DELETE /api/admin/assets/:id  (asset:delete) - delete an unused file now instead of waiting for garbage collection
+exports.deleteAsset = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Asset not found" });
+    }
+
+    const asset = await Asset.findOne({ ...LIBRARY_FILTER, _id: req.params.id });
+    if (!asset) return res.status(404).json({ message: "Asset not found" });
+
+    if (asset.references.length > 0) {
+      return res.status(409).json({
+        message: "Asset is still in use",
+        references: asset.references
+      });
+    }
+
+    await Asset.removeFile(asset.url);
+    await AuditLog.record(req, { action: "delete", entityType: "Asset", before: asset });
+    res.json({ message: "Asset deleted successfully" });
+  } catch (err) {
+    console.error("deleteAsset error:", err);
+    res.status(500).json({ message: "Server error deleting asset" });
+  }
+};
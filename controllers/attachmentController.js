@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const AuditLog = require("../models/AuditLog");
+const { hasPermission } = require("../middleware/authMiddleware");
+const { resolveAttachments, discardUploadedFiles } = require("../config/upload");
+
+// Entities with attachments: model, audit entity type and edit rules
+const ENTITIES = {
+  blogs: {
+    model: Blog,
+    entityType: "Blog",
+    // Without blog:edit, authors may only touch their own drafts
+    canEdit: (req, blog) => {
+      const isOwnDraft = !blog.published && blog.createdBy && blog.createdBy.equals(req.user._id);
+      return hasPermission(req, "blog:edit") || isOwnDraft;
+    },
+    // Attachment changes are saved as blog revisions
+    revisions: true
+  },
+  events: { model: Event, entityType: "Event" },
+  careers: { model: Career, entityType: "Career" }
+};
+
+// Load the document named in the URL, or send a 404/403
+const findDocument = async (definition, req, res) => {
+  const notFound = `${definition.entityType} not found`;
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: notFound });
+    return null;
+  }
+
+  const doc = await definition.model.findById(req.params.id);
+  if (!doc) {
+    res.status(404).json({ message: notFound });
+    return null;
+  }
+
+  if (definition.canEdit && !definition.canEdit(req, doc)) {
+    res.status(403).json({ message: "Forbidden: you can only edit your own drafts" });
+    return null;
+  }
+
+  // Keep the pre-edit state of blogs that have no history yet
+  if (definition.revisions) await BlogRevision.ensureBaseline(doc);
+  return doc;
+};
+
+// Save an attachment change with its revision and audit entry
+const saveChanges = async (definition, req, doc, before, metadata) => {
+  doc.updatedAt = Date.now();
+  await doc.save();
+
+  if (definition.revisions) await BlogRevision.snapshot(doc, { editedBy: req.user._id });
+  await AuditLog.record(req, { action: "update", entityType: definition.entityType, before, after: doc, metadata });
+};
+
+// POST /api/<entity>/:id/attachments - multipart "attachments" files and/or attachmentAssetIds, with captions
+// New attachments go after the existing ones; responds with the full ordered list
+exports.addAttachments = (entity) => async (req, res) => {
+  const definition = ENTITIES[entity];
+  try {
+    const doc = await findDocument(definition, req, res);
+    if (!doc) {
+      await discardUploadedFiles(req);
+      return;
+    }
+
+    const attachments = await resolveAttachments(req);
+    if (attachments.length === 0) {
+      return res.status(400).json({ message: "No attachments given" });
+    }
+
+    const before = doc.toObject();
+    doc.attachments.push(...attachments);
+    await saveChanges(definition, req, doc, before, { attachmentsAdded: attachments.length });
+
+    res.status(201).json(doc.attachments);
+  } catch (err) {
+    console.error("addAttachments error:", err);
+
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
+
+    res.status(400).json({ message: "Error adding attachments: " + err.message });
+  }
+};
+
+// PUT /api/<entity>/:id/attachments/:attachmentId - change the caption
+exports.updateAttachment = (entity) => async (req, res) => {
+  const definition = ENTITIES[entity];
+  try {
+    const doc = await findDocument(definition, req, res);
+    if (!doc) return;
+
+    const attachment = doc.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    const before = doc.toObject();
+    attachment.caption = req.body.caption || undefined;
+    await saveChanges(definition, req, doc, before, { attachmentId: attachment._id });
+
+    res.json(attachment);
+  } catch (err) {
+    console.error("updateAttachment error:", err);
+    res.status(400).json({ message: "Error updating attachment: " + err.message });
+  }
+};
+
+// PUT /api/<entity>/:id/attachments/order - body { order: [attachmentId, ...] } naming every attachment once
+exports.reorderAttachments = (entity) => async (req, res) => {
+  const definition = ENTITIES[entity];
+  try {
+    const doc = await findDocument(definition, req, res);
+    if (!doc) return;
+
+    const { order } = req.body;
+    const before = doc.toObject();
+    if (!Array.isArray(order) || !doc.reorderAttachments(order)) {
+      return res.status(400).json({ message: "order must list every attachment id exactly once" });
+    }
+
+    await saveChanges(definition, req, doc, before, { reordered: true });
+    res.json(doc.attachments);
+  } catch (err) {
+    console.error("reorderAttachments error:", err);
+    res.status(500).json({ message: "Server error reordering attachments" });
+  }
+};
+
+// DELETE /api/<entity>/:id/attachments/:attachmentId
+// The file is removed by the asset garbage collector once nothing else (e.g. a blog revision) uses it
+exports.removeAttachment = (entity) => async (req, res) => {
+  const definition = ENTITIES[entity];
+  try {
+    const doc = await findDocument(definition, req, res);
+    if (!doc) return;
+
+    const attachment = doc.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    const before = doc.toObject();
+    attachment.deleteOne();
+    await saveChanges(definition, req, doc, before, { attachmentId: attachment._id });
+
+    res.json({ message: "Attachment removed successfully", attachments: doc.attachments });
+  } catch (err) {
+    console.error("removeAttachment error:", err);
+    res.status(500).json({ message: "Server error removing attachment" });
+  }
+};
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { paginate } = require("../middleware/listQueryMiddleware");
+
+// GET /api/admin/audit  (audit:read) - query the audit trail
+// ?actor=, ?action=, ?entityType=, ?entityId=, ?from=, ?to= plus the shared list parameters
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const baseFilter = {};
+
+    if (from || to) {
+      baseFilter.createdAt = {};
+      if (from) baseFilter.createdAt.$gte = new Date(from);
+      if (to) baseFilter.createdAt.$lte = new Date(to);
+
+      if (Object.values(baseFilter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+      }
+    }
+
+    const result = await paginate(AuditLog, baseFilter, req.listQuery);
+    res.json(result);
+  } catch (err) {
+    console.error("getAuditLogs error:", err);
+    res.status(500).json({ message: "Server error fetching audit log" });
+  }
+};
+
+// GET /api/admin/audit/:entityType/:entityId  (audit:read) - full history of one record, oldest first
+exports.getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({ message: "Invalid entity id" });
+    }
+
+    const entries = await AuditLog.find({ entityType, entityId })
+      .populate("actor", "name email")
+      .sort({ createdAt: 1 });
+
+    res.json({ entityType, entityId, history: entries });
+  } catch (err) {
+    console.error("getEntityHistory error:", err);
+    res.status(500).json({ message: "Server error fetching entity history" });
+  }
+};
@@ -1,40 +1,95 @@
+const crypto = require("crypto");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Invitation = require("../models/Invitation");
+const AuditLog = require("../models/AuditLog");
 const jwt = require("jsonwebtoken");
+const { isEmailConfigured, sendMail, escapeHtml } = require("../config/mailer");
+const { secondsUntil } = require("../middleware/rateLimitMiddleware");
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "1d" });
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash an emailed token (invite/password reset) - only the hash is stored in the database
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Generate short-lived access JWT (tv = token version, checked by protect)
+const generateToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+  );
+};
+
+// Short-lived token proving the password step of a 2FA login - exchanged at /login/2fa
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion, purpose: "2fa" },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m" }
+  );
+};
+
+// Issue an access token plus a rotating refresh token
+// Pass the current token's family when rotating so reuse can revoke the whole session
+const issueSession = async (user, req, family) => {
+  const { token: refreshToken, record } = await RefreshToken.issue(user._id, {
+    family,
+    ip: req.ip,
+    userAgent: req.get("user-agent")
+  });
+
+  return { token: generateToken(user), refreshToken, refreshRecord: record };
 };
 
-// Register User (Agent or Admin)
+// Register first admin (bootstrap only)
+// Open registration is closed once an ADMIN exists - further users join by invitation
 exports.registerUser = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
+
+    const adminExists = await User.exists({ role: "ADMIN" });
+    if (adminExists) {
+      return res.status(403).json({ 
+        message: "Registration is closed. Ask an administrator for an invitation." 
+      });
+    }
 
     // Validate required fields
-    if (!name || !email || !password || !role) {
+    if (!name || typeof email !== "string" || !email.trim() || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
     // Check if user already exists
-    const userExists = await User.findOne({ email });
+    const normalizedEmail = User.normalizeEmail(email);
+    const userExists = await User.findOne({ email: normalizedEmail });
     if (userExists) {
       return res.status(400).json({ message: "Email already registered" });
     }
 
-    // Create user
+    // Create the bootstrap admin
     const user = await User.create({ 
       name, 
-      email, 
+      email: normalizedEmail, 
       password, 
-      role: role.toUpperCase() 
+      role: "ADMIN" 
     });
+    console.log("Bootstrap admin registered:", user._id);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(201).json({ 
       token, 
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -54,12 +109,13 @@ exports.registerAgent = async (req, res) => {
     const { name, email, password } = req.body;
 
     // Validate required fields
-    if (!name || !email || !password) {
+    if (!name || typeof email !== "string" || !email.trim() || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
     // Check if user already exists
-    const userExists = await User.findOne({ email });
+    const normalizedEmail = User.normalizeEmail(email);
+    const userExists = await User.findOne({ email: normalizedEmail });
     if (userExists) {
       return res.status(400).json({ message: "Email already registered" });
     }
@@ -67,10 +123,11 @@ exports.registerAgent = async (req, res) => {
     // Create agent
     const user = await User.create({ 
       name, 
-      email, 
+      email: normalizedEmail, 
       password, 
       role: "AGENT" 
     });
+    await AuditLog.record(req, { action: "create", entityType: "User", after: user });
 
     res.status(201).json({ 
       message: "Agent registered successfully",
@@ -87,46 +144,125 @@ exports.registerAgent = async (req, res) => {
   }
 };
 
+// Final login step: record the login and start a session
+const completeLogin = async (user, req, res) => {
+  user.resetFailedLogins();
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken } = await issueSession(user, req);
+
+  res.json({ 
+    token, 
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      twoFactorEnabled: user.twoFactorEnabled
+    },
+    // Admin must set up 2FA before anything else works (REQUIRE_ADMIN_2FA)
+    twoFactorSetupRequired: user.requiresTwoFactorSetup() || undefined
+  });
+};
+
 // Login
 exports.loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Validate required fields
-    if (!email || !password) {
+    if (typeof email !== "string" || !email.trim() || !password) {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findByEmail(email);
     if (!user) {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
+    // Locked after too many failed attempts - the password is not even checked
+    if (user.isLocked()) {
+      res.setHeader("Retry-After", secondsUntil(user.lockUntil));
+      return res.status(429).json({ message: "Too many failed login attempts. Please try again later." });
+    }
+
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.active === false) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
 
-    res.json({ 
-      token, 
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    // Second step needed - no session until the code is verified at /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user)
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ message: "Server error during login" });
   }
 };
 
+// Login step 2 - exchange the challenge token and a TOTP or backup code for a session
+exports.verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    if (decoded.purpose !== "2fa") {
+      return res.status(401).json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    const user = await User.findById(decoded.id).select("+twoFactorSecret");
+    if (!user || !user.twoFactorEnabled || (decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    if (user.active === false) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.isLocked()) {
+      res.setHeader("Retry-After", secondsUntil(user.lockUntil));
+      return res.status(429).json({ message: "Too many failed login attempts. Please try again later." });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      await user.registerFailedLogin();
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
 // Get current user profile
 exports.getProfile = async (req, res) => {
   try {
@@ -140,11 +276,437 @@ exports.getProfile = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
-      }
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      twoFactorSetupRequired: user.requiresTwoFactorSetup() || undefined
     });
   } catch (err) {
     console.error("Profile fetch error:", err);
     res.status(500).json({ message: "Server error fetching profile" });
   }
-};
\ No newline at end of file
+};
+
+// Refresh access token - rotates the refresh token (single use)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const record = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken)
+    });
+    if (!record) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    // A revoked token being used again means it was stolen - end the whole session
+    if (record.revokedAt) {
+      await RefreshToken.revokeFamily(record.family, "reuse detected");
+      console.warn(`Refresh token reuse detected for user ${record.user} (family ${record.family})`);
+      return res.status(401).json({ message: "Refresh token has been revoked" });
+    }
+
+    if (record.isExpired()) {
+      return res.status(401).json({ message: "Refresh token has expired" });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(record.family, "user deleted");
+      return res.status(401).json({ message: "User no longer exists" });
+    }
+
+    if (user.active === false) {
+      await RefreshToken.revokeFamily(record.family, "user deactivated");
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "rotated" },
+      { new: true }
+    );
+    if (!claimed) {
+      await RefreshToken.revokeFamily(record.family, "reuse detected");
+      return res.status(401).json({ message: "Refresh token has been revoked" });
+    }
+
+    const { token, refreshToken: newRefreshToken, refreshRecord } = await issueSession(user, req, record.family);
+
+    claimed.replacedBy = refreshRecord._id;
+    await claimed.save();
+
+    res.json({ token, refreshToken: newRefreshToken });
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ message: "Server error refreshing token" });
+  }
+};
+
+// Logout - revokes the session the refresh token belongs to
+exports.logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const record = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken)
+    });
+    if (record) {
+      await RefreshToken.revokeFamily(record.family, "logout");
+    }
+
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+// Logout from all sessions - revokes every refresh token and issued access token
+exports.logoutAllSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await user.revokeAllSessions("logout all");
+
+    res.json({ message: "Logged out from all sessions" });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+// Invite a user (Admin only endpoint) - emails a single-use, expiring token
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, name } = req.body;
+    const role = (req.body.role || "AGENT").toUpperCase();
+
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    if (role !== "ADMIN" && role !== "AGENT") {
+      return res.status(400).json({ message: "Role must be either 'ADMIN' or 'AGENT'" });
+    }
+
+    if (role === "ADMIN" && req.user.role !== "ADMIN") {
+      return res.status(403).json({ message: "Forbidden: only admins can invite admins" });
+    }
+
+    const normalizedEmail = User.normalizeEmail(email);
+    const userExists = await User.findOne({ email: normalizedEmail });
+    if (userExists) {
+      return res.status(400).json({ message: "Email already registered" });
+    }
+
+    // Only the newest invitation for an email stays valid
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      name,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+      invitedBy: req.user._id
+    });
+    await AuditLog.record(req, { action: "create", entityType: "Invitation", after: invitation });
+
+    const baseUrl = process.env.FRONTEND_URL || "https://ganuprofessional.lk";
+    const inviteUrl = `${baseUrl}/accept-invite?token=${token}`;
+
+    let emailSent = false;
+    if (isEmailConfigured()) {
+      try {
+        await sendMail({
+          to: normalizedEmail,
+          subject: "You're invited to Ganu Professional",
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">You've been invited</h2>
+              <p>${name ? `Hi ${escapeHtml(name)},` : "Hi,"}</p>
+              <p>${escapeHtml(req.user.name)} has invited you to join Ganu Professional as ${role === "ADMIN" ? "an administrator" : "an agent"}.</p>
+              <p><a href="${inviteUrl}">Accept the invitation and set your password</a></p>
+              <p style="color: #666; font-size: 12px; margin-top: 20px;">
+                This link can be used once and expires in ${INVITE_TTL_HOURS} hours.
+              </p>
+            </div>
+          `
+        });
+        emailSent = true;
+      } catch (emailError) {
+        console.error("Failed to send invitation email:", emailError);
+      }
+    }
+
+    res.status(201).json({
+      message: emailSent ? "Invitation sent" : "Invitation created (email not sent)",
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      },
+      // Returned only when the email could not be delivered, so the admin can share it directly
+      inviteUrl: emailSent ? undefined : inviteUrl
+    });
+  } catch (err) {
+    console.error("Create invitation error:", err);
+    res.status(500).json({ message: "Server error creating invitation" });
+  }
+};
+
+// List invitations (Admin only endpoint)
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .select("-tokenHash")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json(invitations.map((invitation) => ({
+      ...invitation.toObject(),
+      pending: invitation.isPending()
+    })));
+  } catch (err) {
+    console.error("Get invitations error:", err);
+    res.status(500).json({ message: "Server error fetching invitations" });
+  }
+};
+
+// Revoke a pending invitation (Admin only endpoint)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ message: "Invitation has already been accepted" });
+    }
+
+    const before = invitation.toObject();
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+    await AuditLog.record(req, { action: "update", entityType: "Invitation", before, after: invitation });
+
+    res.json({ message: "Invitation revoked" });
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    res.status(500).json({ message: "Server error revoking invitation" });
+  }
+};
+
+// Accept invitation - sets the invitee's password and signs them in
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({ message: "Invitation is invalid or has expired" });
+    }
+
+    if (!name && !invitation.name) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const userExists = await User.findOne({ email: invitation.email });
+    if (userExists) {
+      return res.status(400).json({ message: "Email already registered" });
+    }
+
+    // Mark the invitation used first so the token cannot be redeemed twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: "Invitation is invalid or has expired" });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: name || invitation.name,
+        email: invitation.email,
+        password,
+        role: invitation.role
+      });
+    } catch (createError) {
+      // Release the invitation so it can be retried
+      await Invitation.updateOne({ _id: claimed._id }, { $unset: { acceptedAt: 1 } });
+      throw createError;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    const { token: accessToken, refreshToken } = await issueSession(user, req);
+
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    console.error("Accept invitation error:", err);
+    res.status(500).json({ message: "Server error accepting invitation" });
+  }
+};
+
+// Forgot password - emails a single-use reset link
+// Always responds the same way so the endpoint cannot be used to discover accounts
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const genericResponse = {
+      message: "If an account exists for that email, a password reset link has been sent"
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    if (!isEmailConfigured()) {
+      console.warn("Password reset requested but email is not configured");
+      return res.json(genericResponse);
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    const baseUrl = process.env.FRONTEND_URL || "https://ganuprofessional.lk";
+    const resetUrl = `${baseUrl}/reset-password?token=${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Ganu Professional password",
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">Password Reset</h2>
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>We received a request to reset your password.</p>
+            <p><a href="${resetUrl}">Choose a new password</a></p>
+            <p style="color: #666; font-size: 12px; margin-top: 20px;">
+              This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes. If you did not request a reset, you can ignore this email.
+            </p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error("Failed to send password reset email:", emailError);
+    }
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error requesting password reset" });
+  }
+};
+
+// Reset password with an emailed token - signs out every existing session
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetFailedLogins();
+    await user.revokeAllSessions("password reset");
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error resetting password" });
+  }
+};
+
+// Change password (authenticated) - requires the current password
+// Other sessions are signed out; the caller receives fresh tokens
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current and new password are required" });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    await user.revokeAllSessions("password changed");
+
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.json({ message: "Password updated successfully", token, refreshToken });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ message: "Server error changing password" });
+  }
+};
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const { REVISION_FIELDS } = require("../models/BlogRevision");
+const AuditLog = require("../models/AuditLog");
+const { diffLines } = require("../config/diff");
+
+// Load the blog named in the URL, or send a 404
+const findBlog = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: "Blog not found" });
+    return null;
+  }
+
+  const blog = await Blog.findById(req.params.id);
+  if (!blog) res.status(404).json({ message: "Blog not found" });
+  return blog;
+};
+
+// GET /api/blogs/admin/:id/revisions  (blog:read) - version history, newest first (without content)
+exports.getRevisions = async (req, res) => {
+  try {
+    const blog = await findBlog(req, res);
+    if (!blog) return;
+
+    const revisions = await BlogRevision.find({ blog: blog._id })
+      .select("-content")
+      .populate("editedBy", "name email")
+      .sort({ version: -1 });
+
+    res.json(revisions);
+  } catch (err) {
+    console.error("getRevisions error:", err);
+    res.status(500).json({ message: "Server error fetching revisions" });
+  }
+};
+
+// GET /api/blogs/admin/:id/revisions/diff?from=1&to=3  (blog:read) - compare two revisions
+// Changed fields as before/after, plus a line diff of the content
+exports.diffRevisions = async (req, res) => {
+  try {
+    const blog = await findBlog(req, res);
+    if (!blog) return;
+
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ message: "from and to must be revision version numbers" });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      BlogRevision.findOne({ blog: blog._id, version: from }),
+      BlogRevision.findOne({ blog: blog._id, version: to })
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const fields = {};
+    REVISION_FIELDS.filter((field) => field !== "content").forEach((field) => {
+      const before = fromRevision[field] === undefined ? null : fromRevision[field];
+      const after = toRevision[field] === undefined ? null : toRevision[field];
+      if (JSON.stringify(before) !== JSON.stringify(after)) fields[field] = { before, after };
+    });
+
+    const contentChanged = (fromRevision.content || "") !== (toRevision.content || "");
+
+    res.json({
+      from,
+      to,
+      fields,
+      content: contentChanged ? diffLines(fromRevision.content, toRevision.content) : []
+    });
+  } catch (err) {
+    console.error("diffRevisions error:", err);
+    res.status(500).json({ message: "Server error comparing revisions" });
+  }
+};
+
+// GET /api/blogs/admin/:id/revisions/:version  (blog:read) - one full revision
+exports.getRevision = async (req, res) => {
+  try {
+    const blog = await findBlog(req, res);
+    if (!blog) return;
+
+    const revision = await BlogRevision.findOne({
+      blog: blog._id,
+      version: parseInt(req.params.version)
+    }).populate("editedBy", "name email");
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+    res.json(revision);
+  } catch (err) {
+    console.error("getRevision error:", err);
+    res.status(500).json({ message: "Server error fetching revision" });
+  }
+};
+
+// POST /api/blogs/admin/:id/revisions/:version/restore  (blog:edit) - make an old revision current
+// The restore is saved as a new revision, so it can itself be undone
+exports.restoreRevision = async (req, res) => {
+  try {
+    const blog = await findBlog(req, res);
+    if (!blog) return;
+
+    const revision = await BlogRevision.findOne({
+      blog: blog._id,
+      version: parseInt(req.params.version)
+    });
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+    await BlogRevision.ensureBaseline(blog);
+    const before = blog.toObject();
+
+    REVISION_FIELDS.forEach((field) => {
+      blog[field] = revision[field] === undefined ? null : revision[field];
+    });
+    blog.updatedAt = Date.now();
+    await blog.save();
+
+    await BlogRevision.snapshot(blog, {
+      editedBy: req.user._id,
+      reason: "restore",
+      restoredFrom: revision.version
+    });
+    await AuditLog.record(req, {
+      action: "update",
+      entityType: "Blog",
+      before,
+      after: blog,
+      metadata: { restoredFrom: revision.version }
+    });
+
+    res.json({ message: `Restored revision ${revision.version}`, blog });
+  } catch (err) {
+    console.error("restoreRevision error:", err);
+    res.status(500).json({ message: "Server error restoring revision" });
+  }
+};
@@ -1,14 +1,31 @@
-const nodemailer = require("nodemailer");
+const { isEmailConfigured, sendMail, escapeHtml } = require("../config/mailer");
 const Contact = require("../models/Contact");
+const AuditLog = require("../models/AuditLog");
+const { paginate } = require("../middleware/listQueryMiddleware");
+
+// Hidden form field that people never fill in - bots usually do
+const HONEYPOT_FIELD = "website";
+
+// The same message from the same address within this window is a duplicate
+const DUPLICATE_WINDOW_MINUTES = 10;
 
 // Send contact message and save to database
 exports.sendJoinMessage = async (req, res) => {
   try {
     const { name, email, message } = req.body;
     
-    console.log('Received contact form data:', { name, email, message });
+    // Honeypot filled in - pretend it worked so the bot moves on
+    if (req.body[HONEYPOT_FIELD]) {
+      console.log('Contact form honeypot triggered from', req.ip);
+      return res.status(201).json({ message: "Message sent successfully" });
+    }
     
-    if (!name || !email || !message) {
+    // Form fields must be text - a JSON body could send arrays or objects instead
+    if ([name, email, message].some((value) => value !== undefined && typeof value !== "string")) {
+      return res.status(400).json({ message: "Name, email and message must be text" });
+    }
+
+    if (!name || !email || !message || !name.trim() || !message.trim()) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
@@ -18,6 +35,16 @@ exports.sendJoinMessage = async (req, res) => {
       return res.status(400).json({ message: "Please provide a valid email address" });
     }
 
+    // Resubmission of the same message (double click, bot replay)
+    const duplicate = await Contact.findOne({
+      email: email.trim().toLowerCase(),
+      message: message.trim(),
+      createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MINUTES * 60 * 1000) }
+    });
+    if (duplicate) {
+      return res.status(409).json({ message: "This message has already been received" });
+    }
+
     // Save contact message to database
     const contact = new Contact({
       name: name.trim(),
@@ -30,31 +57,20 @@ exports.sendJoinMessage = async (req, res) => {
     console.log('Contact saved to database:', contact._id);
 
     // Send email notification (optional - only if email credentials are configured)
-    if (process.env.EMAIL && process.env.EMAIL_PASS) {
+    if (isEmailConfigured()) {
       try {
-        const transporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST || "smtp.gmail.com",      
-          port: parseInt(process.env.SMTP_PORT) || 587,      
-          secure: process.env.SMTP_SECURE === "true", 
-          auth: {
-            user: process.env.EMAIL,        
-            pass: process.env.EMAIL_PASS    
-          }
-        });
-
         const mailOptions = {
-          from: process.env.EMAIL,
           to: process.env.ADMIN_EMAIL || "ahjssdias@gmail.com", 
           subject: `New Contact Form Submission from ${name}`,
           html: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
               <h2 style="color: #333;">New Contact Form Submission</h2>
               <div style="background: #f5f5f5; padding: 20px; border-radius: 5px;">
-                <p><strong>Name:</strong> ${name}</p>
-                <p><strong>Email:</strong> ${email}</p>
+                <p><strong>Name:</strong> ${escapeHtml(name)}</p>
+                <p><strong>Email:</strong> ${escapeHtml(email)}</p>
                 <p><strong>Message:</strong></p>
                 <p style="background: white; padding: 15px; border-left: 4px solid #007bff; margin: 10px 0;">
-                  ${message.replace(/\n/g, '<br>')}
+                  ${escapeHtml(message).replace(/\n/g, '<br>')}
                 </p>
               </div>
               <p style="color: #666; font-size: 12px; margin-top: 20px;">
@@ -64,7 +80,7 @@ exports.sendJoinMessage = async (req, res) => {
           `
         };
 
-        await transporter.sendMail(mailOptions);
+        await sendMail(mailOptions);
         console.log('Notification email sent successfully');
       } catch (emailError) {
         console.error('Failed to send notification email:', emailError);
@@ -88,12 +104,12 @@ exports.sendJoinMessage = async (req, res) => {
   }
 };
 
-// Get all contacts (admin only)
+// Get all contacts (admin only) - paginated, see listQueryMiddleware
 exports.getContacts = async (req, res) => {
   try {
-    const contacts = await Contact.find().sort({ createdAt: -1 });
-    console.log(`Fetched ${contacts.length} contacts`);
-    res.json(contacts);
+    const result = await paginate(Contact, {}, req.listQuery);
+    console.log(`Fetched ${result.data.length} of ${result.pagination.total} contacts`);
+    res.json(result);
   } catch (err) {
     console.error("getContacts error:", err);
     res.status(500).json({ message: "Failed to fetch contacts" });
@@ -103,16 +119,18 @@ exports.getContacts = async (req, res) => {
 // Mark contact as read
 exports.markAsRead = async (req, res) => {
   try {
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
-      { read: true, updatedAt: new Date() },
-      { new: true }
-    );
+    const contact = await Contact.findById(req.params.id);
     
     if (!contact) {
       return res.status(404).json({ message: "Contact not found" });
     }
     
+    const before = contact.toObject();
+    contact.read = true;
+    contact.updatedAt = new Date();
+    await contact.save();
+    await AuditLog.record(req, { action: "update", entityType: "Contact", before, after: contact });
+    
     console.log('Contact marked as read:', contact._id);
     res.json(contact);
   } catch (err) {
@@ -129,6 +147,7 @@ exports.deleteContact = async (req, res) => {
     if (!contact) {
       return res.status(404).json({ message: "Contact not found" });
     }
+    await AuditLog.record(req, { action: "delete", entityType: "Contact", before: contact });
     
     console.log('Contact deleted:', contact._id);
     res.json({ message: "Contact deleted successfully" });
@@ -0,0 +1,398 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const AuditLog = require("../models/AuditLog");
+const { isEmailConfigured, sendMail, escapeHtml } = require("../config/mailer");
+const { escapeCsv } = require("./exportController");
+
+const REGISTRATION_STATUSES = EventRegistration.schema.path("status").enumValues;
+
+// Columns of the attendee export
+const ATTENDEE_COLUMNS = {
+  Name: (registration) => registration.name,
+  Email: (registration) => registration.email,
+  Phone: (registration) => registration.phone || "",
+  Status: (registration) => registration.status,
+  "Registered At": (registration) => registration.createdAt.toISOString(),
+  "Promoted At": (registration) => (registration.promotedAt ? registration.promotedAt.toISOString() : ""),
+  "Cancelled At": (registration) => (registration.cancelledAt ? registration.cancelledAt.toISOString() : "")
+};
+
+// Hash a cancellation token - only the hash is stored in the database
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Link the attendee follows to cancel their registration
+const buildCancelUrl = (token) => {
+  const baseUrl = process.env.FRONTEND_URL || "https://ganuprofessional.lk";
+  return `${baseUrl}/events/cancel-registration?token=${token}`;
+};
+
+// Number of confirmed (non-waitlisted) attendees for an event
+const countRegistered = (eventId) => {
+  return EventRegistration.countDocuments({ event: eventId, status: "registered" });
+};
+
+// Events created before the seat counter existed get it from their registrations first
+const ensureSeatCounter = async (eventId) => {
+  const registered = await countRegistered(eventId);
+  await Event.updateOne({ _id: eventId, registeredCount: { $exists: false } }, { registeredCount: registered });
+};
+
+// Take a seat if the event has one free - a single conditional update, so concurrent requests cannot overbook
+const reserveSeat = async (eventId) => {
+  await ensureSeatCounter(eventId);
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      $or: [{ capacity: null }, { $expr: { $lt: ["$registeredCount", "$capacity"] } }]
+    },
+    { $inc: { registeredCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releaseSeat = async (eventId) => {
+  await Event.updateOne({ _id: eventId, registeredCount: { $gt: 0 } }, { $inc: { registeredCount: -1 } });
+};
+
+// Duplicate key on the { event, email } index of active registrations
+const isDuplicateRegistration = (err) => err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.email);
+
+// Email an attendee about their registration (optional - never blocks the request)
+const sendRegistrationEmail = async (registration, event, { subject, intro, cancelToken }) => {
+  if (!isEmailConfigured()) return;
+
+  try {
+    await sendMail({
+      to: registration.email,
+      subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${escapeHtml(event.title)}</h2>
+          <p>Dear ${escapeHtml(registration.name)},</p>
+          <p>${intro}</p>
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 5px;">
+            <p><strong>Date:</strong> ${new Date(event.date).toUTCString()}</p>
+            <p><strong>Location:</strong> ${escapeHtml(event.location)}</p>
+          </div>
+          ${cancelToken ? `
+          <p style="margin-top: 20px;">
+            Can't make it? <a href="${escapeHtml(buildCancelUrl(cancelToken))}">Cancel your registration</a>
+            so someone on the waitlist can take your place.
+          </p>` : ''}
+        </div>
+      `
+    });
+  } catch (emailError) {
+    console.error('Failed to send registration email:', emailError);
+  }
+};
+
+// Promote waitlisted attendees (oldest first) while the event has free spots
+// Each promotion reserves its seat first (unlimited capacity always has one)
+const promoteFromWaitlist = async (event) => {
+  const promoted = [];
+
+  while (await reserveSeat(event._id)) {
+    const next = await EventRegistration.findOneAndUpdate(
+      { event: event._id, status: "waitlisted" },
+      { status: "registered", promotedAt: new Date(), updatedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!next) {
+      await releaseSeat(event._id);
+      break;
+    }
+
+    promoted.push(next);
+
+    await sendRegistrationEmail(next, event, {
+      subject: `You're off the waitlist: ${event.title}`,
+      intro: "A place has opened up and your registration is now confirmed."
+    });
+  }
+
+  if (promoted.length > 0) {
+    console.log(`Promoted ${promoted.length} attendee(s) from waitlist for event ${event._id}`);
+  }
+
+  return promoted;
+};
+
+// Cancel a registration and hand its place to the waitlist
+// Resolves to false when it was already cancelled (only one request frees the seat)
+const cancelRegistration = async (registration) => {
+  const changes = { status: "cancelled", cancelledAt: new Date(), updatedAt: Date.now() };
+  const previous = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: { $ne: "cancelled" } },
+    changes
+  );
+  if (!previous) return false;
+  registration.set(changes);
+
+  if (previous.status === "registered") {
+    await releaseSeat(registration.event);
+    const event = await Event.findById(registration.event);
+    if (event) await promoteFromWaitlist(event);
+  }
+  return true;
+};
+
+exports.promoteFromWaitlist = promoteFromWaitlist;
+
+// POST /api/events/:id/register  (public) - register for an event
+exports.registerForEvent = async (req, res) => {
+  try {
+    const { name, email, phone } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (event.type !== "event") {
+      return res.status(400).json({ message: "Registration is only available for events" });
+    }
+
+    if (event.date < new Date()) {
+      return res.status(400).json({ message: "This event has already taken place" });
+    }
+
+    if (typeof name !== "string" || typeof email !== "string" || !name.trim() || !email.trim()) {
+      return res.status(400).json({ message: "Name and email are required" });
+    }
+    if (phone !== undefined && typeof phone !== "string") {
+      return res.status(400).json({ message: "Phone must be text" });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await EventRegistration.findOne({
+      event: event._id,
+      email: normalizedEmail,
+      status: { $ne: "cancelled" }
+    });
+    if (existing) {
+      return res.status(400).json({ message: "This email is already registered for the event" });
+    }
+
+    const isFull = !(await reserveSeat(event._id));
+    const cancelToken = crypto.randomBytes(32).toString("hex");
+
+    let registration;
+    try {
+      registration = await EventRegistration.create({
+        event: event._id,
+        name: name.trim(),
+        email: normalizedEmail,
+        phone: phone ? phone.trim() : undefined,
+        status: isFull ? "waitlisted" : "registered",
+        cancelTokenHash: hashToken(cancelToken)
+      });
+    } catch (createError) {
+      // The seat was never used
+      if (!isFull) await releaseSeat(event._id);
+      throw createError;
+    }
+
+    await sendRegistrationEmail(registration, event, {
+      subject: isFull ? `You're on the waitlist: ${event.title}` : `Registration confirmed: ${event.title}`,
+      intro: isFull
+        ? "The event is currently full, so you have been added to the waitlist. We will email you if a place opens up."
+        : "Your registration is confirmed. We look forward to seeing you.",
+      cancelToken
+    });
+
+    console.log(`Event registration ${registration._id} (${registration.status})`);
+    res.status(201).json({
+      message: isFull
+        ? "The event is full - you have been added to the waitlist"
+        : "Registration successful",
+      registrationId: registration._id,
+      status: registration.status,
+      cancelToken
+    });
+  } catch (err) {
+    console.error("registerForEvent error:", err);
+
+    // A concurrent request registered the same email first
+    if (isDuplicateRegistration(err)) {
+      return res.status(400).json({ message: "This email is already registered for the event" });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Invalid registration data: " + err.message });
+    }
+
+    res.status(500).json({ message: "Failed to register. Please try again later." });
+  }
+};
+
+// GET /api/events/:id/availability  (public) - capacity and remaining places
+exports.getAvailability = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const [registered, waitlisted] = await Promise.all([
+      countRegistered(event._id),
+      EventRegistration.countDocuments({ event: event._id, status: "waitlisted" })
+    ]);
+
+    res.json({
+      capacity: event.capacity,
+      registered,
+      waitlisted,
+      spotsLeft: event.capacity ? Math.max(event.capacity - registered, 0) : null,
+      isFull: Boolean(event.capacity) && registered >= event.capacity
+    });
+  } catch (err) {
+    console.error("getAvailability error:", err);
+    res.status(500).json({ message: "Server error fetching availability" });
+  }
+};
+
+// GET /api/events/registrations/:token  (public) - look up a registration by its cancellation token
+exports.getRegistrationByToken = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOne({
+      cancelTokenHash: hashToken(req.params.token)
+    }).populate("event", "title date location");
+    if (!registration) return res.status(404).json({ message: "Registration not found" });
+
+    res.json({
+      name: registration.name,
+      email: registration.email,
+      status: registration.status,
+      event: registration.event
+    });
+  } catch (err) {
+    console.error("getRegistrationByToken error:", err);
+    res.status(500).json({ message: "Server error fetching registration" });
+  }
+};
+
+// POST /api/events/registrations/:token/cancel  (public) - cancel via the emailed link
+exports.cancelRegistrationByToken = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOne({
+      cancelTokenHash: hashToken(req.params.token)
+    });
+    if (!registration) return res.status(404).json({ message: "Registration not found" });
+
+    if (registration.status === "cancelled" || !(await cancelRegistration(registration))) {
+      return res.status(400).json({ message: "This registration has already been cancelled" });
+    }
+
+    res.json({ message: "Your registration has been cancelled" });
+  } catch (err) {
+    console.error("cancelRegistrationByToken error:", err);
+    res.status(500).json({ message: "Failed to cancel registration" });
+  }
+};
+
+// ?status= is empty or one of the registration statuses
+const isValidStatusFilter = (status) => !status || REGISTRATION_STATUSES.includes(status);
+
+// Build the admin attendee query from ?status=
+const buildRegistrationQuery = (eventId, status) => {
+  const query = { event: eventId };
+  if (status) query.status = status;
+  return query;
+};
+
+// GET /api/events/admin/:id/registrations  (admin only) - list attendees (?status=)
+exports.getRegistrations = async (req, res) => {
+  try {
+    if (!isValidStatusFilter(req.query.status)) {
+      return res.status(400).json({ message: `Status must be one of: ${REGISTRATION_STATUSES.join(", ")}` });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const registrations = await EventRegistration.find(
+      buildRegistrationQuery(event._id, req.query.status)
+    )
+      .select("-cancelTokenHash")
+      .sort({ createdAt: 1 });
+
+    res.json(registrations);
+  } catch (err) {
+    console.error("getRegistrations error:", err);
+    res.status(500).json({ message: "Server error fetching registrations" });
+  }
+};
+
+// GET /api/events/admin/:id/registrations/export  (admin only) - download attendees (?format=csv|xlsx)
+exports.exportRegistrations = async (req, res) => {
+  try {
+    if (!isValidStatusFilter(req.query.status)) {
+      return res.status(400).json({ message: `Status must be one of: ${REGISTRATION_STATUSES.join(", ")}` });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const registrations = await EventRegistration.find(
+      buildRegistrationQuery(event._id, req.query.status)
+    ).sort({ createdAt: 1 });
+
+    const headers = Object.keys(ATTENDEE_COLUMNS);
+    const rows = registrations.map((registration) => headers.map((header) => ATTENDEE_COLUMNS[header](registration)));
+
+    let buffer;
+    if (format === "csv") {
+      // Attendees fill in these fields themselves - escapeCsv keeps spreadsheets from running them as formulas
+      const lines = [headers, ...rows].map((row) => row.map(escapeCsv).join(",") + "\r\n");
+      buffer = Buffer.from("\uFEFF" + lines.join(""));
+    } else {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([headers, ...rows]), "Attendees");
+      buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+    }
+
+    const filename = `event-${event._id}-attendees.${format}`;
+    res.setHeader(
+      'Content-Type',
+      format === "xlsx"
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("exportRegistrations error:", err);
+    res.status(500).json({ message: "Server error exporting registrations" });
+  }
+};
+
+// DELETE /api/events/admin/registrations/:registrationId  (admin only) - cancel an attendee
+exports.cancelRegistrationAsAdmin = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findById(req.params.registrationId);
+    if (!registration) return res.status(404).json({ message: "Registration not found" });
+
+    if (registration.status === "cancelled") {
+      return res.status(400).json({ message: "This registration has already been cancelled" });
+    }
+
+    const before = registration.toObject();
+    if (!(await cancelRegistration(registration))) {
+      return res.status(400).json({ message: "This registration has already been cancelled" });
+    }
+    await AuditLog.record(req, { action: "update", entityType: "EventRegistration", before, after: registration });
+    res.json({ message: "Registration cancelled" });
+  } catch (err) {
+    console.error("cancelRegistrationAsAdmin error:", err);
+    res.status(500).json({ message: "Failed to cancel registration" });
+  }
+};
@@ -0,0 +1,235 @@
+const XLSX = require("xlsx");
+const Contact = require("../models/Contact");
+const Career = require("../models/Career");
+const Event = require("../models/Event");
+const Blog = require("../models/Blog");
+
+// XLSX files cannot be streamed, so they are capped - use CSV for larger exports
+const XLSX_MAX_ROWS = parseInt(process.env.EXPORT_XLSX_MAX_ROWS) || 50000;
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : "");
+const formatBoolean = (value) => (value ? "Yes" : "No");
+
+// Parse ?read= / ?published= style query flags (undefined when not provided)
+const parseBooleanFilter = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+};
+
+// Name of the first ?from= / ?to= value that is not a date (null when both are fine)
+const findInvalidDate = ({ from, to }) => {
+  if (from && isNaN(new Date(from))) return "from";
+  if (to && isNaN(new Date(to))) return "to";
+  return null;
+};
+
+// Add a ?from= / ?to= range on the given date field (validated with findInvalidDate first)
+const applyDateRange = (query, field, { from, to }) => {
+  if (!from && !to) return;
+  query[field] = {};
+  if (from) query[field].$gte = new Date(from);
+  if (to) query[field].$lte = new Date(to);
+};
+
+// Exportable collections: query filters, sort order and spreadsheet columns
+const EXPORTS = {
+  contacts: {
+    model: Contact,
+    sheetName: "Contacts",
+    sort: { createdAt: -1 },
+    buildQuery: (filters) => {
+      const query = {};
+      const read = parseBooleanFilter(filters.read);
+      if (read !== undefined) query.read = read;
+      applyDateRange(query, "createdAt", filters);
+      return query;
+    },
+    columns: {
+      Name: (doc) => doc.name,
+      Email: (doc) => doc.email,
+      Message: (doc) => doc.message,
+      Read: (doc) => formatBoolean(doc.read),
+      "Received At": (doc) => formatDate(doc.createdAt)
+    }
+  },
+  careers: {
+    model: Career,
+    sheetName: "Careers",
+    sort: { createdAt: -1 },
+    buildQuery: (filters) => {
+      const query = {};
+      const published = parseBooleanFilter(filters.published);
+      if (published !== undefined) query.published = published;
+      if (filters.type) query.type = filters.type;
+      applyDateRange(query, "createdAt", filters);
+      return query;
+    },
+    columns: {
+      Title: (doc) => doc.title,
+      Location: (doc) => doc.location,
+      Type: (doc) => doc.type,
+      Salary: (doc) => doc.salary || "",
+      "Application Deadline": (doc) => formatDate(doc.applicationDeadline),
+      Requirements: (doc) => (doc.requirements || []).join("; "),
+      Published: (doc) => formatBoolean(doc.published),
+      "Created At": (doc) => formatDate(doc.createdAt)
+    }
+  },
+  events: {
+    model: Event,
+    sheetName: "Events",
+    sort: { date: 1 },
+    buildQuery: (filters) => {
+      const query = {};
+      if (filters.type) query.type = filters.type;
+      applyDateRange(query, "date", filters);
+      return query;
+    },
+    columns: {
+      Title: (doc) => doc.title,
+      Type: (doc) => doc.type,
+      Date: (doc) => formatDate(doc.date),
+      Location: (doc) => doc.location,
+      Capacity: (doc) => (doc.capacity ? doc.capacity : ""),
+      Description: (doc) => doc.description,
+      "Created At": (doc) => formatDate(doc.createdAt)
+    }
+  },
+  blogs: {
+    model: Blog,
+    sheetName: "Blogs",
+    sort: { createdAt: -1 },
+    buildQuery: (filters) => {
+      const query = {};
+      const published = parseBooleanFilter(filters.published);
+      if (published !== undefined) query.published = published;
+      applyDateRange(query, "createdAt", filters);
+      return query;
+    },
+    columns: {
+      Title: (doc) => doc.title,
+      Author: (doc) => doc.author,
+      Excerpt: (doc) => doc.excerpt || "",
+      "PDF Post": (doc) => formatBoolean(doc.isPdfPost),
+      Published: (doc) => formatBoolean(doc.published),
+      "Publish At": (doc) => formatDate(doc.publishAt),
+      "Created At": (doc) => formatDate(doc.createdAt),
+      "Updated At": (doc) => formatDate(doc.updatedAt)
+    }
+  }
+};
+
+// Quote a CSV value when it contains a delimiter, quote or newline
+// Text starting with = + - @ (or a tab / carriage return) gets a leading ' so spreadsheets do not run it as a formula
+const escapeCsv = (value) => {
+  let text = String(value === undefined || value === null ? "" : value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (columns, doc) => {
+  return Object.keys(columns).reduce((row, header) => {
+    row[header] = columns[header](doc);
+    return row;
+  }, {});
+};
+
+// Resolve once the response can take more data (or the client has gone away)
+const waitForDrain = (res) => {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+// Stream rows straight from a MongoDB cursor as CSV
+const streamCsv = async (res, exportDef, query) => {
+  const headers = Object.keys(exportDef.columns);
+  const cursor = exportDef.model.find(query).sort(exportDef.sort).lean().cursor();
+
+  // BOM so Excel opens the file as UTF-8
+  res.write("\uFEFF" + headers.map(escapeCsv).join(",") + "\r\n");
+
+  for await (const doc of cursor) {
+    // Stop reading from the database if the client disconnected
+    if (res.destroyed) {
+      await cursor.close();
+      return;
+    }
+
+    const row = toRow(exportDef.columns, doc);
+    const line = headers.map((header) => escapeCsv(row[header])).join(",") + "\r\n";
+
+    // Respect backpressure so large exports are not buffered in memory
+    if (!res.write(line)) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end();
+};
+
+// Build an export handler for one collection (admin only)
+// e.g. GET /api/contact/admin/export?format=xlsx&read=false&from=2025-01-01
+// ?format=csv|xlsx plus the entity filters: from, to, read, published, type
+exports.escapeCsv = escapeCsv;
+exports.findInvalidDate = findInvalidDate;
+
+exports.exportEntity = (entity) => async (req, res) => {
+  try {
+    const exportDef = EXPORTS[entity];
+
+    const format = req.query.format || "csv";
+    if (format !== "csv" && format !== "xlsx") {
+      return res.status(400).json({ message: "Format must be either 'csv' or 'xlsx'" });
+    }
+
+    // Checked before anything is streamed, while an error status can still be sent
+    const invalidDate = findInvalidDate(req.query);
+    if (invalidDate) {
+      return res.status(400).json({ message: `'${invalidDate}' must be a valid date` });
+    }
+
+    const query = exportDef.buildQuery(req.query);
+    const filename = `${entity}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return await streamCsv(res, exportDef, query);
+    }
+
+    const total = await exportDef.model.countDocuments(query);
+    if (total > XLSX_MAX_ROWS) {
+      return res.status(400).json({
+        message: `Too many rows for an XLSX export (${total}, max ${XLSX_MAX_ROWS}). Narrow the filters or use format=csv.`
+      });
+    }
+
+    const rows = [];
+    const cursor = exportDef.model.find(query).sort(exportDef.sort).lean().cursor();
+    for await (const doc of cursor) {
+      rows.push(toRow(exportDef.columns, doc));
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const sheet = XLSX.utils.json_to_sheet(rows, { header: Object.keys(exportDef.columns) });
+    XLSX.utils.book_append_sheet(workbook, sheet, exportDef.sheetName);
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  } catch (err) {
+    console.error("exportEntity error:", err);
+
+    // Headers are already sent once CSV streaming has started
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Server error exporting data" });
+  }
+};
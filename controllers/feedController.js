@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Tag = require("../models/Tag");
+const { FRONTEND_URL, SITE_NAME, buildPublicUrl } = require("../config/site");
+
+// Newest items included in each feed
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT) || 50;
+
+// Feed sources: which documents, their page kind and the feed's title/description
+const FEEDS = {
+  blogs: {
+    model: Blog,
+    filter: { published: true },
+    pageKind: "blog",
+    title: `${SITE_NAME} Blog`,
+    description: `Latest articles from ${SITE_NAME}`,
+    summary: (doc) => doc.excerpt,
+    html: (doc) => doc.content
+  },
+  news: {
+    model: Event,
+    filter: { type: "news" },
+    pageKind: "news",
+    title: `${SITE_NAME} News`,
+    description: `Latest news from ${SITE_NAME}`,
+    summary: (doc) => doc.description,
+    html: (doc) => doc.description
+  }
+};
+
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+const stripHtml = (html) => String(html || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
+// Bytes from a formatFileSize() string such as "1.5 MB" (feeds need a byte length)
+const parseFileSize = (text) => {
+  const match = /^([\d.]+)\s*(Bytes|KB|MB|GB)$/i.exec(String(text || "").trim());
+  if (!match) return 0;
+  const power = ["bytes", "kb", "mb", "gb"].indexOf(match[2].toLowerCase());
+  return Math.round(parseFloat(match[1]) * 1024 ** power);
+};
+
+// Base URL of this API, for absolute links to the feed itself and to local uploads
+const apiBaseUrl = (req) => `${req.protocol}://${req.get("host")}`;
+
+// PDF posts are published as enclosures (local uploads are made absolute)
+const buildEnclosure = (req, doc) => {
+  if (!doc.pdfUrl) return null;
+  return {
+    url: /^https?:\/\//.test(doc.pdfUrl) ? doc.pdfUrl : apiBaseUrl(req) + doc.pdfUrl,
+    type: "application/pdf",
+    length: parseFileSize(doc.fileSize)
+  };
+};
+
+const timeOf = (value) => (value ? new Date(value).getTime() : 0);
+
+// Cheap fingerprint of a feed: the items it shows (ids, update times, tags) and the tags they use
+// Lets polling clients get a 304 before any feed is built
+const getFeedState = async (feed) => {
+  const items = await feed.model.find(feed.filter)
+    .sort({ createdAt: -1 })
+    .limit(FEED_ITEM_LIMIT)
+    .select("updatedAt tags")
+    .lean();
+  const tagIds = [...new Set(items.flatMap((item) => (item.tags || []).map(String)))];
+  const tags = tagIds.length > 0
+    ? await Tag.find({ _id: { $in: tagIds } }).sort({ _id: 1 }).select("updatedAt").lean()
+    : [];
+
+  const hash = crypto.createHash("sha1");
+  items.forEach((item) => hash.update(`${item._id}:${timeOf(item.updatedAt)}:${(item.tags || []).join(",")};`));
+  tags.forEach((tag) => hash.update(`${tag._id}:${timeOf(tag.updatedAt)};`));
+
+  // Newest change, for Last-Modified and the Atom <updated> element
+  const lastModified = new Date(Math.max(0, ...items.map((item) => timeOf(item.updatedAt)), ...tags.map((tag) => timeOf(tag.updatedAt))));
+  return { fingerprint: hash.digest("base64url"), lastModified };
+};
+
+const renderRss = (req, feed, items) => {
+  const self = apiBaseUrl(req) + req.originalUrl;
+  const entries = items.map((doc) => {
+    const link = buildPublicUrl(feed.pageKind, doc);
+    const enclosure = buildEnclosure(req, doc);
+    return `    <item>
+      <title>${escapeXml(doc.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="false">${doc._id}</guid>
+      <pubDate>${new Date(doc.createdAt).toUTCString()}</pubDate>
+      <description>${escapeXml(stripHtml(feed.summary(doc)))}</description>${feed.html(doc) ? `
+      <content:encoded>${escapeXml(feed.html(doc))}</content:encoded>` : ""}${(doc.tags || []).map((tag) => `
+      <category>${escapeXml(tag.name)}</category>`).join("")}${enclosure ? `
+      <enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>` : ""}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(FRONTEND_URL)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${entries.join("\n")}
+  </channel>
+</rss>`;
+};
+
+const renderAtom = (req, feed, items, lastModified) => {
+  const self = apiBaseUrl(req) + req.originalUrl;
+  const entries = items.map((doc) => {
+    const link = buildPublicUrl(feed.pageKind, doc);
+    const enclosure = buildEnclosure(req, doc);
+    return `  <entry>
+    <title>${escapeXml(doc.title)}</title>
+    <link href="${escapeXml(link)}"/>
+    <id>urn:${feed.pageKind}:${doc._id}</id>
+    <published>${new Date(doc.createdAt).toISOString()}</published>
+    <updated>${new Date(doc.updatedAt || doc.createdAt).toISOString()}</updated>${doc.author ? `
+    <author><name>${escapeXml(doc.author)}</name></author>` : ""}
+    <summary>${escapeXml(stripHtml(feed.summary(doc)))}</summary>${feed.html(doc) ? `
+    <content type="html">${escapeXml(feed.html(doc))}</content>` : ""}${(doc.tags || []).map((tag) => `
+    <category term="${escapeXml(tag.slug)}" label="${escapeXml(tag.name)}"/>`).join("")}${enclosure ? `
+    <link rel="enclosure" href="${escapeXml(enclosure.url)}" type="${enclosure.type}" length="${enclosure.length}"/>` : ""}
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(FRONTEND_URL)}"/>
+  <link href="${escapeXml(self)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(self)}</id>
+  <updated>${lastModified.toISOString()}</updated>
+${entries.join("\n")}
+</feed>`;
+};
+
+const renderJsonFeed = (req, feed, items) => {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: FRONTEND_URL,
+    feed_url: apiBaseUrl(req) + req.originalUrl,
+    items: items.map((doc) => {
+      const enclosure = buildEnclosure(req, doc);
+      return {
+        id: String(doc._id),
+        url: buildPublicUrl(feed.pageKind, doc),
+        title: doc.title,
+        summary: stripHtml(feed.summary(doc)) || undefined,
+        content_html: feed.html(doc) || undefined,
+        image: doc.imageUrl || undefined,
+        date_published: new Date(doc.createdAt).toISOString(),
+        date_modified: new Date(doc.updatedAt || doc.createdAt).toISOString(),
+        authors: doc.author ? [{ name: doc.author }] : undefined,
+        tags: doc.tags && doc.tags.length > 0 ? doc.tags.map((tag) => tag.name) : undefined,
+        attachments: enclosure
+          ? [{ url: enclosure.url, mime_type: enclosure.type, size_in_bytes: enclosure.length || undefined }]
+          : undefined
+      };
+    })
+  });
+};
+
+const FORMATS = {
+  rss: { contentType: "application/rss+xml; charset=utf-8", render: renderRss },
+  atom: { contentType: "application/atom+xml; charset=utf-8", render: renderAtom },
+  json: { contentType: "application/feed+json; charset=utf-8", render: renderJsonFeed }
+};
+
+// Build a feed handler, e.g. feed("blogs", "rss") for GET /api/blogs/feed.xml
+// Sends ETag/Last-Modified and answers conditional requests with 304
+// The ETag takes precedence: it also changes when an item is deleted or a tag renamed, which Last-Modified can miss
+exports.feed = (source, format) => async (req, res) => {
+  try {
+    const feed = FEEDS[source];
+    const { contentType, render } = FORMATS[format];
+
+    const { fingerprint, lastModified } = await getFeedState(feed);
+    res.setHeader("Content-Type", contentType);
+    // Feeds may be cached, unlike the rest of the API
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.removeHeader("Pragma");
+    res.removeHeader("Expires");
+    res.setHeader("Last-Modified", lastModified.toUTCString());
+    res.setHeader("ETag", `W/"${source}-${format}-${fingerprint}"`);
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const items = await feed.model.find(feed.filter)
+      .sort({ createdAt: -1 })
+      .limit(FEED_ITEM_LIMIT)
+      .populate("tags", "name slug");
+
+    res.send(render(req, feed, items, lastModified));
+  } catch (err) {
+    console.error("feed error:", err);
+    res.status(500).json({ message: "Server error generating feed" });
+  }
+};
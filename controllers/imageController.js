@@ -1,5 +1,8 @@
 const Image = require("../models/Image");
-const { deleteFromCloudinary } = require("../config/cloudinary");
+const Album = require("../models/Album");
+const AuditLog = require("../models/AuditLog");
+const { discardUploadedFile } = require("../config/upload");
+const { paginate } = require("../middleware/listQueryMiddleware");
 
 // POST /api/images  (admin only) - upload image
 exports.uploadImage = async (req, res) => {
@@ -10,29 +13,28 @@ exports.uploadImage = async (req, res) => {
     const newImage = await Image.create({
       title: title || req.file.originalname,
       description: description || "",
-      filename: req.file.path, // Cloudinary URL
+      filename: req.file.path, // Stored file's URL
       originalName: req.file.originalname,
       uploadedBy: req.user._id || req.user.id
     });
+    await AuditLog.record(req, { action: "create", entityType: "Image", after: newImage });
 
     res.status(201).json({ message: "Image uploaded", image: newImage });
   } catch (err) {
     console.error("uploadImage error:", err);
     
-    // Clean up uploaded file from Cloudinary if there was an error
-    if (req.file && req.file.path) {
-      await deleteFromCloudinary(req.file.path);
-    }
+    // Clean up uploaded file if there was an error
+    await discardUploadedFile(req.file);
     
     res.status(500).json({ message: "Server error uploading image" });
   }
 };
 
-// GET /api/images  (public) - list all images
+// GET /api/images  (public) - list images (paginated, see listQueryMiddleware)
 exports.getImages = async (req, res) => {
   try {
-    const images = await Image.find().sort({ createdAt: -1 });
-    res.json(images);
+    const result = await paginate(Image, {}, req.listQuery);
+    res.json(result);
   } catch (err) {
     console.error("getImages error:", err);
     res.status(500).json({ message: "Server error fetching images" });
@@ -46,9 +48,11 @@ exports.updateImage = async (req, res) => {
     const image = await Image.findById(req.params.id);
     if (!image) return res.status(404).json({ message: "Image not found" });
 
+    const before = image.toObject();
     if (title !== undefined) image.title = title;
     if (description !== undefined) image.description = description;
     await image.save();
+    await AuditLog.record(req, { action: "update", entityType: "Image", before, after: image });
 
     res.json({ message: "Image updated", image });
   } catch (err) {
@@ -57,18 +61,16 @@ exports.updateImage = async (req, res) => {
   }
 };
 
-// DELETE /api/images/:id  (admin only) - delete image file + record
+// DELETE /api/images/:id  (admin only) - delete the record and take it out of its albums
+// The file is removed by the asset garbage collector once nothing else uses it
 exports.deleteImage = async (req, res) => {
   try {
     const image = await Image.findById(req.params.id);
     if (!image) return res.status(404).json({ message: "Image not found" });
 
-    // Delete from Cloudinary
-    if (image.filename) {
-      await deleteFromCloudinary(image.filename);
-    }
-
     await Image.deleteOne({ _id: req.params.id });  
+    await Album.removeImage(image._id);
+    await AuditLog.record(req, { action: "delete", entityType: "Image", before: image });
     res.json({ message: "Image deleted successfully" });
   } catch (err) {
     console.error("deleteImage error:", err);
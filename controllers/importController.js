@@ -0,0 +1,212 @@
+const XLSX = require("xlsx");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const AuditLog = require("../models/AuditLog");
+
+// Most data rows one spreadsheet may hold
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// Normalize a spreadsheet header: "Application Deadline" -> "applicationdeadline"
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const cleanString = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === "" ? undefined : text;
+};
+
+const cleanLowercase = (value) => {
+  const text = cleanString(value);
+  return text === undefined ? undefined : text.toLowerCase();
+};
+
+// Leave unparseable values as-is so schema validation reports them
+const cleanDate = (value) => {
+  if (value instanceof Date) return value;
+  return cleanString(value);
+};
+
+const cleanNumber = (value) => {
+  const text = cleanString(value);
+  if (text === undefined) return undefined;
+  return Number.isNaN(Number(text)) ? text : Number(text);
+};
+
+const cleanBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = cleanLowercase(value);
+  if (text === undefined) return undefined;
+  return ["true", "yes", "y", "1"].includes(text);
+};
+
+// Requirements may be separated by semicolons or new lines within one cell
+const cleanList = (value) => {
+  const text = cleanString(value);
+  if (text === undefined) return undefined;
+  return text.split(/[;\n]/).map((item) => item.trim()).filter(Boolean);
+};
+
+// Importable collections: model and column -> field mapping (keys are normalized headers)
+const IMPORTS = {
+  events: {
+    model: Event,
+    columns: {
+      title: { field: "title", clean: cleanString },
+      description: { field: "description", clean: cleanString },
+      date: { field: "date", clean: cleanDate },
+      location: { field: "location", clean: cleanString },
+      type: { field: "type", clean: cleanLowercase },
+      capacity: { field: "capacity", clean: cleanNumber },
+      slug: { field: "slug", clean: cleanLowercase }
+    }
+  },
+  careers: {
+    model: Career,
+    columns: {
+      title: { field: "title", clean: cleanString },
+      description: { field: "description", clean: cleanString },
+      requirements: { field: "requirements", clean: cleanList },
+      location: { field: "location", clean: cleanString },
+      type: { field: "type", clean: cleanLowercase },
+      salary: { field: "salary", clean: cleanString },
+      applicationdeadline: { field: "applicationDeadline", clean: cleanDate },
+      deadline: { field: "applicationDeadline", clean: cleanDate },
+      published: { field: "published", clean: cleanBoolean },
+      slug: { field: "slug", clean: cleanLowercase }
+    }
+  }
+};
+
+// Map a spreadsheet row onto model fields, ignoring unknown columns
+const mapRow = (columns, row) => {
+  return Object.keys(row).reduce((data, header) => {
+    const column = columns[normalizeHeader(header)];
+    if (column) {
+      const value = column.clean(row[header]);
+      if (value !== undefined) data[column.field] = value;
+    }
+    return data;
+  }, {});
+};
+
+// Skipped-row errors for a row the database refused (validation already passed), e.g. a duplicate slug
+const writeErrorsOf = (writeError) => {
+  const error = writeError.err || writeError;
+  if (error.code === 11000 && error.keyValue) {
+    return Object.keys(error.keyValue || {}).map((field) => ({
+      field,
+      message: `Another record already uses the ${field} '${error.keyValue[field]}'`
+    }));
+  }
+  return [{ field: null, message: error.errmsg || "Could not be saved" }];
+};
+
+// Build an import handler for one collection (admin only)
+// POST with a .xlsx/.csv "file" field; ?mode=dry-run (default) validates only, ?mode=commit inserts valid rows
+exports.importEntity = (entity) => async (req, res) => {
+  try {
+    const importDef = IMPORTS[entity];
+    const mode = req.query.mode || req.body.mode || "dry-run";
+
+    if (mode !== "dry-run" && mode !== "commit") {
+      return res.status(400).json({ message: "Mode must be either 'dry-run' or 'commit'" });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: "Please upload a .xlsx or .csv file" });
+    }
+
+    let rows;
+    try {
+      // Reads one row past the limit (plus the header) - enough to tell the sheet is too long
+      const workbook = XLSX.read(req.file.buffer, { type: "buffer", cellDates: true, sheetRows: IMPORT_MAX_ROWS + 2 });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      rows = XLSX.utils.sheet_to_json(sheet, { defval: "", blankrows: false });
+    } catch (parseError) {
+      return res.status(400).json({ message: "Could not read spreadsheet: " + parseError.message });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "The spreadsheet has no data rows" });
+    }
+
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `Too many rows (max ${IMPORT_MAX_ROWS}). Split the spreadsheet into smaller files.` });
+    }
+
+    const validDocs = [];
+    const skipped = [];
+
+    rows.forEach((row) => {
+      // Spreadsheet row number as shown in Excel (__rowNum__ is zero-based and accounts for blank rows)
+      const rowNumber = row.__rowNum__ + 1;
+      const doc = new importDef.model(mapRow(importDef.columns, row));
+      const validationError = doc.validateSync();
+
+      if (validationError) {
+        skipped.push({
+          row: rowNumber,
+          errors: Object.values(validationError.errors).map((error) => ({
+            field: error.path,
+            message: error.name === "CastError"
+              ? `Invalid value '${error.value}' for ${error.path}`
+              : error.message
+          }))
+        });
+      } else {
+        validDocs.push({ row: rowNumber, doc });
+      }
+    });
+
+    let inserted = 0;
+    let validRows = validDocs;
+    if (mode === "commit" && validDocs.length > 0) {
+      // Give each row its own slug, even when several rows share a title
+      const reservedSlugs = new Set();
+      for (const { doc } of validDocs) {
+        await doc.assignSlug(reservedSlugs);
+      }
+
+      // Unordered, so one refused row (e.g. a duplicate key) does not stop the rest
+      let result;
+      try {
+        result = await importDef.model.insertMany(validDocs.map(({ doc }) => doc), { ordered: false });
+      } catch (insertError) {
+        if (!insertError.writeErrors) throw insertError;
+
+        const failedRows = new Map(insertError.writeErrors.map((writeError) => [validDocs[writeError.index].row, writeError]));
+        failedRows.forEach((writeError, row) => skipped.push({ row, errors: writeErrorsOf(writeError) }));
+        skipped.sort((a, b) => a.row - b.row);
+        validRows = validDocs.filter(({ row }) => !failedRows.has(row));
+        result = insertError.insertedDocs || [];
+      }
+      inserted = result.length;
+      console.log(`Imported ${inserted} ${entity} from ${req.file.originalname}`);
+
+      // One entry for the whole batch rather than one per row
+      if (inserted > 0) {
+        await AuditLog.record(req, {
+          action: "import",
+          entityType: importDef.model.modelName,
+          metadata: {
+            file: req.file.originalname,
+            inserted,
+            ids: result.map((doc) => doc._id)
+          }
+        });
+      }
+    }
+
+    res.status(mode === "commit" ? 201 : 200).json({
+      mode,
+      totalRows: rows.length,
+      valid: validRows.length,
+      inserted,
+      validRows: validRows.map(({ row }) => row),
+      skipped
+    });
+  } catch (err) {
+    console.error("importEntity error:", err);
+    res.status(500).json({ message: "Server error importing data" });
+  }
+};
@@ -0,0 +1,335 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const Career = require("../models/Career");
+const JobApplication = require("../models/JobApplication");
+const { APPLICATION_STAGES } = require("../models/JobApplication");
+const AuditLog = require("../models/AuditLog");
+const Asset = require("../models/Asset");
+const { formatFileSize, discardUploadedFile } = require("../config/upload");
+const { getFile, getSignedUrl } = require("../config/storage");
+const { isEmailConfigured, sendMail, escapeHtml } = require("../config/mailer");
+const { findInvalidDate } = require("./exportController");
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Candidate-facing wording for each stage
+const STAGE_MESSAGES = {
+  received: "We have received your application and will review it shortly.",
+  shortlisted: "Good news - your application has been shortlisted.",
+  interview: "We would like to invite you to an interview. We will contact you with the details.",
+  offered: "Congratulations - we would like to offer you the position.",
+  rejected: "Thank you for your interest. Unfortunately we will not be moving forward with your application.",
+  hired: "Welcome aboard! We are delighted to have you join the team."
+};
+
+// Email the candidate about a stage change
+const sendStageEmail = async (application, career, message) => {
+  await sendMail({
+    to: application.email,
+    subject: `Update on your application for ${career.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Application Update</h2>
+        <p>Dear ${escapeHtml(application.name)},</p>
+        <p>${STAGE_MESSAGES[application.status]}</p>
+        ${message ? `<p style="background: #f5f5f5; padding: 15px; border-left: 4px solid #007bff;">${escapeHtml(message).replace(/\n/g, '<br>')}</p>` : ''}
+        <p style="color: #666; font-size: 12px; margin-top: 20px;">
+          This email relates to your application for ${escapeHtml(career.title)} at Ganu Professional.
+        </p>
+      </div>
+    `
+  });
+};
+
+// POST /api/careers/:id/apply  (public) - submit an application with CV
+exports.applyForCareer = async (req, res) => {
+  try {
+    const { name, email, phone, coverLetter } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      await discardUploadedFile(req.file);
+      return res.status(404).json({ message: "Career not found" });
+    }
+
+    const career = await Career.findById(req.params.id);
+    if (!career || !career.published) {
+      await discardUploadedFile(req.file);
+      return res.status(404).json({ message: "Career not found" });
+    }
+
+    if (career.applicationDeadline < new Date()) {
+      await discardUploadedFile(req.file);
+      return res.status(400).json({ message: "The application deadline for this position has passed" });
+    }
+
+    // Form fields must be text - a JSON body could send arrays or objects instead
+    if ([name, email, phone, coverLetter].some((value) => value !== undefined && typeof value !== "string")) {
+      await discardUploadedFile(req.file);
+      return res.status(400).json({ message: "Invalid application data: fields must be text" });
+    }
+
+    if (!name || !email || !name.trim() || !email.trim()) {
+      await discardUploadedFile(req.file);
+      return res.status(400).json({ message: "Name and email are required" });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: "Please attach your CV (PDF or DOCX)" });
+    }
+
+    const existing = await JobApplication.findOne({
+      career: career._id,
+      email: email.trim().toLowerCase()
+    });
+    if (existing) {
+      await discardUploadedFile(req.file);
+      return res.status(400).json({ message: "You have already applied for this position" });
+    }
+
+    const application = await JobApplication.create({
+      career: career._id,
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      phone: phone ? phone.trim() : undefined,
+      coverLetter: coverLetter ? coverLetter.trim() : undefined,
+      cvUrl: req.file.path, // Stored file's URL (private)
+      cvFileName: req.file.originalname,
+      cvMimeType: req.file.mimetype,
+      fileSize: formatFileSize(req.file.size)
+    });
+
+    console.log('Job application received:', application._id);
+    res.status(201).json({
+      message: "Application submitted successfully",
+      applicationId: application._id
+    });
+  } catch (err) {
+    console.error("applyForCareer error:", err);
+    await discardUploadedFile(req.file);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Invalid application data: " + err.message });
+    }
+
+    res.status(500).json({ message: "Failed to submit application. Please try again later." });
+  }
+};
+
+// GET /api/careers/admin/:id/applications  (admin only) - list applications for a posting
+// Supports ?status=, ?q= (name/email search), ?from= and ?to= (submission date range)
+exports.getApplications = async (req, res) => {
+  try {
+    const career = await Career.findById(req.params.id);
+    if (!career) return res.status(404).json({ message: "Career not found" });
+
+    const { status, q, from, to } = req.query;
+    const query = { career: career._id };
+
+    if (q !== undefined && typeof q !== "string") {
+      return res.status(400).json({ message: "q must be a single search term" });
+    }
+
+    const invalidDate = findInvalidDate({ from, to });
+    if (invalidDate) {
+      return res.status(400).json({ message: `'${invalidDate}' must be a valid date` });
+    }
+
+    if (status) {
+      if (!APPLICATION_STAGES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${APPLICATION_STAGES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const applications = await JobApplication.find(query).sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (err) {
+    console.error("getApplications error:", err);
+    res.status(500).json({ message: "Server error fetching applications" });
+  }
+};
+
+// GET /api/careers/admin/:id/applications/stats  (admin only) - counts per stage
+exports.getApplicationStats = async (req, res) => {
+  try {
+    const career = await Career.findById(req.params.id);
+    if (!career) return res.status(404).json({ message: "Career not found" });
+
+    const results = await JobApplication.aggregate([
+      { $match: { career: career._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]);
+
+    const counts = APPLICATION_STAGES.reduce((acc, stage) => ({ ...acc, [stage]: 0 }), {});
+    results.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    res.json({
+      career: career._id,
+      total: results.reduce((sum, { count }) => sum + count, 0),
+      counts
+    });
+  } catch (err) {
+    console.error("getApplicationStats error:", err);
+    res.status(500).json({ message: "Server error fetching application stats" });
+  }
+};
+
+// GET /api/careers/admin/applications/:applicationId  (admin only) - single application
+exports.getApplication = async (req, res) => {
+  try {
+    const application = await JobApplication.findById(req.params.applicationId)
+      .populate("career", "title location type applicationDeadline")
+      .populate("statusHistory.changedBy", "name email")
+      .populate("notes.author", "name email");
+    if (!application) return res.status(404).json({ message: "Application not found" });
+    res.json(application);
+  } catch (err) {
+    console.error("getApplication error:", err);
+    res.status(500).json({ message: "Server error fetching application" });
+  }
+};
+
+// PUT /api/careers/admin/applications/:applicationId/status  (admin only) - move to a new stage
+// Body: { status, notifyCandidate?, message? }
+exports.updateApplicationStatus = async (req, res) => {
+  try {
+    const { status, message } = req.body;
+    const notifyCandidate = req.body.notifyCandidate === true || req.body.notifyCandidate === 'true';
+
+    if (!APPLICATION_STAGES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${APPLICATION_STAGES.join(', ')}` });
+    }
+
+    const application = await JobApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ message: "Application not found" });
+
+    if (application.status === status) {
+      return res.status(400).json({ message: `Application is already in the '${status}' stage` });
+    }
+
+    const before = application.toObject();
+    application.status = status;
+    const stageChange = {
+      status,
+      changedBy: req.user._id,
+      changedAt: new Date(),
+      candidateNotified: false
+    };
+
+    // Notify the candidate (optional - a failed email does not block the stage change)
+    if (notifyCandidate && isEmailConfigured()) {
+      try {
+        const career = await Career.findById(application.career);
+        await sendStageEmail(application, career, message);
+        stageChange.candidateNotified = true;
+        console.log('Stage change email sent to candidate:', application._id);
+      } catch (emailError) {
+        console.error('Failed to send stage change email:', emailError);
+      }
+    }
+
+    application.statusHistory.push(stageChange);
+    application.updatedAt = Date.now();
+    await application.save();
+    await AuditLog.record(req, { action: "update", entityType: "JobApplication", before, after: application });
+
+    res.json({
+      message: "Application status updated",
+      candidateNotified: stageChange.candidateNotified,
+      application
+    });
+  } catch (err) {
+    console.error("updateApplicationStatus error:", err);
+    res.status(500).json({ message: "Server error updating application status" });
+  }
+};
+
+// POST /api/careers/admin/applications/:applicationId/notes  (admin only) - add internal note
+exports.addApplicationNote = async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ message: "Note text is required" });
+    }
+
+    const application = await JobApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ message: "Application not found" });
+
+    const before = application.toObject();
+    application.notes.push({ text, author: req.user._id });
+    application.updatedAt = Date.now();
+    await application.save();
+    await AuditLog.record(req, { action: "update", entityType: "JobApplication", before, after: application });
+
+    res.status(201).json({ message: "Note added", notes: application.notes });
+  } catch (err) {
+    console.error("addApplicationNote error:", err);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Invalid note: " + err.message });
+    }
+
+    res.status(500).json({ message: "Server error adding note" });
+  }
+};
+
+// GET /api/careers/admin/applications/:applicationId/cv  (admin only) - download CV
+exports.downloadCv = async (req, res) => {
+  try {
+    const application = await JobApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ message: "Application not found" });
+
+    const downloadName = application.cvFileName || path.basename(application.cvUrl.split("?")[0]);
+
+    // Remote CVs are downloaded from a short-lived signed URL
+    const signedUrl = await getSignedUrl(application.cvUrl, { expiresIn: 300, downloadName });
+    if (signedUrl) {
+      return res.redirect(signedUrl);
+    }
+
+    // Local CVs are streamed through the API
+    const file = await getFile(application.cvUrl);
+    if (!file) {
+      return res.status(404).json({ message: "CV file not found" });
+    }
+
+    res.attachment(downloadName);
+    if (file.size) res.setHeader("Content-Length", file.size);
+    file.stream.pipe(res);
+  } catch (err) {
+    console.error("downloadCv error:", err);
+    res.status(500).json({ message: "Error downloading CV" });
+  }
+};
+
+// DELETE /api/careers/admin/applications/:applicationId  (admin only) - delete application + CV
+exports.deleteApplication = async (req, res) => {
+  try {
+    const application = await JobApplication.findById(req.params.applicationId);
+    if (!application) return res.status(404).json({ message: "Application not found" });
+
+    // CVs are personal data - removed right away rather than by the garbage collector
+    await Asset.removeFile(application.cvUrl);
+    await JobApplication.deleteOne({ _id: application._id });
+    await AuditLog.record(req, { action: "delete", entityType: "JobApplication", before: application });
+
+    res.json({ message: "Application deleted successfully" });
+  } catch (err) {
+    console.error("deleteApplication error:", err);
+    res.status(500).json({ message: "Error deleting application" });
+  }
+};
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const JobRun = require("../models/JobRun");
+const { runJob, findJob, isJobRunning, getJobs } = require("../jobs/scheduler");
+
+// GET /api/admin/jobs  (admin only) - list registered jobs with their last run
+exports.listJobs = async (req, res) => {
+  try {
+    const jobs = await Promise.all(getJobs().map(async (job) => ({
+      ...job,
+      lastRun: await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 })
+    })));
+    res.json(jobs);
+  } catch (err) {
+    console.error("listJobs error:", err);
+    res.status(500).json({ message: "Server error fetching jobs" });
+  }
+};
+
+// GET /api/admin/jobs/runs  (admin only) - job run history (?job=, ?status=, ?limit=)
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = {};
+
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const runs = await JobRun.find(query)
+      .populate("triggeredBy", "name email")
+      .sort({ startedAt: -1 })
+      .limit(limit);
+    res.json(runs);
+  } catch (err) {
+    console.error("getJobRuns error:", err);
+    res.status(500).json({ message: "Server error fetching job runs" });
+  }
+};
+
+// POST /api/admin/jobs/:name/run  (admin only) - trigger a job manually
+exports.triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!findJob(name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    if (isJobRunning(name)) {
+      return res.status(409).json({ message: "Job is already running" });
+    }
+
+    const jobRun = await runJob(name, { trigger: "manual", triggeredBy: req.user._id });
+    res.json({ message: `Job ${jobRun.status === "success" ? "completed" : "failed"}`, run: jobRun });
+  } catch (err) {
+    console.error("triggerJob error:", err);
+    res.status(500).json({ message: "Server error running job" });
+  }
+};
+
+// GET /api/admin/jobs/:name/cron  (Authorization: Bearer CRON_SECRET) - scheduled runs where the scheduler
+// cannot run, e.g. Vercel Cron Jobs, which send CRON_SECRET this way
+exports.runCronJob = async (req, res) => {
+  try {
+    const secret = process.env.CRON_SECRET;
+    const token = Buffer.from((req.get("authorization") || "").replace(/^Bearer /, ""));
+    if (!secret || token.length !== Buffer.byteLength(secret) || !crypto.timingSafeEqual(token, Buffer.from(secret))) {
+      return res.status(401).json({ message: "Not authorized" });
+    }
+
+    const { name } = req.params;
+
+    if (!findJob(name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    if (isJobRunning(name)) {
+      return res.status(409).json({ message: "Job is already running" });
+    }
+
+    const jobRun = await runJob(name, { trigger: "schedule" });
+    res.json({ message: `Job ${jobRun.status === "success" ? "completed" : "failed"}`, run: jobRun });
+  } catch (err) {
+    console.error("runCronJob error:", err);
+    res.status(500).json({ message: "Server error running job" });
+  }
+};
@@ -0,0 +1,100 @@
+const RolePermission = require("../models/RolePermission");
+const AuditLog = require("../models/AuditLog");
+const { CAPABILITIES, ROLES, ADMIN_ONLY_CAPABILITIES, DEFAULT_ROLE_PERMISSIONS } = require("../config/permissions");
+
+// GET /api/admin/permissions  (permission:manage) - capabilities and the current role mapping
+exports.getPermissions = async (req, res) => {
+  try {
+    const roles = {};
+    for (const role of ROLES) {
+      roles[role] = await RolePermission.getPermissions(role);
+    }
+
+    res.json({
+      capabilities: CAPABILITIES,
+      roles,
+      defaults: DEFAULT_ROLE_PERMISSIONS,
+      adminOnly: ADMIN_ONLY_CAPABILITIES,
+      configurableRoles: ROLES.filter((role) => role !== "ADMIN")
+    });
+  } catch (err) {
+    console.error("getPermissions error:", err);
+    res.status(500).json({ message: "Server error fetching permissions" });
+  }
+};
+
+// PUT /api/admin/permissions/:role  (permission:manage) - replace a role's capabilities
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const role = req.params.role.toUpperCase();
+    const { permissions } = req.body;
+
+    if (role === "ADMIN") {
+      return res.status(400).json({ message: "ADMIN always has every permission" });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: "permissions must be an array" });
+    }
+
+    const unknown = permissions.filter((permission) => !CAPABILITIES[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permission(s): ${unknown.join(", ")}` });
+    }
+
+    const adminOnly = permissions.filter((permission) => ADMIN_ONLY_CAPABILITIES.includes(permission));
+    if (adminOnly.length > 0) {
+      return res.status(400).json({ message: `Only ADMIN can hold: ${adminOnly.join(", ")}` });
+    }
+
+    const before = await RolePermission.findOne({ role });
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      {
+        permissions: [...new Set(permissions)],
+        updatedBy: req.user._id,
+        updatedAt: Date.now()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    RolePermission.clearCache();
+    await AuditLog.record(req, {
+      action: before ? "update" : "create",
+      entityType: "RolePermission",
+      before,
+      after: rolePermission
+    });
+
+    console.log(`Permissions for ${role} updated by ${req.user._id}`);
+    res.json({ message: "Permissions updated", role, permissions: rolePermission.permissions });
+  } catch (err) {
+    console.error("updateRolePermissions error:", err);
+    res.status(500).json({ message: "Server error updating permissions" });
+  }
+};
+
+// DELETE /api/admin/permissions/:role  (permission:manage) - restore a role's default capabilities
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const role = req.params.role.toUpperCase();
+
+    if (role === "ADMIN" || !ROLES.includes(role)) {
+      return res.status(400).json({ message: "Only configurable roles can be reset" });
+    }
+
+    const rolePermission = await RolePermission.findOneAndDelete({ role });
+    RolePermission.clearCache();
+    if (rolePermission) {
+      await AuditLog.record(req, { action: "delete", entityType: "RolePermission", before: rolePermission });
+    }
+
+    res.json({ message: "Permissions reset to defaults", role, permissions: DEFAULT_ROLE_PERMISSIONS[role] });
+  } catch (err) {
+    console.error("resetRolePermissions error:", err);
+    res.status(500).json({ message: "Server error resetting permissions" });
+  }
+};
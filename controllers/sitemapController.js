@@ -0,0 +1,153 @@
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const { FRONTEND_URL, buildPublicUrl } = require("../config/site");
+const { getCached } = require("../config/sitemapCache");
+
+// URLs per sitemap file (the protocol allows up to 50,000)
+const SITEMAP_CHUNK_SIZE = Math.min(parseInt(process.env.SITEMAP_CHUNK_SIZE) || 5000, 50000);
+
+// Public content listed in the sitemap, one set of sitemap files per kind
+// `kind` is also the config/site.js route used for each URL
+const SITEMAP_SOURCES = {
+  blog: { model: Blog, filter: () => ({ published: true }) },
+  event: { model: Event, filter: () => ({ type: "event" }) },
+  news: { model: Event, filter: () => ({ type: "news" }) },
+  career: {
+    model: Career,
+    filter: () => ({ published: true, applicationDeadline: { $gte: new Date() } })
+  }
+};
+
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+// Hosts the API may be reached on, when sitemap URLs are built from the request (e.g. "api.ganuprofessional.lk,localhost:5000")
+const allowedHosts = () => (process.env.SITEMAP_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Where the sitemap files themselves are reachable, or null for a host that is not allowed
+//   SITEMAP_BASE_URL - fixed base URL, e.g. when the frontend proxies them under its own domain
+//   SITEMAP_ALLOWED_HOSTS - build it from the request's Host header, which ends up in the XML and the
+//     cache key, so only for the hosts listed
+// With neither set, the sitemaps are expected under the frontend's domain: FRONTEND_URL/api
+const sitemapBaseUrl = (req) => {
+  if (process.env.SITEMAP_BASE_URL) return process.env.SITEMAP_BASE_URL.replace(/\/+$/, "");
+
+  const hosts = allowedHosts();
+  if (hosts.length === 0) return `${FRONTEND_URL}/api`;
+
+  const host = String(req.get("host") || "").toLowerCase();
+  return hosts.includes(host) ? `${req.protocol}://${host}/api` : null;
+};
+
+const sendXml = (res, xml) => {
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  // Sitemaps may be cached, unlike the rest of the API
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.removeHeader("Pragma");
+  res.removeHeader("Expires");
+  res.send(xml);
+};
+
+// Number of sitemap files a kind fills
+const countPages = async (kind) => {
+  const source = SITEMAP_SOURCES[kind];
+  return Math.ceil(await source.model.countDocuments(source.filter()) / SITEMAP_CHUNK_SIZE);
+};
+
+const buildIndex = async (baseUrl) => {
+  const entries = [];
+
+  for (const [kind, source] of Object.entries(SITEMAP_SOURCES)) {
+    const [pages, latest] = await Promise.all([
+      getCached(`pages|${kind}`, () => countPages(kind)),
+      source.model.findOne(source.filter()).sort({ updatedAt: -1 }).select("updatedAt")
+    ]);
+
+    for (let page = 1; page <= pages; page++) {
+      entries.push(`  <sitemap>
+    <loc>${escapeXml(`${baseUrl}/sitemaps/${kind}-${page}.xml`)}</loc>${latest && latest.updatedAt ? `
+    <lastmod>${new Date(latest.updatedAt).toISOString()}</lastmod>` : ""}
+  </sitemap>`);
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("\n")}
+</sitemapindex>`;
+};
+
+// One chunk of a kind's URLs, in a stable order so pages do not shift between requests
+const buildChunk = async (kind, page) => {
+  const source = SITEMAP_SOURCES[kind];
+  const docs = await source.model.find(source.filter())
+    .sort({ _id: 1 })
+    .skip((page - 1) * SITEMAP_CHUNK_SIZE)
+    .limit(SITEMAP_CHUNK_SIZE)
+    .select("slug updatedAt");
+
+  if (docs.length === 0) return null;
+
+  const entries = docs.map((doc) => `  <url>
+    <loc>${escapeXml(buildPublicUrl(kind, doc))}</loc>${doc.updatedAt ? `
+    <lastmod>${new Date(doc.updatedAt).toISOString()}</lastmod>` : ""}
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("\n")}
+</urlset>`;
+};
+
+// GET /api/sitemap.xml - sitemap index pointing at every chunk of every kind
+exports.getSitemapIndex = async (req, res) => {
+  try {
+    const baseUrl = sitemapBaseUrl(req);
+    if (!baseUrl) {
+      return res.status(400).json({ message: "Unknown host" });
+    }
+
+    const xml = await getCached(`index|${baseUrl}`, () => buildIndex(baseUrl));
+    sendXml(res, xml);
+  } catch (err) {
+    console.error("getSitemapIndex error:", err);
+    res.status(500).json({ message: "Server error generating sitemap" });
+  }
+};
+
+// GET /api/sitemaps/:kind-:page.xml - one chunk, e.g. /api/sitemaps/blog-1.xml
+exports.getSitemapChunk = async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const page = parseInt(req.params.page);
+    if (!SITEMAP_SOURCES[kind] || !Number.isInteger(page) || page < 1) {
+      return res.status(404).json({ message: "Sitemap not found" });
+    }
+
+    // Pages past the end are refused without querying for them
+    const pages = await getCached(`pages|${kind}`, () => countPages(kind));
+    if (page > pages) {
+      return res.status(404).json({ message: "Sitemap not found" });
+    }
+
+    const xml = await getCached(`${kind}|${page}`, () => buildChunk(kind, page));
+    if (!xml) {
+      return res.status(404).json({ message: "Sitemap not found" });
+    }
+
+    sendXml(res, xml);
+  } catch (err) {
+    console.error("getSitemapChunk error:", err);
+    res.status(500).json({ message: "Server error generating sitemap" });
+  }
+};
@@ -0,0 +1,144 @@
+const Tag = require("../models/Tag");
+const { TAG_KINDS } = require("../models/Tag");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const AuditLog = require("../models/AuditLog");
+
+// Field on Blog/Event that holds terms of each kind
+const FIELD_BY_KIND = { tag: "tags", category: "categories" };
+
+// Usage counts per term id for one model - only content the public can see
+const countUsage = async (Model, baseFilter, field) => {
+  const rows = await Model.aggregate([
+    { $match: baseFilter },
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return rows;
+};
+
+// GET /api/tags  (public) - list terms (?kind=tag|category)
+exports.getTags = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.kind) query.kind = req.query.kind;
+
+    const tags = await Tag.find(query).sort({ kind: 1, name: 1 });
+    res.json(tags);
+  } catch (err) {
+    console.error("getTags error:", err);
+    res.status(500).json({ message: "Server error fetching tags" });
+  }
+};
+
+// GET /api/tags/cloud  (public) - terms with usage counts across published blogs and events
+// ?kind=tag|category (default tag), ?type=blog|event to count one content type only
+exports.getTagCloud = async (req, res) => {
+  try {
+    const kind = req.query.kind || "tag";
+    if (!TAG_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `kind must be one of: ${TAG_KINDS.join(", ")}` });
+    }
+
+    const field = FIELD_BY_KIND[kind];
+    const { type } = req.query;
+
+    const usage = [
+      ...(type !== "event" ? await countUsage(Blog, { published: true }, field) : []),
+      ...(type !== "blog" ? await countUsage(Event, {}, field) : [])
+    ];
+
+    const counts = usage.reduce((acc, row) => {
+      acc[row._id] = (acc[row._id] || 0) + row.count;
+      return acc;
+    }, {});
+
+    const tags = await Tag.find({ kind, _id: { $in: Object.keys(counts) } });
+    res.json(
+      tags
+        .map((tag) => ({ _id: tag._id, name: tag.name, slug: tag.slug, count: counts[tag._id] }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    );
+  } catch (err) {
+    console.error("getTagCloud error:", err);
+    res.status(500).json({ message: "Server error fetching tag cloud" });
+  }
+};
+
+// POST /api/tags  (taxonomy:manage) - create a tag or category
+exports.createTag = async (req, res) => {
+  try {
+    const { kind, name, slug, description } = req.body;
+
+    const tag = new Tag({ kind, name, slug, description });
+    await tag.save();
+    await AuditLog.record(req, { action: "create", entityType: "Tag", after: tag });
+
+    res.status(201).json(tag);
+  } catch (err) {
+    console.error("createTag error:", err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A term with this slug already exists" });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Invalid tag: " + err.message });
+    }
+
+    res.status(500).json({ message: "Server error creating tag" });
+  }
+};
+
+// PUT /api/tags/:id  (taxonomy:manage) - rename or describe a term (the kind cannot change)
+exports.updateTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) return res.status(404).json({ message: "Tag not found" });
+
+    const before = tag.toObject();
+    const { name, slug, description } = req.body;
+    if (name !== undefined) tag.name = name;
+    if (slug !== undefined) tag.slug = slug;
+    if (description !== undefined) tag.description = description;
+    tag.updatedAt = Date.now();
+
+    await tag.save();
+    await AuditLog.record(req, { action: "update", entityType: "Tag", before, after: tag });
+
+    res.json(tag);
+  } catch (err) {
+    console.error("updateTag error:", err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A term with this slug already exists" });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: "Invalid tag: " + err.message });
+    }
+
+    res.status(500).json({ message: "Server error updating tag" });
+  }
+};
+
+// DELETE /api/tags/:id  (taxonomy:manage) - delete a term and remove it from all content
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) return res.status(404).json({ message: "Tag not found" });
+
+    const field = FIELD_BY_KIND[tag.kind];
+    await Promise.all([
+      Blog.updateMany({ [field]: tag._id }, { $pull: { [field]: tag._id } }),
+      Event.updateMany({ [field]: tag._id }, { $pull: { [field]: tag._id } })
+    ]);
+    await Tag.deleteOne({ _id: tag._id });
+    await AuditLog.record(req, { action: "delete", entityType: "Tag", before: tag });
+
+    res.json({ message: "Tag deleted successfully" });
+  } catch (err) {
+    console.error("deleteTag error:", err);
+    res.status(500).json({ message: "Server error deleting tag" });
+  }
+};
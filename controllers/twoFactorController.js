@@ -0,0 +1,138 @@
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { generateSecret, buildOtpauthUri } = require("../config/totp");
+
+// POST /api/auth/2fa/enroll  (logged in) - start setup: new secret + otpauth URI for the QR code
+// 2FA is not active until a code from the app is confirmed with /2fa/verify
+exports.enrollTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    res.json({
+      secret, // For manual entry when the QR code cannot be scanned
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (err) {
+    console.error("enrollTwoFactor error:", err);
+    res.status(500).json({ message: "Server error starting two-factor setup" });
+  }
+};
+
+// POST /api/auth/2fa/verify  (logged in) - confirm a code from the app and enable 2FA
+// Returns the backup codes - the only time they are shown
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    user.twoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: "update",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { twoFactor: "enabled" }
+    });
+
+    console.log("Two-factor authentication enabled for user:", user._id);
+    res.json({ message: "Two-factor authentication enabled", backupCodes });
+  } catch (err) {
+    console.error("verifyTwoFactor error:", err);
+    res.status(500).json({ message: "Server error enabling two-factor authentication" });
+  }
+};
+
+// POST /api/auth/2fa/disable  (logged in) - turn 2FA off; requires the current password
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.matchPassword(password))) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === "true" && user.role === "ADMIN") {
+      return res.status(400).json({ message: "Two-factor authentication is required for admin accounts" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorBackupCodes = undefined;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: "update",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { twoFactor: "disabled" }
+    });
+
+    console.log("Two-factor authentication disabled for user:", user._id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("disableTwoFactor error:", err);
+    res.status(500).json({ message: "Server error disabling two-factor authentication" });
+  }
+};
+
+// POST /api/auth/2fa/backup-codes  (logged in) - replace all backup codes; requires the current password
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.matchPassword(password))) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({ message: "New backup codes generated", backupCodes });
+  } catch (err) {
+    console.error("regenerateBackupCodes error:", err);
+    res.status(500).json({ message: "Server error generating backup codes" });
+  }
+};
@@ -0,0 +1,210 @@
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const AuditLog = require("../models/AuditLog");
+const { paginate } = require("../middleware/listQueryMiddleware");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  active: user.active !== false,
+  twoFactorEnabled: user.twoFactorEnabled,
+  lastLoginAt: user.lastLoginAt,
+  lockedUntil: user.isLocked() ? user.lockUntil : null,
+  createdAt: user.createdAt
+});
+
+// GET /api/admin/users  (user:manage) - list users (?role=, ?active=, ?q=, pagination)
+exports.getUsers = async (req, res) => {
+  try {
+    // Users created before deactivation existed have no active field - they are active
+    const { active, ...filter } = req.listQuery.filter;
+    if (active !== undefined) filter.active = active ? { $ne: false } : false;
+
+    const result = await paginate(User, {}, { ...req.listQuery, filter });
+    res.json({ ...result, data: result.data.map(formatUser) });
+  } catch (err) {
+    console.error("getUsers error:", err);
+    res.status(500).json({ message: "Server error fetching users" });
+  }
+};
+
+// GET /api/admin/users/:id  (user:manage) - single user
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json({ user: formatUser(user) });
+  } catch (err) {
+    console.error("getUser error:", err);
+    res.status(500).json({ message: "Server error fetching user" });
+  }
+};
+
+// PUT /api/admin/users/:id/role  (user:manage) - change a user's role
+exports.updateUserRole = async (req, res) => {
+  try {
+    const role = (req.body.role || "").toUpperCase();
+    if (role !== "ADMIN" && role !== "AGENT") {
+      return res.status(400).json({ message: "Role must be either 'ADMIN' or 'AGENT'" });
+    }
+
+    if (role === "ADMIN" && req.user.role !== "ADMIN") {
+      return res.status(403).json({ message: "Forbidden: only admins can make other admins" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.role === role) {
+      return res.json({ message: "Role unchanged", user: formatUser(user) });
+    }
+
+    if (role !== "ADMIN" && await user.isLastActiveAdmin()) {
+      return res.status(400).json({ message: "The last remaining admin cannot be demoted" });
+    }
+
+    const before = user.toObject();
+    user.role = role;
+    await user.save();
+    await AuditLog.record(req, { action: "update", entityType: "User", before, after: user });
+
+    console.log(`User ${user._id} role changed to ${role} by ${req.user._id}`);
+    res.json({ message: "Role updated", user: formatUser(user) });
+  } catch (err) {
+    console.error("updateUserRole error:", err);
+    res.status(500).json({ message: "Server error updating role" });
+  }
+};
+
+// PUT /api/admin/users/:id/active  (user:manage) - deactivate or reactivate a user
+exports.setUserActive = async (req, res) => {
+  try {
+    const { active } = req.body;
+    if (typeof active !== "boolean" && active !== "true" && active !== "false") {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+    const makeActive = active === true || active === "true";
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!makeActive) {
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({ message: "You cannot deactivate your own account" });
+      }
+
+      if (await user.isLastActiveAdmin()) {
+        return res.status(400).json({ message: "The last remaining admin cannot be deactivated" });
+      }
+    }
+
+    const before = user.toObject();
+    user.active = makeActive;
+    if (makeActive) {
+      await user.save();
+    } else {
+      // Sign the user out everywhere
+      await user.revokeAllSessions("user deactivated");
+    }
+    await AuditLog.record(req, { action: "update", entityType: "User", before, after: user });
+
+    console.log(`User ${user._id} ${makeActive ? "reactivated" : "deactivated"} by ${req.user._id}`);
+    res.json({ message: makeActive ? "User reactivated" : "User deactivated", user: formatUser(user) });
+  } catch (err) {
+    console.error("setUserActive error:", err);
+    res.status(500).json({ message: "Server error updating user" });
+  }
+};
+
+// PUT /api/admin/users/:id/password  (user:manage) - set a new password for another user
+exports.resetUserPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.password = password;
+    user.resetFailedLogins();
+    await user.revokeAllSessions("password reset by admin");
+    // The password itself is redacted - record that it changed
+    await AuditLog.record(req, {
+      action: "update",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { passwordReset: true }
+    });
+
+    console.log(`Password for user ${user._id} reset by ${req.user._id}`);
+    res.json({ message: "Password reset. The user has been signed out of all sessions." });
+  } catch (err) {
+    console.error("resetUserPassword error:", err);
+    res.status(500).json({ message: "Server error resetting password" });
+  }
+};
+
+// DELETE /api/admin/users/:id/2fa  (user:manage) - turn off 2FA for a user who lost their device
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled for this user" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorBackupCodes = undefined;
+    await user.revokeAllSessions("two-factor reset by admin");
+
+    await AuditLog.record(req, {
+      action: "update",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { twoFactor: "reset" }
+    });
+
+    console.log(`Two-factor authentication for user ${user._id} reset by ${req.user._id}`);
+    res.json({ message: "Two-factor authentication reset. The user has been signed out of all sessions." });
+  } catch (err) {
+    console.error("resetUserTwoFactor error:", err);
+    res.status(500).json({ message: "Server error resetting two-factor authentication" });
+  }
+};
+
+// DELETE /api/admin/users/:id  (user:manage) - delete a user
+exports.deleteUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    if (await user.isLastActiveAdmin()) {
+      return res.status(400).json({ message: "The last remaining admin cannot be deleted" });
+    }
+
+    await RefreshToken.revokeAllForUser(user._id, "user deleted");
+    await User.deleteOne({ _id: user._id });
+    await AuditLog.record(req, { action: "delete", entityType: "User", before: user });
+
+    console.log(`User ${user._id} deleted by ${req.user._id}`);
+    res.json({ message: "User deleted successfully" });
+  } catch (err) {
+    console.error("deleteUser error:", err);
+    res.status(500).json({ message: "Server error deleting user" });
+  }
+};
@@ -0,0 +1,142 @@
+const Asset = require("../models/Asset");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const Image = require("../models/Image");
+const JobApplication = require("../models/JobApplication");
+const { getDriverByName, getDriverForUrl, getActiveDrivers } = require("../config/storage");
+
+// Unused files are kept this long before deletion (time to undo a mistake)
+const GRACE_DAYS = parseInt(process.env.ASSET_GC_GRACE_DAYS) || 7;
+
+// Folders the app uploads into (see createUploadMiddleware in routes/) - nothing else in storage is looked at
+const UPLOAD_FOLDERS = ["blogs", "events", "careers", "images", "applications"];
+
+// Models whose file fields keep files alive (see models/plugins/assetPlugin.js)
+const REFERENCING_MODELS = [Blog, BlogRevision, Event, Career, Image, JobApplication];
+
+// Rich text that may link to uploaded files directly
+const HTML_FIELDS = [
+  { model: Blog, field: "content" },
+  { model: BlogRevision, field: "content" },
+  { model: Event, field: "description" },
+  { model: Career, field: "description" }
+];
+const EMBEDDED_URL = /(?:https?:\/\/|\/uploads\/)[^\s"'<>)]+/g;
+
+// Storage keys of every file a document points at, per driver
+// Read from the documents themselves, so files uploaded before assets were tracked are covered too
+const collectReferencedKeys = async () => {
+  const referenced = new Map();
+  const add = (url) => {
+    const driver = getDriverForUrl(url);
+    if (!driver) return;
+    if (!referenced.has(driver)) referenced.set(driver, new Set());
+    referenced.get(driver).add(driver.keyOf(url));
+  };
+
+  for (const Model of REFERENCING_MODELS) {
+    for (const field of Model.getAssetFields()) {
+      (await Model.distinct(field)).forEach(add);
+    }
+  }
+
+  for (const { model, field } of HTML_FIELDS) {
+    const cursor = model.find({ [field]: { $regex: "/uploads/|cloudinary\\.com|https?://" } }).select(field).lean().cursor();
+    for await (const doc of cursor) {
+      (String(doc[field] || "").match(EMBEDDED_URL) || []).forEach(add);
+    }
+  }
+
+  return referenced;
+};
+
+// Stores to scan for untracked files: local disk, Cloudinary when configured, and any driver in use
+const driversToScan = () => {
+  const drivers = new Set(getActiveDrivers().map(({ driver }) => driver));
+  drivers.add(getDriverByName("local"));
+  if (process.env.CLOUDINARY_CLOUD_NAME) drivers.add(getDriverByName("cloudinary"));
+  return [...drivers];
+};
+
+// Delete uploaded files nothing uses any more, once they have been unused for the grace period
+// ASSET_GC_DRY_RUN=true only reports what would be deleted
+// Files without an Asset record are only reported, unless ASSET_GC_DELETE_UNTRACKED=true
+module.exports = {
+  name: "collect-orphaned-assets",
+  description: "Delete uploaded files no blog, event, career, image or application uses",
+  schedule: "30 3 * * *", // Daily at 03:30
+  run: async () => {
+    const dryRun = process.env.ASSET_GC_DRY_RUN === "true";
+    const deleteUntracked = process.env.ASSET_GC_DELETE_UNTRACKED === "true";
+    const cutoff = new Date(Date.now() - GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const referenced = await collectReferencedKeys();
+    const isReferenced = (driver, key) => referenced.has(driver) && referenced.get(driver).has(key);
+
+    const result = {
+      dryRun,
+      deleteUntracked,
+      graceDays: GRACE_DAYS,
+      deletedAssets: 0,
+      untrackedFiles: 0,
+      deletedFiles: 0,
+      freedBytes: 0,
+      errors: []
+    };
+
+    // Tracked uploads without references since before the cutoff
+    const assets = await Asset.find({ unreferencedSince: { $lt: cutoff } });
+    for (const asset of assets) {
+      const driver = getDriverForUrl(asset.url);
+      if (driver && isReferenced(driver, driver.keyOf(asset.url))) continue;
+
+      try {
+        if (!dryRun) {
+          // The upload and its stored derivatives
+          for (const url of asset.storedUrls()) {
+            const fileDriver = getDriverForUrl(url);
+            if (fileDriver) await fileDriver.delete(url);
+          }
+          await asset.deleteOne();
+        }
+        result.deletedAssets += 1;
+        result.freedBytes += (asset.size || 0) + (asset.derivatives || []).reduce((sum, { size }) => sum + (size || 0), 0);
+      } catch (err) {
+        result.errors.push(`${asset.url}: ${err.message}`);
+      }
+    }
+
+    // Files in the upload folders with neither an Asset record nor a reference (older uploads, failed requests)
+    const trackedUrls = [...await Asset.distinct("url"), ...await Asset.distinct("derivatives.url")];
+    for (const driver of driversToScan()) {
+      const tracked = new Set(trackedUrls.filter((url) => driver.owns(url)).map((url) => driver.keyOf(url)));
+
+      const files = [];
+      for (const folder of UPLOAD_FOLDERS) {
+        try {
+          files.push(...await driver.list(folder));
+        } catch (err) {
+          result.errors.push(`${driver.constructor.name} ${folder}: ${err.message}`);
+        }
+      }
+
+      for (const file of files) {
+        if (tracked.has(file.key) || isReferenced(driver, file.key) || file.lastModified >= cutoff) continue;
+
+        result.untrackedFiles += 1;
+        if (!deleteUntracked) continue;
+
+        try {
+          if (!dryRun) await driver.delete(file.url);
+          result.deletedFiles += 1;
+          result.freedBytes += file.size || 0;
+        } catch (err) {
+          result.errors.push(`${file.url}: ${err.message}`);
+        }
+      }
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,56 @@
+const Asset = require("../models/Asset");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const Image = require("../models/Image");
+const { getFile } = require("../config/storage");
+const { isProcessableImage, processImage } = require("../config/imageDerivatives");
+
+// Images processed per run - generating AVIF files is CPU heavy
+const BATCH_SIZE = parseInt(process.env.IMAGE_DERIVATIVES_BATCH_SIZE) || 25;
+
+// Models showing image variants (see models/plugins/imageVariantsPlugin.js)
+const VARIANT_MODELS = [Blog, Event, Career, Image];
+
+// Make the derivatives of images stored as files (never encoded during the upload request)
+// and of images whose generation failed at upload time, then show them on their documents
+// On Vercel, run it with a Cron Job calling GET /api/admin/jobs/generate-image-derivatives/cron
+module.exports = {
+  name: "generate-image-derivatives",
+  description: "Create thumbnail, card and hero sizes (WebP/AVIF) for images that have none",
+  schedule: "*/5 * * * *", // Every 5 minutes - new uploads wait for it
+  run: async () => {
+    const result = { processed: 0, skipped: 0, errors: [] };
+
+    const assets = await Asset.find({ resourceType: "image", derivativesGeneratedAt: null })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const asset of assets) {
+      try {
+        const file = isProcessableImage(asset.mimeType) ? await getFile(asset.url) : null;
+        if (!file) {
+          // Nothing to resize (SVG) or the upload is gone - do not try again
+          asset.derivativesGeneratedAt = new Date();
+          await asset.save();
+          result.skipped += 1;
+          continue;
+        }
+
+        const buffer = Buffer.concat(await file.stream.toArray());
+        asset.set(await processImage(buffer, { driverName: asset.driver, url: asset.url, key: asset.key, folder: asset.folder }));
+        await asset.save();
+
+        const variants = asset.toImageVariants();
+        if (variants) {
+          for (const Model of VARIANT_MODELS) await Model.applyImageVariants(asset.url, variants);
+        }
+        result.processed += 1;
+      } catch (err) {
+        result.errors.push(`${asset.url}: ${err.message}`);
+      }
+    }
+
+    return result;
+  }
+};
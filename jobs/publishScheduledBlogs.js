@@ -0,0 +1,17 @@
+const Blog = require("../models/Blog");
+
+// Publish blogs whose publishAt date has arrived
+module.exports = {
+  name: "publish-scheduled-blogs",
+  description: "Publish blogs that have reached their publishAt date",
+  schedule: "*/5 * * * *", // Every 5 minutes
+  run: async () => {
+    // publishAt is cleared once published so a later unpublish is not undone
+    const result = await Blog.updateMany(
+      { published: false, publishAt: { $ne: null, $lte: new Date() } },
+      { published: true, publishAt: null, updatedAt: Date.now() }
+    );
+
+    return { published: result.modifiedCount };
+  }
+};
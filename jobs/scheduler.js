@@ -0,0 +1,106 @@
+const cron = require("node-cron");
+const JobRun = require("../models/JobRun");
+
+// Registered jobs - each exports { name, description, schedule, run }
+const jobs = [
+  require("./unpublishExpiredCareers"),
+  require("./publishScheduledBlogs"),
+  require("./unreadContactDigest"),
+  require("./collectOrphanedAssets"),
+  require("./generateImageDerivatives")
+];
+
+// Jobs currently executing in this process (prevents overlapping runs)
+const runningJobs = new Set();
+
+// Scheduled cron tasks keyed by job name
+const tasks = new Map();
+
+// Cron expression for a job - JOB_SCHEDULE_<NAME> overrides the default
+// e.g. JOB_SCHEDULE_UNREAD_CONTACT_DIGEST="0 9 * * 1-5"
+const getSchedule = (job) => {
+  const envKey = `JOB_SCHEDULE_${job.name.toUpperCase().replace(/-/g, '_')}`;
+  return process.env[envKey] || job.schedule;
+};
+
+const findJob = (name) => jobs.find((job) => job.name === name);
+
+const isJobRunning = (name) => runningJobs.has(name);
+
+// Run a job once and record the outcome in the JobRun collection
+const runJob = async (name, { trigger = "manual", triggeredBy } = {}) => {
+  const job = findJob(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (isJobRunning(name)) throw new Error(`Job ${name} is already running`);
+
+  runningJobs.add(name);
+  try {
+    // A failure to record the run is thrown to the caller, but never leaves the job marked as running
+    const jobRun = await JobRun.create({ job: name, trigger, triggeredBy });
+
+    try {
+      const result = await job.run();
+      jobRun.status = "success";
+      jobRun.result = result;
+      console.log(`Job ${name} finished:`, result);
+    } catch (err) {
+      jobRun.status = "failed";
+      jobRun.error = err.message;
+      console.error(`Job ${name} failed:`, err);
+    }
+
+    jobRun.finishedAt = new Date();
+    jobRun.durationMs = jobRun.finishedAt - jobRun.startedAt;
+    await jobRun.save();
+    return jobRun;
+  } finally {
+    runningJobs.delete(name);
+  }
+};
+
+// Schedule every registered job with node-cron
+const startScheduler = () => {
+  const timezone = process.env.CRON_TIMEZONE || "Asia/Colombo";
+
+  jobs.forEach((job) => {
+    const schedule = getSchedule(job);
+    if (!cron.validate(schedule)) {
+      console.error(`Invalid cron schedule for job ${job.name}: ${schedule}`);
+      return;
+    }
+
+    const task = cron.schedule(schedule, async () => {
+      try {
+        await runJob(job.name, { trigger: "schedule" });
+      } catch (err) {
+        console.error(`Scheduled run of ${job.name} skipped:`, err.message);
+      }
+    }, { name: job.name, timezone });
+
+    tasks.set(job.name, task);
+    console.log(`Scheduled job ${job.name} (${schedule}, ${timezone})`);
+  });
+};
+
+// Describe the registered jobs for the admin API
+const getJobs = () => {
+  return jobs.map((job) => {
+    const task = tasks.get(job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: getSchedule(job),
+      scheduled: Boolean(task),
+      running: isJobRunning(job.name),
+      nextRun: task ? task.getNextRun() : null
+    };
+  });
+};
+
+module.exports = {
+  startScheduler,
+  runJob,
+  findJob,
+  isJobRunning,
+  getJobs
+};
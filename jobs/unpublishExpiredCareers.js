@@ -0,0 +1,16 @@
+const Career = require("../models/Career");
+
+// Unpublish careers whose application deadline has passed
+module.exports = {
+  name: "unpublish-expired-careers",
+  description: "Unpublish careers past their application deadline",
+  schedule: "0 * * * *", // Hourly
+  run: async () => {
+    const result = await Career.updateMany(
+      { published: true, applicationDeadline: { $lt: new Date() } },
+      { published: false, updatedAt: Date.now() }
+    );
+
+    return { unpublished: result.modifiedCount };
+  }
+};
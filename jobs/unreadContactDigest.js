@@ -0,0 +1,50 @@
+const Contact = require("../models/Contact");
+const { isEmailConfigured, sendMail, escapeHtml } = require("../config/mailer");
+
+// Email ADMIN_EMAIL a summary of unread contact messages
+module.exports = {
+  name: "unread-contact-digest",
+  description: "Email a daily digest of unread contact messages to ADMIN_EMAIL",
+  schedule: "0 8 * * *", // Daily at 08:00
+  run: async () => {
+    if (!isEmailConfigured() || !process.env.ADMIN_EMAIL) {
+      return { sent: false, reason: "Email or ADMIN_EMAIL not configured" };
+    }
+
+    const contacts = await Contact.find({ read: false }).sort({ createdAt: 1 });
+    if (contacts.length === 0) {
+      return { sent: false, unread: 0 };
+    }
+
+    const rows = contacts.map((contact) => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${contact.createdAt.toISOString().slice(0, 10)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(contact.name)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(contact.email)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(contact.message.slice(0, 200))}</td>
+      </tr>
+    `).join('');
+
+    await sendMail({
+      to: process.env.ADMIN_EMAIL,
+      subject: `${contacts.length} unread contact message${contacts.length === 1 ? '' : 's'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+          <h2 style="color: #333;">Unread Contact Messages</h2>
+          <p>The following messages are still marked as unread:</p>
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <tr style="background: #f5f5f5; text-align: left;">
+              <th style="padding: 8px;">Date</th>
+              <th style="padding: 8px;">Name</th>
+              <th style="padding: 8px;">Email</th>
+              <th style="padding: 8px;">Message</th>
+            </tr>
+            ${rows}
+          </table>
+        </div>
+      `
+    });
+
+    return { sent: true, unread: contacts.length };
+  }
+};
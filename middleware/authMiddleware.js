@@ -1,7 +1,10 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const RolePermission = require("../models/RolePermission");
 
-exports.protect = async (req, res, next) => {
+// Verify the access token and load req.user
+// enforceTwoFactor: admins who still have to set up required 2FA are only let through when false
+const authenticate = ({ enforceTwoFactor }) => async (req, res, next) => {
   let token;
   if (
     req.headers.authorization &&
@@ -13,20 +16,78 @@ exports.protect = async (req, res, next) => {
   if (!token)
     return res.status(401).json({ message: "Not authorized, no token" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select("-password");
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: "Not authorized, token failed" });
+  }
+
+  // Special-purpose tokens (e.g. the 2FA login challenge) are not access tokens
+  if (decoded.purpose) {
+    return res.status(401).json({ message: "Not authorized, token failed" });
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select("-password");
+
+    // Deleted users must not keep access with a still-valid token
+    if (!user) {
+      return res.status(401).json({ message: "Not authorized, user no longer exists" });
+    }
+
+    if (user.active === false) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    // Token issued before the user's sessions were revoked
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: "Not authorized, session has been revoked" });
+    }
+
+    if (enforceTwoFactor && user.requiresTwoFactorSetup()) {
+      return res.status(403).json({
+        message: "Two-factor authentication must be set up for admin accounts",
+        twoFactorSetupRequired: true
+      });
+    }
+
+    req.user = user;
     next();
   } catch (err) {
-    res.status(401).json({ message: "Not authorized, token failed" });
+    console.error("protect error:", err);
+    res.status(500).json({ message: "Server error during authorization" });
   }
 };
 
-// Role-based authorization
-exports.requireRole = (role) => (req, res, next) => {
-  if (!req.user || !role.includes(req.user.role))
+exports.protect = authenticate({ enforceTwoFactor: true });
+
+// For the profile and 2FA enrollment endpoints an admin needs before 2FA is set up
+exports.protectAllowTwoFactorSetup = authenticate({ enforceTwoFactor: false });
+
+// Capability-based authorization - passes if the user's role grants any of the listed capabilities
+// Granted capabilities are kept on req.permissions for finer checks inside handlers
+exports.requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user)
+    return res
+      .status(403)
+      .json({ message: "Forbidden: Insufficient permissions" });
+
+  try {
+    req.permissions = await RolePermission.getPermissions(req.user.role);
+  } catch (err) {
+    console.error("requirePermission error:", err);
+    return res.status(500).json({ message: "Server error during authorization" });
+  }
+
+  if (!permissions.some((permission) => req.permissions.includes(permission)))
     return res
       .status(403)
       .json({ message: "Forbidden: Insufficient permissions" });
   next();
+};
+
+// Check a capability inside a handler (after requirePermission has run)
+exports.hasPermission = (req, permission) => {
+  return Boolean(req.permissions && req.permissions.includes(permission));
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Shared query layer for list endpoints: pagination, sorting, filtering and text search
+//
+// Query parameters understood by every list endpoint:
+//   page, limit        page-based pagination (default page 1, limit 20, max 100)
+//   cursor             cursor-based pagination - pass back `pagination.nextCursor`
+//   sort               whitelisted field, prefix with "-" for descending (e.g. sort=-createdAt)
+//   fields             comma-separated fields to return (e.g. fields=title,date)
+//   q                  full-text search (MongoDB text index), sorted by relevance unless `sort` is given
+//   <field>=<value>    equality filter on whitelisted fields (e.g. type=news)
+//
+// Every list responds with the same envelope:
+//   { data: [...], pagination: { total, page, limit, totalPages, hasNextPage, nextCursor } }
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const LIST_PARAMS = ["page", "limit", "cursor", "sort", "fields", "q"];
+
+const encodeCursor = (value, id) => {
+  const isDate = value instanceof Date;
+  return Buffer.from(JSON.stringify({
+    v: isDate ? value.toISOString() : value,
+    d: isDate,
+    id: String(id)
+  })).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!id) return null;
+    return { value: d ? new Date(v) : v, id };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Parse and validate list query parameters into req.listQuery
+// options: { sortFields, defaultSort, filterFields, searchable, hiddenFields }
+exports.listQuery = (Model, options = {}) => (req, res, next) => {
+  const {
+    sortFields = ["createdAt"],
+    defaultSort = "-createdAt",
+    filterFields = [],
+    searchable = false,
+    hiddenFields = []
+  } = options;
+  const { page, limit, cursor, sort, fields, q } = req.query;
+
+  // Each parameter is a single text value - repeated (?page=1&page=2) or nested (?q[$ne]=) ones are arrays/objects
+  const invalidParam = [...LIST_PARAMS, ...filterFields].find(
+    (name) => req.query[name] !== undefined && typeof req.query[name] !== "string"
+  );
+  if (invalidParam) {
+    return res.status(400).json({ message: `${invalidParam} must be a single value` });
+  }
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : parseInt(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const parsedPage = page === undefined ? 1 : parseInt(page);
+  if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+    return res.status(400).json({ message: "page must be a positive integer" });
+  }
+
+  const search = searchable && q ? q.trim() : "";
+
+  // Explicit sort, else relevance for searches, else the endpoint default
+  let sortField = null;
+  let sortDirection = 1;
+  if (sort || !search) {
+    const sortParam = sort || defaultSort;
+    sortField = sortParam.replace(/^-/, "");
+    sortDirection = sortParam.startsWith("-") ? -1 : 1;
+
+    if (!sortFields.includes(sortField)) {
+      return res.status(400).json({ message: `sort must be one of: ${sortFields.join(", ")}` });
+    }
+  }
+
+  let decodedCursor = null;
+  if (cursor) {
+    if (!sortField) {
+      return res.status(400).json({ message: "cursor pagination is not available for relevance-sorted searches" });
+    }
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+  }
+
+  let select = null;
+  if (fields) {
+    select = fields.split(",").map((field) => field.trim()).filter(Boolean);
+    const unknown = select.filter((field) => !Model.schema.path(field) || hiddenFields.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown field(s): ${unknown.join(", ")}` });
+    }
+  }
+
+  let filter = {};
+  const rawFilters = filterFields.reduce((acc, field) => {
+    if (req.query[field] !== undefined && req.query[field] !== "") acc[field] = req.query[field];
+    return acc;
+  }, {});
+  try {
+    filter = Model.castObject(rawFilters);
+  } catch (err) {
+    return res.status(400).json({ message: "Invalid filter value: " + err.message });
+  }
+
+  req.listQuery = {
+    filter,
+    search,
+    sortField,
+    sortDirection,
+    page: decodedCursor ? null : parsedPage,
+    limit: parsedLimit,
+    cursor: decodedCursor,
+    select,
+    hiddenFields
+  };
+  next();
+};
+
+// Run a list query built by listQuery() and return the standard envelope
+// baseFilter is always applied (e.g. { published: true } for public lists)
+// options.populate is passed to Query.populate (e.g. "tags categories")
+exports.paginate = async (Model, baseFilter, listQuery, options = {}) => {
+  const { filter, search, sortField, sortDirection, page, limit, cursor, select, hiddenFields = [] } = listQuery;
+  const query = { ...baseFilter, ...filter };
+
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  const total = await Model.countDocuments(query);
+
+  // Cursor: continue strictly after the last item of the previous page (ties broken by _id)
+  const pageQuery = { ...query };
+  if (cursor) {
+    const op = sortDirection === 1 ? "$gt" : "$lt";
+    pageQuery.$and = [
+      ...(query.$and || []),
+      {
+        $or: [
+          { [sortField]: { [op]: cursor.value } },
+          { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    ];
+  }
+
+  const sort = sortField
+    ? { [sortField]: sortDirection, _id: sortDirection }
+    : { score: { $meta: "textScore" } };
+
+  // Either the requested fields, or everything except hidden fields (e.g. password)
+  let projection = select
+    ? select.join(" ")
+    : hiddenFields.map((field) => `-${field}`).join(" ") || null;
+  if (select && sortField && !select.includes(sortField)) {
+    // The sort field is needed to build the next cursor
+    projection += ` ${sortField}`;
+  }
+
+  let findQuery = Model.find(pageQuery).sort(sort);
+  if (projection) findQuery = findQuery.select(projection);
+  if (!sortField) findQuery = findQuery.select({ score: { $meta: "textScore" } });
+  if (page) findQuery = findQuery.skip((page - 1) * limit);
+  if (options.populate) findQuery = findQuery.populate(options.populate);
+
+  // Fetch one extra item to know whether there is a next page
+  const docs = await findQuery.limit(limit + 1);
+  const hasNextPage = docs.length > limit;
+  const data = hasNextPage ? docs.slice(0, limit) : docs;
+
+  const last = data[data.length - 1];
+  const nextCursor = hasNextPage && sortField && last
+    ? encodeCursor(last.get(sortField), last._id)
+    : null;
+
+  return {
+    data,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor
+    }
+  };
+};
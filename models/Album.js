@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// A photo album - an ordered selection of gallery images (an image can be in several albums)
+const albumSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  images: [{ type: mongoose.Schema.Types.ObjectId, ref: "Image" }], // Display order
+  imageCount: { type: Number, default: 0 }, // Kept in step with images, for lists without the image ids
+  coverImage: { type: mongoose.Schema.Types.ObjectId, ref: "Image", default: null }, // Always one of images
+  published: { type: Boolean, default: false },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null }, // Photos shown with this event
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+albumSchema.index({ published: 1, createdAt: -1 });
+albumSchema.index({ event: 1 });
+albumSchema.index({ images: 1 });
+
+// Full-text search for ?q= on list endpoints
+albumSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 1 } }
+);
+
+// The first image is the cover until another one is chosen (or the cover leaves the album)
+albumSchema.pre("save", function () {
+  const coverInAlbum = this.coverImage && this.images.some((id) => id.equals(this.coverImage));
+  if (!coverInAlbum) this.coverImage = this.images[0] || null;
+  this.imageCount = this.images.length;
+});
+
+// Add images after the existing ones, skipping those already in the album - returns how many were added
+albumSchema.methods.addImages = function (imageIds) {
+  const present = new Set(this.images.map(String));
+  const added = [];
+  imageIds.forEach((id) => {
+    if (present.has(String(id))) return;
+    present.add(String(id));
+    added.push(id);
+  });
+
+  this.images.push(...added);
+  return added.length;
+};
+
+// Put the images in the order of the given ids - must name every image exactly once
+albumSchema.methods.reorderImages = function (ids) {
+  const current = new Set(this.images.map(String));
+  const order = ids.map(String);
+
+  if (order.length !== current.size || new Set(order).size !== order.length || !order.every((id) => current.has(id))) {
+    return false;
+  }
+
+  this.images = order;
+  return true;
+};
+
+// Take a deleted image out of every album (covers move on to the next first image)
+albumSchema.statics.removeImage = async function (imageId) {
+  const albums = await this.find({ images: imageId });
+  for (const album of albums) {
+    album.images.pull(imageId);
+    await album.save();
+  }
+};
+
+module.exports = mongoose.model("Album", albumSchema);
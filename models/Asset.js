@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const { deleteFile } = require("../config/storage");
+
+// A document using the file, e.g. { entityType: "Blog", entityId }
+const referenceSchema = new mongoose.Schema({
+  entityType: { type: String, required: true }, // Model name
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+}, { _id: false });
+
+// A resized/re-encoded copy of an image asset (see config/imageDerivatives.js)
+const derivativeSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // thumbnail, card, hero
+  format: { type: String, required: true }, // webp, avif
+  url: { type: String, required: true },
+  key: { type: String }, // Only for stored files - Cloudinary derives copies from the URL
+  width: { type: Number },
+  height: { type: Number },
+  size: { type: Number }, // Bytes
+}, { _id: false });
+
+// One uploaded file - where it is stored and which documents use it
+const assetSchema = new mongoose.Schema({
+  url: { type: String, required: true, unique: true }, // What documents store (imageUrl, pdfUrl, ...)
+  key: { type: String, required: true }, // Key in the storage driver
+  driver: { type: String, required: true }, // local, cloudinary, s3
+  resourceType: { type: String, enum: ["image", "document", "private"], required: true },
+  folder: { type: String },
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number }, // Bytes
+  checksum: { type: String, index: true }, // SHA-256 of the content - finds duplicate uploads
+  width: { type: Number }, // Images only
+  height: { type: Number },
+  blurhash: { type: String }, // Placeholder shown while an image loads
+  derivatives: { type: [derivativeSchema], default: undefined },
+  derivativesGeneratedAt: { type: Date }, // Null for images still waiting for their derivatives
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  references: { type: [referenceSchema], default: [] },
+  unreferencedSince: { type: Date, default: Date.now }, // Null while referenced; garbage collected after a grace period
+  createdAt: { type: Date, default: Date.now },
+});
+
+assetSchema.index({ "references.entityType": 1, "references.entityId": 1 });
+assetSchema.index({ unreferencedSince: 1 });
+assetSchema.index({ originalName: "text" });
+
+// URLs of the files this asset keeps in storage: the upload and its stored derivatives
+assetSchema.methods.storedUrls = function () {
+  return [this.url, ...(this.derivatives || []).filter((derivative) => derivative.key).map((derivative) => derivative.url)];
+};
+
+// What documents show for the image: size, placeholder and each derivative by format
+// e.g. { width, height, blurhash, thumbnail: { width, height, webp, avif }, card: {...}, hero: {...} }
+assetSchema.methods.toImageVariants = function () {
+  if (!this.derivatives || this.derivatives.length === 0) return null;
+
+  const variants = { width: this.width, height: this.height, blurhash: this.blurhash };
+  this.derivatives.forEach(({ name, format, url, width, height }) => {
+    variants[name] = { ...variants[name], width, height, [format]: url };
+  });
+  return variants;
+};
+
+// Assets left without references start their grace period now
+assetSchema.statics.markUnreferenced = async function () {
+  await this.updateMany({ references: { $size: 0 }, unreferencedSince: null }, { unreferencedSince: new Date() });
+};
+
+// Make an entity's references match the file URLs it currently holds
+assetSchema.statics.syncReferences = async function (entityType, entityId, urls) {
+  const reference = { entityType, entityId };
+
+  await this.updateMany(
+    { references: { $elemMatch: reference }, url: { $nin: urls } },
+    { $pull: { references: reference } }
+  );
+  if (urls.length > 0) {
+    await this.updateMany(
+      { url: { $in: urls }, references: { $not: { $elemMatch: reference } } },
+      { $push: { references: reference }, unreferencedSince: null }
+    );
+  }
+  await this.markUnreferenced();
+};
+
+// Drop every reference held by deleted entities
+assetSchema.statics.releaseReferences = async function (entityType, entityIds) {
+  if (entityIds.length === 0) return;
+
+  await this.updateMany(
+    { references: { $elemMatch: { entityType, entityId: { $in: entityIds } } } },
+    { $pull: { references: { entityType, entityId: { $in: entityIds } } } }
+  );
+  await this.markUnreferenced();
+};
+
+// Delete a file right away, with its derivatives and asset record (uploads that were never used, deleted CVs)
+assetSchema.statics.removeFile = async function (url) {
+  if (!url) return;
+  const asset = await this.findOne({ url });
+  for (const storedUrl of asset ? asset.storedUrls() : [url]) {
+    await deleteFile(storedUrl);
+  }
+  await this.deleteOne({ url });
+};
+
+// The asset as a multer-style file, for reusing it instead of uploading (null if it cannot be reused)
+assetSchema.statics.toUploadedFile = async function (assetId) {
+  if (!mongoose.Types.ObjectId.isValid(assetId)) return null;
+
+  const asset = await this.findById(assetId);
+  if (!asset || asset.resourceType === "private") return null;
+
+  return {
+    path: asset.url,
+    filename: asset.key,
+    originalname: asset.originalName,
+    mimetype: asset.mimeType,
+    size: asset.size,
+    assetId: asset._id
+  };
+};
+
+module.exports = mongoose.model("Asset", assetSchema);
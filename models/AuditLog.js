@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "tokenVersion",
+  "tokenHash",
+  "cancelTokenHash",
+  "passwordResetTokenHash",
+  "twoFactorSecret",
+  "twoFactorLastStep",
+  "twoFactorBackupCodes"
+];
+
+// Bookkeeping fields that change on every write and add noise to diffs
+const IGNORED_FIELDS = ["_id", "__v", "updatedAt"];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  actorEmail: { type: String }, // Kept so entries stay readable after the user is deleted
+  action: { type: String, required: true }, // create, update, delete, import, ...
+  entityType: { type: String, required: true }, // Model name, e.g. "Blog"
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  changes: { type: mongoose.Schema.Types.Mixed }, // { field: { before, after } }
+  metadata: { type: mongoose.Schema.Types.Mixed }, // Extra context, e.g. import counts
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Plain object of a document (or object) without redacted and bookkeeping fields
+const snapshot = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === "function" ? value.toObject({ depopulate: true }) : { ...value };
+  [...REDACTED_FIELDS, ...IGNORED_FIELDS].forEach((field) => delete plain[field]);
+  return plain;
+};
+
+// Field-level diff between two snapshots - only fields that actually changed
+auditLogSchema.statics.diff = function (before, after) {
+  const beforeData = snapshot(before);
+  const afterData = snapshot(after);
+  const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+
+  const changes = {};
+  fields.forEach((field) => {
+    const from = beforeData[field] === undefined ? null : beforeData[field];
+    const to = afterData[field] === undefined ? null : afterData[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  });
+  return changes;
+};
+
+// Record a write made during a request
+// Pass `before` and/or `after` (documents) for the diff - creates have no before, deletes no after
+// Never throws: a failed audit write is logged but does not fail the request
+auditLogSchema.statics.record = async function (req, { action, entityType, entityId, before, after, metadata }) {
+  try {
+    const document = after || before;
+    const changes = before || after ? this.diff(before, after) : undefined;
+
+    // Nothing changed - not worth an entry
+    if (action === "update" && changes && Object.keys(changes).length === 0) return null;
+
+    return await this.create({
+      actor: req.user ? req.user._id : undefined,
+      actorEmail: req.user ? req.user.email : undefined,
+      action,
+      entityType,
+      entityId: entityId || (document ? document._id : undefined),
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("user-agent")
+    });
+  } catch (err) {
+    console.error("Failed to write audit log:", err);
+    return null;
+  }
+};
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
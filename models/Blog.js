@@ -1,19 +1,48 @@
 const mongoose = require("mongoose");
+const seoPlugin = require("./plugins/seoPlugin");
+const assetPlugin = require("./plugins/assetPlugin");
+const attachmentsPlugin = require("./plugins/attachmentsPlugin");
+const imageVariantsPlugin = require("./plugins/imageVariantsPlugin");
 
 const blogSchema = new mongoose.Schema({
   title: { type: String, required: true },
   content: { type: String }, // Make optional for PDF posts
   excerpt: { type: String },
   author: { type: String, required: true },
-  imageUrl: { type: String }, // For image files
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Account that created the post
+  imageUrl: { type: String }, // For image files (the cover image)
   pdfUrl: { type: String }, // For PDF files
   pdfFileName: { type: String }, // Original PDF file name
   fileSize: { type: String }, // File size for display
   fileType: { type: String, enum: ["image", "pdf"], default: null }, // Track file type
   isPdfPost: { type: Boolean, default: false }, // Flag to identify PDF posts
   published: { type: Boolean, default: false },
+  publishAt: { type: Date, default: null }, // Scheduled publish time (picked up by the publish-scheduled-blogs job)
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag", index: true }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag", index: true }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// slug, previousSlugs and SEO metadata
+blogSchema.plugin(seoPlugin, {
+  pageKind: () => "blog",
+  describe: (blog) => blog.excerpt || blog.content
+});
+
+// Ordered attachments next to the cover image (imageUrl)
+blogSchema.plugin(attachmentsPlugin);
+
+// Responsive sizes and placeholders of the cover image and image attachments
+blogSchema.plugin(imageVariantsPlugin, { fields: { imageUrl: "image", "attachments.url": "image" } });
+
+// Uploaded files in use, tracked on their Asset records
+blogSchema.plugin(assetPlugin, { fields: ["imageUrl", "pdfUrl", "ogImage", "attachments.url"] });
+
+// Full-text search for ?q= on list endpoints
+blogSchema.index(
+  { title: "text", excerpt: "text", content: "text" },
+  { weights: { title: 10, excerpt: 5, content: 1 } }
+);
+
 module.exports = mongoose.model("Blog", blogSchema);
\ No newline at end of file
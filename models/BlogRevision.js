@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const assetPlugin = require("./plugins/assetPlugin");
+const { attachmentSchema } = require("./plugins/attachmentsPlugin");
+
+// Blog fields captured in every revision
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "excerpt",
+  "author",
+  "imageUrl",
+  "pdfUrl",
+  "pdfFileName",
+  "fileSize",
+  "fileType",
+  "isPdfPost",
+  "attachments"
+];
+
+const blogRevisionSchema = new mongoose.Schema({
+  blog: { type: mongoose.Schema.Types.ObjectId, ref: "Blog", required: true },
+  version: { type: Number, required: true }, // 1, 2, 3... per blog
+  title: { type: String },
+  content: { type: String },
+  excerpt: { type: String },
+  author: { type: String },
+  imageUrl: { type: String },
+  pdfUrl: { type: String },
+  pdfFileName: { type: String },
+  fileSize: { type: String },
+  fileType: { type: String },
+  isPdfPost: { type: Boolean },
+  attachments: [attachmentSchema],
+  reason: { type: String, enum: ["initial", "create", "update", "restore"], default: "update" },
+  restoredFrom: { type: Number }, // Version copied back by a restore
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+blogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+// Old revisions keep their files alive until the revision is deleted
+blogRevisionSchema.plugin(assetPlugin, { fields: ["imageUrl", "pdfUrl", "attachments.url"] });
+
+// Save the blog's current state as its next version
+blogRevisionSchema.statics.snapshot = async function (blog, { editedBy, reason = "update", restoredFrom } = {}, retried = false) {
+  const latest = await this.findOne({ blog: blog._id }).sort({ version: -1 }).select("version");
+  const data = REVISION_FIELDS.reduce((acc, field) => {
+    acc[field] = blog[field];
+    return acc;
+  }, {});
+
+  try {
+    return await this.create({
+      ...data,
+      blog: blog._id,
+      version: latest ? latest.version + 1 : 1,
+      reason,
+      restoredFrom,
+      editedBy
+    });
+  } catch (err) {
+    // Another edit took the same version number - take the next one
+    if (err.code === 11000 && !retried) return this.snapshot(blog, { editedBy, reason, restoredFrom }, true);
+    throw err;
+  }
+};
+
+// Blogs created before revisions existed get their pre-edit state saved as version 1
+blogRevisionSchema.statics.ensureBaseline = async function (blog) {
+  if (await this.exists({ blog: blog._id })) return;
+  await this.snapshot(blog, { editedBy: blog.createdBy, reason: "initial" });
+};
+
+module.exports = mongoose.model("BlogRevision", blogRevisionSchema);
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
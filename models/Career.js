@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const seoPlugin = require("./plugins/seoPlugin");
+const assetPlugin = require("./plugins/assetPlugin");
+const attachmentsPlugin = require("./plugins/attachmentsPlugin");
+const imageVariantsPlugin = require("./plugins/imageVariantsPlugin");
 
 const careerSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -12,7 +16,7 @@ const careerSchema = new mongoose.Schema({
   },
   salary: { type: String },
   applicationDeadline: { type: Date, required: true },
-  imageUrl: { type: String }, // For image files
+  imageUrl: { type: String }, // For image files (the cover image)
   pdfUrl: { type: String }, // For PDF files
   pdfFileName: { type: String }, // Original PDF file name
   fileSize: { type: String }, // File size for display
@@ -22,4 +26,25 @@ const careerSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+// slug, previousSlugs and SEO metadata
+careerSchema.plugin(seoPlugin, {
+  pageKind: () => "career",
+  describe: (career) => career.description
+});
+
+// Ordered attachments next to the cover image (imageUrl)
+careerSchema.plugin(attachmentsPlugin);
+
+// Responsive sizes and placeholders of the cover image and image attachments
+careerSchema.plugin(imageVariantsPlugin, { fields: { imageUrl: "image", "attachments.url": "image" } });
+
+// Uploaded files in use, tracked on their Asset records
+careerSchema.plugin(assetPlugin, { fields: ["imageUrl", "pdfUrl", "ogImage", "attachments.url"] });
+
+// Full-text search for ?q= on list endpoints
+careerSchema.index(
+  { title: "text", description: "text", requirements: "text" },
+  { weights: { title: 10, requirements: 3, description: 1 } }
+);
+
 module.exports = mongoose.model("Career", careerSchema);
\ No newline at end of file
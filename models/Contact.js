@@ -40,4 +40,10 @@ contactSchema.pre('save', function(next) {
   next();
 });
 
+// Duplicate submission check in sendJoinMessage
+contactSchema.index({ email: 1, createdAt: -1 });
+
+// Full-text search for ?q= on the admin list
+contactSchema.index({ name: "text", email: "text", message: "text" });
+
 module.exports = mongoose.model("Contact", contactSchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const seoPlugin = require("./plugins/seoPlugin");
+const assetPlugin = require("./plugins/assetPlugin");
+const attachmentsPlugin = require("./plugins/attachmentsPlugin");
+const imageVariantsPlugin = require("./plugins/imageVariantsPlugin");
 
 const eventSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -10,13 +14,38 @@ const eventSchema = new mongoose.Schema({
     enum: ["news", "event"],
     required: true,
   },
-  imageUrl: { type: String }, // For image files
+  imageUrl: { type: String }, // For image files (the cover image)
   pdfUrl: { type: String }, // For PDF files
   pdfFileName: { type: String }, // Original PDF file name
   fileSize: { type: String }, // File size for display
   fileType: { type: String, enum: ["image", "pdf"], default: null }, // Track file type
+  capacity: { type: Number, min: [1, "Capacity must be at least 1"], default: null }, // Max attendees (null = unlimited)
+  registeredCount: { type: Number }, // Seats taken - only changed atomically (see eventRegistrationController)
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag", index: true }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag", index: true }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// slug, previousSlugs and SEO metadata
+eventSchema.plugin(seoPlugin, {
+  pageKind: (event) => (event.type === "news" ? "news" : "event"),
+  describe: (event) => event.description
+});
+
+// Ordered attachments next to the cover image (imageUrl)
+eventSchema.plugin(attachmentsPlugin);
+
+// Responsive sizes and placeholders of the cover image and image attachments
+eventSchema.plugin(imageVariantsPlugin, { fields: { imageUrl: "image", "attachments.url": "image" } });
+
+// Uploaded files in use, tracked on their Asset records
+eventSchema.plugin(assetPlugin, { fields: ["imageUrl", "pdfUrl", "ogImage", "attachments.url"] });
+
+// Full-text search for ?q= on list endpoints
+eventSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 1 } }
+);
+
 module.exports = mongoose.model("Event", eventSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const eventRegistrationSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please provide a valid email address"]
+  },
+  phone: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ["registered", "waitlisted", "cancelled"],
+    required: true,
+  },
+  cancelTokenHash: { type: String, required: true, unique: true }, // SHA-256 of the emailed cancellation token
+  promotedAt: { type: Date }, // Set when moved from the waitlist to registered
+  cancelledAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+eventRegistrationSchema.index({ event: 1, status: 1, createdAt: 1 });
+// One active (registered or waitlisted) registration per email and event
+eventRegistrationSchema.index(
+  { event: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["registered", "waitlisted"] } } }
+);
+
+module.exports = mongoose.model("EventRegistration", eventRegistrationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const assetPlugin = require("./plugins/assetPlugin");
+const imageVariantsPlugin = require("./plugins/imageVariantsPlugin");
 
 const imageSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -8,4 +10,16 @@ const imageSchema = new mongoose.Schema({
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
 }, { timestamps: true });
 
+// Uploaded file in use, tracked on its Asset record
+imageSchema.plugin(assetPlugin, { fields: ["filename"] });
+
+// Responsive sizes and placeholder of the image
+imageSchema.plugin(imageVariantsPlugin, { fields: { filename: "image" } });
+
+// Full-text search for ?q= on list endpoints
+imageSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 1 } }
+);
+
 module.exports = mongoose.model("Image", imageSchema);
\ No newline at end of file
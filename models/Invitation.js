@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please provide a valid email address"]
+  },
+  name: { type: String, trim: true },
+  role: { type: String, enum: ["ADMIN", "AGENT"], required: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the emailed invite token
+  expiresAt: { type: Date, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Still usable: not accepted, not revoked and not expired
+invitationSchema.methods.isPending = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
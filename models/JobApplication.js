@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const assetPlugin = require("./plugins/assetPlugin");
+
+// Applicant tracking stages, in pipeline order
+const APPLICATION_STAGES = ["received", "shortlisted", "interview", "offered", "rejected", "hired"];
+
+const stageChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: APPLICATION_STAGES, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Empty for the initial submission
+  changedAt: { type: Date, default: Date.now },
+  candidateNotified: { type: Boolean, default: false },
+}, { _id: false });
+
+const noteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, "Note text is required"],
+    trim: true,
+    maxlength: [2000, "Note cannot exceed 2000 characters"]
+  },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const jobApplicationSchema = new mongoose.Schema({
+  career: { type: mongoose.Schema.Types.ObjectId, ref: "Career", required: true },
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please provide a valid email address"]
+  },
+  phone: { type: String, trim: true },
+  coverLetter: {
+    type: String,
+    trim: true,
+    maxlength: [5000, "Cover letter cannot exceed 5000 characters"]
+  },
+  cvUrl: { type: String, required: true }, // Cloudinary URL or local /uploads path
+  cvFileName: { type: String }, // Original CV file name
+  cvMimeType: { type: String },
+  fileSize: { type: String }, // File size for display
+  status: { type: String, enum: APPLICATION_STAGES, default: "received" },
+  statusHistory: [stageChangeSchema],
+  notes: [noteSchema], // Internal admin notes - never shown to the candidate
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+jobApplicationSchema.index({ career: 1, email: 1 }, { unique: true });
+jobApplicationSchema.index({ career: 1, createdAt: -1 });
+jobApplicationSchema.index({ career: 1, status: 1 });
+
+// Record the initial "received" stage for new applications
+jobApplicationSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.createdAt });
+  }
+  next();
+});
+
+// Uploaded CV, tracked on its Asset record
+jobApplicationSchema.plugin(assetPlugin, { fields: ["cvUrl"] });
+
+module.exports = mongoose.model("JobApplication", jobApplicationSchema);
+module.exports.APPLICATION_STAGES = APPLICATION_STAGES;
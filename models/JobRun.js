@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true }, // Name of the scheduled job
+  trigger: { type: String, enum: ["schedule", "manual"], required: true },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Set for manual runs
+  status: {
+    type: String,
+    enum: ["running", "success", "failed"],
+    default: "running",
+  },
+  result: { type: mongoose.Schema.Types.Mixed }, // Summary returned by the job
+  error: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Request counter for one rate limit key - used by the MongoDB rate limit store
+const rateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<limiter>:<ip|email>:<value>"
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }, // End of the current window
+});
+
+// Let MongoDB remove counters once their window has passed
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitHit", rateLimitHitSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the token given to the client
+  family: { type: String, required: true }, // Shared by every token rotated from the same login
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+  createdByIp: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove tokens a day after they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create a refresh token - returns the raw token (only ever sent to the client) and its record
+refreshTokenSchema.statics.issue = async function (userId, { family, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString("hex");
+  const record = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+  return { token, record };
+};
+
+// Revoke every active token in a family (one login session)
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active token belonging to a user (all sessions)
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+refreshTokenSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
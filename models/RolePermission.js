@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { CAPABILITIES, ADMIN_ONLY_CAPABILITIES, DEFAULT_ROLE_PERMISSIONS } = require("../config/permissions");
+
+// How long role permissions are cached in memory before being re-read
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: { type: String, enum: ["AGENT"], required: true, unique: true }, // ADMIN is not configurable
+  permissions: [{ type: String, enum: Object.keys(CAPABILITIES) }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Capabilities granted to a role - stored mapping, falling back to the defaults
+rolePermissionSchema.statics.getPermissions = async function (role) {
+  if (role === "ADMIN") return DEFAULT_ROLE_PERMISSIONS.ADMIN;
+
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  // Admin-only capabilities saved before they were restricted are never granted
+  const stored = await this.findOne({ role });
+  const permissions = (stored ? stored.permissions : DEFAULT_ROLE_PERMISSIONS[role] || [])
+    .filter((permission) => !ADMIN_ONLY_CAPABILITIES.includes(permission));
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+rolePermissionSchema.statics.clearCache = function () {
+  cache.clear();
+};
+
+module.exports = mongoose.model("RolePermission", rolePermissionSchema);
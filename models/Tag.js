@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const { slugify } = require("./plugins/seoPlugin");
+
+const TAG_KINDS = ["tag", "category"];
+
+// Shared taxonomy for blogs and events - tags and categories are both "terms" of one kind or the other
+const tagSchema = new mongoose.Schema({
+  kind: { type: String, enum: TAG_KINDS, default: "tag" },
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [60, "Name cannot exceed 60 characters"]
+  },
+  slug: { type: String, required: true, trim: true, lowercase: true },
+  description: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+tagSchema.index({ kind: 1, slug: 1 }, { unique: true });
+
+// Slug follows the name unless set explicitly
+tagSchema.pre("validate", function (next) {
+  if (!this.slug || this.isModified("slug")) {
+    this.slug = slugify(this.slug || this.name);
+  }
+  next();
+});
+
+// Turn request input into term ids - accepts an array, a JSON array or a comma-separated
+// string (multipart forms) of ids or slugs. Returns { ids, unknown }
+tagSchema.statics.resolve = async function (kind, input) {
+  let values = input;
+  if (typeof values === "string") {
+    const text = values.trim();
+    values = text.startsWith("[") ? JSON.parse(text) : text.split(",");
+  }
+  values = (Array.isArray(values) ? values : [values])
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+
+  if (values.length === 0) return { ids: [], unknown: [] };
+
+  const ids = values.filter((value) => mongoose.Types.ObjectId.isValid(value));
+  const slugs = values.filter((value) => !mongoose.Types.ObjectId.isValid(value)).map((value) => value.toLowerCase());
+
+  const terms = await this.find({
+    kind,
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }]
+  }).select("_id slug");
+
+  const found = new Set(terms.flatMap((term) => [String(term._id), term.slug]));
+  return {
+    ids: [...new Set(terms.map((term) => String(term._id)))],
+    unknown: values.filter((value) => !found.has(value) && !found.has(value.toLowerCase()))
+  };
+};
+
+// Replace data.tags / data.categories from a request with term ids (throws on unknown terms)
+tagSchema.statics.assignTerms = async function (data) {
+  const pairs = [["tag", "tags"], ["category", "categories"]];
+
+  for (const [kind, field] of pairs) {
+    if (data[field] === undefined) continue;
+
+    let resolved;
+    try {
+      resolved = await this.resolve(kind, data[field]);
+    } catch (err) {
+      throw new Error(`Invalid ${field} value`);
+    }
+
+    if (resolved.unknown.length > 0) {
+      throw new Error(`Unknown ${field}: ${resolved.unknown.join(", ")}`);
+    }
+    data[field] = resolved.ids;
+  }
+};
+
+// List filter for public ?tag= and ?category= parameters (slugs)
+// An unknown slug matches nothing rather than being ignored
+tagSchema.statics.buildFilter = async function ({ tag, category }) {
+  const filter = {};
+  const pairs = [["tag", "tags", tag], ["category", "categories", category]];
+
+  for (const [kind, field, slug] of pairs) {
+    if (!slug) continue;
+    const term = await this.findOne({ kind, slug: String(slug).toLowerCase() }).select("_id");
+    filter[field] = term ? term._id : { $in: [] };
+  }
+  return filter;
+};
+
+module.exports = mongoose.model("Tag", tagSchema);
+module.exports.TAG_KINDS = TAG_KINDS;
@@ -1,13 +1,59 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
+const RefreshToken = require("./RefreshToken");
+const { verifyCode } = require("../config/totp");
+
+// Progressive lockout: after LOCKOUT_THRESHOLD failed logins the account is locked,
+// starting at LOCKOUT_BASE_MINUTES and doubling with every further failure
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60;
+
+const BACKUP_CODE_COUNT = 10;
+
+// Backup codes are shown once and stored as SHA-256 hashes ("ab12c-3de45" and "AB12C3DE45" are the same code)
+const hashBackupCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+};
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   password: { type: String, required: true },
   role: { type: String, enum: ["ADMIN", "AGENT"], required: true },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate all issued access tokens
+  passwordResetTokenHash: { type: String, select: false }, // SHA-256 of the emailed reset token
+  passwordResetExpires: { type: Date },
+  active: { type: Boolean, default: true }, // Deactivated users cannot log in or use existing tokens
+  lastLoginAt: { type: Date },
+  failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures since the last successful login
+  lockUntil: { type: Date }, // Logins are refused until this time
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false }, // Base32 TOTP secret - set at enrollment, active once verified
+  twoFactorLastStep: { type: Number, select: false }, // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorBackupCodes: { type: [String], select: false }, // SHA-256 hashes of unused backup codes
+  createdAt: { type: Date, default: Date.now },
 });
 
+// Full-text search for ?q= on the admin user list
+userSchema.index({ name: "text", email: "text" });
+
+// Emails are stored trimmed and lowercased - normalise them the same way before looking a user up
+userSchema.statics.normalizeEmail = (email) => email.trim().toLowerCase();
+
+// User signing in with an email - falls back to a case-insensitive match for accounts
+// stored before emails were normalised, until scripts/normalizeUserEmails.js has run
+userSchema.statics.findByEmail = async function (email) {
+  const normalized = this.normalizeEmail(email);
+  const user = await this.findOne({ email: normalized });
+  if (user) return user;
+
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return this.findOne({ email: new RegExp(`^\\s*${escaped}\\s*$`, "i") });
+};
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -21,4 +67,87 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login and lock the account once past the threshold
+// Atomic so parallel guesses cannot slip past the counter
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  const over = updated.failedLoginAttempts - LOCKOUT_THRESHOLD;
+  if (over >= 0) {
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** over, LOCKOUT_MAX_MINUTES);
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+};
+
+// Clear the failed login counter and any lock (saved by the caller)
+userSchema.methods.resetFailedLogins = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// REQUIRE_ADMIN_2FA=true makes 2FA mandatory for every ADMIN
+userSchema.methods.requiresTwoFactorSetup = function () {
+  return process.env.REQUIRE_ADMIN_2FA === "true" && this.role === "ADMIN" && !this.twoFactorEnabled;
+};
+
+// Replace the backup codes - returns the plain codes, which are never stored
+userSchema.methods.generateBackupCodes = function () {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorBackupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Check a TOTP code, or else a backup code (each backup code works once)
+// The user must be loaded with +twoFactorSecret; both checks are atomic so a code cannot be used twice
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  if (!code) return false;
+
+  const step = this.twoFactorSecret ? verifyCode(this.twoFactorSecret, code) : null;
+  if (step !== null) {
+    const claimed = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { twoFactorLastStep: step }
+    );
+    return claimed.modifiedCount === 1;
+  }
+
+  const codeHash = hashBackupCode(code);
+  const used = await this.constructor.updateOne(
+    { _id: this._id, twoFactorBackupCodes: codeHash },
+    { $pull: { twoFactorBackupCodes: codeHash } }
+  );
+  return used.modifiedCount === 1;
+};
+
+// Log out everywhere: invalidate access tokens and revoke all refresh tokens
+userSchema.methods.revokeAllSessions = async function (reason = "revoked") {
+  this.tokenVersion += 1;
+  await this.save();
+  await RefreshToken.revokeAllForUser(this._id, reason);
+};
+
+// Other active admins besides this user - the last one may never be removed
+userSchema.methods.isLastActiveAdmin = async function () {
+  if (this.role !== "ADMIN" || this.active === false) return false;
+  const otherAdmins = await this.constructor.countDocuments({
+    _id: { $ne: this._id },
+    role: "ADMIN",
+    active: { $ne: false }
+  });
+  return otherAdmins === 0;
+};
+
 module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
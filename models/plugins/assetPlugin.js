@@ -0,0 +1,70 @@
+const Asset = require("../Asset");
+
+// Keeps Asset.references in step with the file URLs a model stores
+// options.fields: string fields holding file URLs, e.g. ["imageUrl", "pdfUrl"]
+// "<array>.<field>" names a field inside an array of subdocuments, e.g. "attachments.url"
+// Failures are logged, never thrown - the garbage collector re-checks documents before deleting
+module.exports = function assetPlugin(schema, options) {
+  const { fields } = options;
+
+  const valuesOf = (doc, field) => {
+    const [arrayField, subField] = field.split(".");
+    return subField ? (doc[arrayField] || []).map((item) => item[subField]) : [doc[field]];
+  };
+
+  const urlsOf = (doc) => [...new Set(fields.flatMap((field) => valuesOf(doc, field)).filter(Boolean))];
+
+  const sync = async (Model, doc) => {
+    try {
+      await Asset.syncReferences(Model.modelName, doc._id, urlsOf(doc));
+    } catch (err) {
+      console.error("Failed to sync asset references:", err);
+    }
+  };
+
+  const release = async (Model, ids) => {
+    try {
+      await Asset.releaseReferences(Model.modelName, ids);
+    } catch (err) {
+      console.error("Failed to release asset references:", err);
+    }
+  };
+
+  // Fields the garbage collector checks for references
+  schema.statics.getAssetFields = function () {
+    return fields;
+  };
+
+  schema.post("save", async function () {
+    await sync(this.constructor, this);
+  });
+
+  schema.post("insertMany", async function (docs) {
+    for (const doc of docs) await sync(this, doc);
+  });
+
+  // The result may be the pre-update document, so re-read it
+  schema.post("findOneAndUpdate", async function (doc) {
+    if (!doc) return;
+    const current = await this.model.findById(doc._id);
+    if (current) await sync(this.model, current);
+  });
+
+  schema.post("findOneAndDelete", async function (doc) {
+    if (doc) await release(this.model, [doc._id]);
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    await release(this.constructor, [this._id]);
+  });
+
+  // Query deletes only know their filter - note the matching ids first
+  schema.pre(["deleteOne", "deleteMany"], { document: false, query: true }, async function () {
+    const docs = await this.model.find(this.getFilter()).select("_id");
+    this._assetEntityIds = docs.map((doc) => doc._id);
+  });
+
+  schema.post(["deleteOne", "deleteMany"], { document: false, query: true }, async function () {
+    await release(this.model, this._assetEntityIds || []);
+  });
+};
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { imageVariantsSchema } = require("./imageVariantsPlugin");
+
+// Most attachments one document can hold
+const MAX_ATTACHMENTS = parseInt(process.env.MAX_ATTACHMENTS) || 20;
+
+// One file attached to a blog, event or career - position in the array is the display order
+const attachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  type: { type: String, enum: ["image", "pdf"], required: true },
+  fileName: { type: String }, // Original file name
+  fileSize: { type: String }, // File size for display
+  mimeType: { type: String },
+  caption: { type: String, trim: true, maxlength: [300, "Caption cannot exceed 300 characters"] },
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset" },
+  image: { type: imageVariantsSchema, default: null }, // Sizes and placeholder of image attachments
+});
+
+// Ordered attachments (images and PDFs with captions) next to the cover image (imageUrl)
+module.exports = function attachmentsPlugin(schema) {
+  schema.add({
+    attachments: {
+      type: [attachmentSchema],
+      validate: {
+        validator: (attachments) => attachments.length <= MAX_ATTACHMENTS,
+        message: `No more than ${MAX_ATTACHMENTS} attachments are allowed`
+      }
+    }
+  });
+
+  // Current attachments followed by new ones, for an update - throws past the limit
+  schema.methods.attachmentsWith = function (added) {
+    if (this.attachments.length + added.length > MAX_ATTACHMENTS) {
+      throw new Error(`No more than ${MAX_ATTACHMENTS} attachments are allowed`);
+    }
+    return [...this.attachments.map((attachment) => attachment.toObject()), ...added];
+  };
+
+  // Put attachments in the order of the given ids - must name every attachment exactly once
+  schema.methods.reorderAttachments = function (ids) {
+    const byId = new Map(this.attachments.map((attachment) => [String(attachment._id), attachment]));
+    const order = ids.map(String);
+
+    if (order.length !== byId.size || new Set(order).size !== order.length || !order.every((id) => byId.has(id))) {
+      return false;
+    }
+
+    this.attachments = order.map((id) => byId.get(id));
+    return true;
+  };
+};
+
+module.exports.attachmentSchema = attachmentSchema;
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
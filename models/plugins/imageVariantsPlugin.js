@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const Asset = require("../Asset");
+
+// One derivative size in each format
+const variantSchema = new mongoose.Schema({
+  width: { type: Number },
+  height: { type: Number },
+  webp: { type: String },
+  avif: { type: String },
+}, { _id: false });
+
+// Responsive versions of an image (see Asset.toImageVariants)
+const imageVariantsSchema = new mongoose.Schema({
+  width: { type: Number }, // Original size
+  height: { type: Number },
+  blurhash: { type: String },
+  thumbnail: variantSchema,
+  card: variantSchema,
+  hero: variantSchema,
+}, { _id: false });
+
+// Copies the sizes, WebP/AVIF URLs, dimensions and blurhash of uploaded images onto the documents using them
+// options.fields: image URL field -> field holding its variants, e.g. { imageUrl: "image" }
+// "<array>.<field>" maps inside the same array item, e.g. { "attachments.url": "image" } (that schema declares the field)
+// Images without derivatives yet are filled in later by the generate-image-derivatives job
+module.exports = function imageVariantsPlugin(schema, options) {
+  const mappings = Object.entries(options.fields).map(([urlPath, variantsField]) => {
+    const [arrayField, urlField] = urlPath.split(".");
+    return urlField ? { arrayField, urlField, variantsField } : { urlField: urlPath, variantsField };
+  });
+
+  mappings
+    .filter(({ arrayField }) => !arrayField)
+    .forEach(({ variantsField }) => schema.add({ [variantsField]: { type: imageVariantsSchema, default: null } }));
+
+  // Variants of the given URLs, by URL (images without derivatives are left out)
+  const variantsByUrl = async (urls) => {
+    const wanted = [...new Set(urls.filter(Boolean))];
+    if (wanted.length === 0) return new Map();
+
+    const assets = await Asset.find({ url: { $in: wanted } }).select("url width height blurhash derivatives");
+    return new Map(assets.map((asset) => [asset.url, asset.toImageVariants()]).filter(([, variants]) => variants));
+  };
+
+  // Set the variants of changed image fields on a document or update
+  // Array items keep the variants they already have
+  const fillVariants = async (target, changed) => {
+    const fields = mappings.filter(({ arrayField, urlField }) => !arrayField && changed(urlField));
+    const items = mappings
+      .filter(({ arrayField }) => arrayField && changed(arrayField))
+      .flatMap((mapping) => (target[mapping.arrayField] || [])
+        .filter((item) => item[mapping.urlField] && !item[mapping.variantsField])
+        .map((item) => ({ item, ...mapping })));
+    if (fields.length === 0 && items.length === 0) return;
+
+    const variants = await variantsByUrl([
+      ...fields.map(({ urlField }) => target[urlField]),
+      ...items.map(({ item, urlField }) => item[urlField])
+    ]);
+    fields.forEach(({ urlField, variantsField }) => {
+      target[variantsField] = variants.get(target[urlField]) || null;
+    });
+    items.forEach(({ item, urlField, variantsField }) => {
+      if (variants.has(item[urlField])) item[variantsField] = variants.get(item[urlField]);
+    });
+  };
+
+  schema.pre("save", async function () {
+    await fillVariants(this, (path) => this.isModified(path));
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate() || {};
+    const values = { ...update, ...update.$set };
+    const changed = (path) => values[path] !== undefined;
+
+    // Array items are filled in place; plain variant fields are added to the update
+    await fillVariants(values, changed);
+    mappings
+      .filter(({ arrayField, urlField }) => !arrayField && changed(urlField))
+      .forEach(({ variantsField }) => this.set(variantsField, values[variantsField]));
+  });
+
+  // Copy newly generated variants onto every document already using the URL
+  schema.statics.applyImageVariants = async function (url, variants) {
+    for (const { arrayField, urlField, variantsField } of mappings) {
+      if (!arrayField) {
+        await this.updateMany({ [urlField]: url }, { $set: { [variantsField]: variants } });
+        continue;
+      }
+
+      await this.updateMany(
+        { [`${arrayField}.${urlField}`]: url },
+        { $set: { [`${arrayField}.$[item].${variantsField}`]: variants } },
+        { arrayFilters: [{ [`item.${urlField}`]: url }] }
+      );
+    }
+  };
+};
+
+module.exports.imageVariantsSchema = imageVariantsSchema;
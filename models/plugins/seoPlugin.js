@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const { buildPublicUrl } = require("../../config/site");
+const sitemapCache = require("../../config/sitemapCache");
+
+const META_DESCRIPTION_LENGTH = 160;
+
+// "Hello, World!" -> "hello-world"
+const slugify = (text) => {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/, "");
+};
+
+// Plain-text summary for meta descriptions
+const summarize = (text) => {
+  const plain = String(text || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+  if (plain.length <= META_DESCRIPTION_LENGTH) return plain;
+  return plain.slice(0, META_DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, "") + "…";
+};
+
+// Slug + SEO metadata shared by Blog, Event and Career
+// options.pageKind(doc): the config/site.js route kind used for the canonical URL
+// options.describe(doc): fallback text for the meta description
+module.exports = function seoPlugin(schema, options) {
+  schema.add({
+    slug: { type: String, unique: true, sparse: true, trim: true, lowercase: true },
+    previousSlugs: { type: [String], index: true }, // Old slugs still resolve to this document
+    metaTitle: { type: String, trim: true, maxlength: [70, "Meta title cannot exceed 70 characters"] },
+    metaDescription: { type: String, trim: true, maxlength: [300, "Meta description cannot exceed 300 characters"] },
+    ogImage: { type: String, trim: true }, // Open Graph image (defaults to imageUrl)
+  });
+
+  // First free slug based on `base` - "title", then "title-2", "title-3"...
+  // `reserved` holds slugs already claimed by other unsaved documents (bulk imports)
+  schema.statics.generateUniqueSlug = async function (base, { excludeId, reserved } = {}) {
+    const root = slugify(base) || "item";
+    for (let attempt = 1; ; attempt++) {
+      const candidate = attempt === 1 ? root : `${root}-${attempt}`;
+      if (reserved && reserved.has(candidate)) continue;
+
+      const taken = await this.exists({
+        _id: { $ne: excludeId },
+        $or: [{ slug: candidate }, { previousSlugs: candidate }]
+      });
+      if (!taken) return candidate;
+    }
+  };
+
+  // Generated from the title when empty; an edited slug is normalized and made unique
+  schema.methods.assignSlug = async function (reserved) {
+    if (this.slug && !this.isModified("slug")) return;
+
+    const slug = await this.constructor.generateUniqueSlug(this.slug || this.title, {
+      excludeId: this._id,
+      reserved
+    });
+
+    // Remember the slug this document was published under
+    const original = this.$locals.loadedSlug;
+    if (original && original !== slug && !this.previousSlugs.includes(original)) {
+      this.previousSlugs.push(original);
+    }
+    this.slug = slug;
+    if (reserved) reserved.add(slug);
+  };
+
+  // Slug as loaded from the database, to detect edits
+  schema.post("init", function () {
+    this.$locals.loadedSlug = this.slug;
+  });
+
+  schema.pre("validate", async function () {
+    await this.assignSlug();
+  });
+
+  schema.post("save", function () {
+    this.$locals.loadedSlug = this.slug;
+  });
+
+  // Any write can add, remove or move a public page - drop the cached sitemap
+  const invalidateSitemap = () => sitemapCache.invalidate();
+  schema.post(["save", "insertMany"], invalidateSitemap);
+  schema.post(
+    ["updateOne", "updateMany", "replaceOne", "findOneAndUpdate", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+    { document: false, query: true },
+    invalidateSitemap
+  );
+  schema.post("deleteOne", { document: true, query: false }, invalidateSitemap);
+
+  // Prepare the slug part of an update object for findByIdAndUpdate (hooks do not run there)
+  // updateData.slug: undefined = unchanged, "" = regenerate from the title, anything else = new slug
+  schema.methods.applySlugUpdate = async function (updateData) {
+    if (updateData.slug === undefined) {
+      if (!this.slug) {
+        updateData.slug = await this.constructor.generateUniqueSlug(updateData.title || this.title, { excludeId: this._id });
+      }
+      return;
+    }
+
+    const slug = await this.constructor.generateUniqueSlug(updateData.slug || updateData.title || this.title, {
+      excludeId: this._id
+    });
+
+    if (this.slug && this.slug !== slug) {
+      updateData.previousSlugs = [...new Set([...(this.previousSlugs || []), this.slug])]
+        .filter((previous) => previous !== slug);
+    }
+    updateData.slug = slug;
+  };
+
+  // Find by id or slug; an old slug resolves too and reports the current one as `redirectTo`
+  schema.statics.findBySlugOrId = async function (value, filter = {}) {
+    if (mongoose.Types.ObjectId.isValid(value)) {
+      const byId = await this.findOne({ ...filter, _id: value });
+      if (byId) return { doc: byId };
+    }
+
+    const slug = String(value).toLowerCase();
+    const bySlug = await this.findOne({ ...filter, slug });
+    if (bySlug) return { doc: bySlug };
+
+    const byPreviousSlug = await this.findOne({ ...filter, previousSlugs: slug });
+    if (byPreviousSlug) return { doc: byPreviousSlug, redirectTo: byPreviousSlug.slug };
+
+    return { doc: null };
+  };
+
+  // Computed metadata for public detail responses
+  schema.methods.buildSeo = function () {
+    return {
+      title: this.metaTitle || this.title,
+      description: this.metaDescription || summarize(options.describe(this)),
+      image: this.ogImage || this.imageUrl || null,
+      canonicalUrl: buildPublicUrl(options.pageKind(this), this)
+    };
+  };
+
+  // Public detail response: the document, its SEO block and a redirect hint for old slugs
+  schema.methods.toPublicJSON = function (redirectTo) {
+    return {
+      ...this.toJSON(),
+      seo: this.buildSeo(),
+      ...(redirectTo ? { redirect: { slug: redirectTo, permanent: true } } : {})
+    };
+  };
+};
+
+module.exports.slugify = slugify;
@@ -0,0 +1,76 @@
+const express = require("express");
+const { protect, requirePermission, hasPermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const Album = require("../models/Album");
+const Image = require("../models/Image");
+const {
+  getAlbums,
+  getAlbum,
+  getAlbumImages,
+  getAllAlbums,
+  getAlbumAsAdmin,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  addAlbumImages,
+  reorderAlbumImages,
+  removeAlbumImage,
+  setAlbumCover
+} = require("../controllers/albumController");
+const {
+  createUploadMiddleware,
+  handleMulterError
+} = require("../config/upload");
+
+const router = express.Router();
+
+// Bulk upload into an album - stored like gallery images (5 MB per image), images only
+const upload = createUploadMiddleware('images', 5, {
+  filePrefix: 'image',
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  fileTypeMessage: 'Only JPEG, PNG, GIF and WebP images are allowed!'
+});
+
+// Uploading into an album also needs image:create - checked before multer stores and processes any file
+// (adding existing images by imageIds is a JSON request and needs album:edit only)
+const requireImageCreateForUploads = (req, res, next) => {
+  if (req.is("multipart/form-data") && !hasPermission(req, "image:create")) {
+    return res.status(403).json({ message: "Forbidden: you cannot upload images" });
+  }
+  next();
+};
+
+// List options shared by the album lists (image ids are left out - see /:id/images)
+const albumListOptions = {
+  sortFields: ["createdAt", "updatedAt", "title"],
+  defaultSort: "-createdAt",
+  filterFields: ["event"],
+  searchable: true,
+  hiddenFields: ["images"]
+};
+
+// Public: published albums and their images (paginated)
+router.get("/", listQuery(Album, albumListOptions), getAlbums);
+
+// Admin only: all albums, including unpublished
+router.get("/admin/all", protect, requirePermission("album:read"), listQuery(Album, {
+  ...albumListOptions,
+  filterFields: ["event", "published"]
+}), getAllAlbums);
+router.get("/admin/:id", protect, requirePermission("album:read"), getAlbumAsAdmin);
+
+router.get("/:id", getAlbum);
+router.get("/:id/images", listQuery(Image), getAlbumImages);
+
+// Admin only: create, edit, delete
+router.post("/", protect, requirePermission("album:create"), createAlbum);
+router.put("/:id", protect, requirePermission("album:edit"), updateAlbum);
+router.delete("/:id", protect, requirePermission("album:delete"), deleteAlbum);
+
+// Admin only: bulk upload/add images, reorder, remove, set as cover
+router.post("/:id/images", protect, requirePermission("album:edit"), requireImageCreateForUploads, upload.array("images", 50), handleMulterError, addAlbumImages);
+router.put("/:id/images/order", protect, requirePermission("album:edit"), reorderAlbumImages);
+router.delete("/:id/images/:imageId", protect, requirePermission("album:edit"), removeAlbumImage);
+router.put("/:id/cover", protect, requirePermission("album:edit"), setAlbumCover);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const Asset = require("../models/Asset");
+const { getAssets, getAsset, deleteAsset } = require("../controllers/assetController");
+
+const router = express.Router();
+
+// Media library: browse uploaded files and remove unused ones
+router.get("/", protect, requirePermission("asset:read"), listQuery(Asset, {
+  sortFields: ["createdAt", "size", "originalName"],
+  defaultSort: "-createdAt",
+  filterFields: ["mimeType", "resourceType", "driver", "folder", "checksum", "uploadedBy"],
+  searchable: true
+}), getAssets);
+router.get("/:id", protect, requirePermission("asset:read"), getAsset);
+router.delete("/:id", protect, requirePermission("asset:delete"), deleteAsset);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const { getAuditLogs, getEntityHistory } = require("../controllers/auditController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const AuditLog = require("../models/AuditLog");
+const router = express.Router();
+
+// Admin audit trail
+router.get("/", protect, requirePermission("audit:read"), listQuery(AuditLog, {
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+  filterFields: ["actor", "action", "entityType", "entityId"]
+}), getAuditLogs);
+router.get("/:entityType/:entityId", protect, requirePermission("audit:read"), getEntityHistory);
+
+module.exports = router;
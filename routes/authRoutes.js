@@ -4,18 +4,68 @@ const {
   registerUser, 
   registerAgent, 
   loginUser, 
-  getProfile 
+  getProfile,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyLoginTwoFactor
 } = require("../controllers/authController");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const {
+  enrollTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require("../controllers/twoFactorController");
+const { protect, protectAllowTwoFactorSetup, requirePermission } = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+
+// Brute-force protection - counted per IP and per submitted email
+const loginLimiter = rateLimit({
+  name: "login",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keys: ["ip", "email"],
+  message: "Too many login attempts, please try again later"
+});
+const forgotPasswordLimiter = rateLimit({
+  name: "forgot-password",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keys: ["ip", "email"]
+});
 
 // Public routes
-router.post("/login", loginUser);
-router.post("/register", registerUser);
+router.post("/login", loginLimiter, loginUser);
+router.post("/login/2fa", loginLimiter, verifyLoginTwoFactor);
+router.post("/register", registerUser); // Bootstrap only - closed once an admin exists
+router.post("/accept-invite", acceptInvitation);
+router.post("/refresh", refreshToken);
+router.post("/logout", logoutUser);
+router.post("/forgot-password", forgotPasswordLimiter, forgotPassword);
+router.post("/reset-password", resetPassword);
 
 // Protected routes
-router.get("/me", protect, getProfile);
+router.get("/me", protectAllowTwoFactorSetup, getProfile);
+router.post("/logout-all", protectAllowTwoFactorSetup, logoutAllSessions);
+router.put("/password", protect, changePassword);
+
+// Two-factor authentication (enrollment stays reachable while an admin's 2FA setup is pending)
+router.post("/2fa/enroll", protectAllowTwoFactorSetup, enrollTwoFactor);
+router.post("/2fa/verify", protectAllowTwoFactorSetup, verifyTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/backup-codes", protect, regenerateBackupCodes);
 
 // Admin only routes
-router.post("/register-agent", protect, requireRole(["ADMIN"]), registerAgent);
+router.post("/register-agent", protect, requirePermission("user:manage"), registerAgent);
+router.post("/invite", protect, requirePermission("user:manage"), createInvitation);
+router.get("/invites", protect, requirePermission("user:manage"), getInvitations);
+router.delete("/invites/:id", protect, requirePermission("user:manage"), revokeInvitation);
 
 module.exports = router;
\ No newline at end of file
@@ -1,61 +1,128 @@
 const express = require("express");
 const router = express.Router();
 const path = require("path");
-const fs = require("fs");
 const Blog = require("../models/Blog");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const BlogRevision = require("../models/BlogRevision");
+const Tag = require("../models/Tag");
+const AuditLog = require("../models/AuditLog");
+const { protect, requirePermission, hasPermission } = require("../middleware/authMiddleware");
+const { listQuery, paginate } = require("../middleware/listQueryMiddleware");
+const { exportEntity } = require("../controllers/exportController");
+const { feed } = require("../controllers/feedController");
+const {
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment
+} = require("../controllers/attachmentController");
+const {
+  getRevisions,
+  diffRevisions,
+  getRevision,
+  restoreRevision
+} = require("../controllers/blogRevisionController");
 const { 
   createUploadMiddleware, 
+  ENTITY_UPLOAD_FIELDS,
+  UPLOAD_BODY_FIELDS,
+  discardUploadedFiles,
+  resolveRequestFile,
+  resolveCoverFile,
+  resolveAttachments,
   handleMulterError, 
-  deleteFile,
-  formatFileSize,
-  isVercel
-} = require("../config/cloudinary");
-
-// Create upload middleware - images go to Cloudinary, PDFs go to local storage
-const upload = createUploadMiddleware(
-  'ganu/blogs', // Cloudinary folder for images
-  path.join(__dirname, '../uploads/blogs') // Local directory for PDFs
-);
-
-// Get all blogs (public) - only published blogs
-router.get("/", async (req, res) => {
+  formatFileSize
+} = require("../config/upload");
+const { getFile } = require("../config/storage");
+
+// Create upload middleware - images and PDFs go to their configured storage drivers
+const upload = createUploadMiddleware('blogs', 20, { filePrefix: 'blog' });
+
+// List options shared by the public and admin blog lists
+const blogListOptions = {
+  sortFields: ["createdAt", "updatedAt", "title"],
+  defaultSort: "-createdAt",
+  filterFields: ["author", "fileType", "isPdfPost"],
+  searchable: true
+};
+
+// Tag/category fields returned with blogs
+const TAXONOMY_POPULATE = { path: "tags categories", select: "name slug kind" };
+
+// Get all blogs (public) - only published blogs, paginated (?tag=, ?category= by slug)
+router.get("/", listQuery(Blog, blogListOptions), async (req, res) => {
   try {
-    const blogs = await Blog.find({ published: true }).sort({ createdAt: -1 });
-    res.json(blogs);
+    const taxonomyFilter = await Tag.buildFilter(req.query);
+    const result = await paginate(Blog, { published: true, ...taxonomyFilter }, req.listQuery, {
+      populate: TAXONOMY_POPULATE
+    });
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching blogs" });
   }
 });
 
-// Get all blogs (admin only - including unpublished)
-router.get("/admin/all", protect, requireRole(["ADMIN"]), async (req, res) => {
+// Subscription feeds (public) - published blogs
+router.get("/feed.xml", feed("blogs", "rss"));
+router.get("/feed.atom", feed("blogs", "atom"));
+
+// Get all blogs (admin only - including unpublished), paginated
+router.get("/admin/all", protect, requirePermission("blog:read"), listQuery(Blog, {
+  ...blogListOptions,
+  filterFields: [...blogListOptions.filterFields, "published"]
+}), async (req, res) => {
   try {
-    const blogs = await Blog.find().sort({ createdAt: -1 });
-    res.json(blogs);
+    const taxonomyFilter = await Tag.buildFilter(req.query);
+    const result = await paginate(Blog, taxonomyFilter, req.listQuery, { populate: TAXONOMY_POPULATE });
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching blogs" });
   }
 });
 
-// Get single blog (public) - only if published
+// Export blogs as CSV/XLSX (admin only) - ?format=csv|xlsx&published=&from=&to=
+router.get("/admin/export", protect, requirePermission("blog:export"), exportEntity("blogs"));
+
+// Related blogs (public) - published posts ranked by the number of shared tags (?limit=, max 20)
+router.get("/:id/related", async (req, res) => {
+  try {
+    const { doc: blog } = await Blog.findBySlugOrId(req.params.id, { published: true });
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+    if (blog.tags.length === 0) return res.json([]);
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const related = await Blog.aggregate([
+      { $match: { published: true, _id: { $ne: blog._id }, tags: { $in: blog.tags } } },
+      { $addFields: { sharedTags: { $size: { $setIntersection: ["$tags", blog.tags] } } } },
+      { $sort: { sharedTags: -1, createdAt: -1 } },
+      { $limit: limit },
+      { $project: { title: 1, slug: 1, excerpt: 1, author: 1, imageUrl: 1, fileType: 1, createdAt: 1, tags: 1, sharedTags: 1 } }
+    ]);
+
+    await Blog.populate(related, { path: "tags", select: "name slug kind" });
+    res.json(related);
+  } catch (err) {
+    console.error('Error fetching related blogs:', err);
+    res.status(500).json({ message: "Server error fetching related blogs" });
+  }
+});
+
+// Get single blog (public) - only if published; by slug or id, with SEO metadata
 router.get("/:id", async (req, res) => {
   try {
-    const blog = await Blog.findOne({ 
-      _id: req.params.id, 
-      published: true 
-    });
+    const { doc: blog, redirectTo } = await Blog.findBySlugOrId(req.params.id, { published: true });
     if (!blog) return res.status(404).json({ message: "Blog not found" });
-    res.json(blog);
+    await blog.populate(TAXONOMY_POPULATE);
+    res.json(blog.toPublicJSON(redirectTo));
   } catch (err) {
     res.status(500).json({ message: "Server error fetching blog" });
   }
 });
 
 // Get single blog (admin - can access unpublished)
-router.get("/admin/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
+router.get("/admin/:id", protect, requirePermission("blog:read"), async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
+    const { doc: blog } = await Blog.findBySlugOrId(req.params.id);
     if (!blog) return res.status(404).json({ message: "Blog not found" });
     res.json(blog);
   } catch (err) {
@@ -63,15 +130,21 @@ router.get("/admin/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
   }
 });
 
+// Revision history (blog:read to view, blog:edit to restore)
+router.get("/admin/:id/revisions", protect, requirePermission("blog:read"), getRevisions);
+router.get("/admin/:id/revisions/diff", protect, requirePermission("blog:read"), diffRevisions);
+router.get("/admin/:id/revisions/:version", protect, requirePermission("blog:read"), getRevision);
+router.post("/admin/:id/revisions/:version/restore", protect, requirePermission("blog:edit"), restoreRevision);
+
 // Serve PDF files with proper headers (for local files only)
-// For Cloudinary PDFs, use direct URL
+// For Cloudinary/S3 PDFs, use direct URL
 router.get("/pdf/:filename", async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, '../uploads/blogs', filename);
+    const filename = path.basename(req.params.filename);
+    const file = await getFile(`/uploads/blogs/${filename}`);
     
     // Check if file exists (only for local storage)
-    if (!fs.existsSync(filePath)) {
+    if (!file) {
       return res.status(404).json({ message: "PDF file not found" });
     }
     
@@ -81,8 +154,7 @@ router.get("/pdf/:filename", async (req, res) => {
     res.setHeader('Cache-Control', 'public, max-age=86400');
     
     // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    file.stream.pipe(res);
     
   } catch (err) {
     console.error('Error serving PDF:', err);
@@ -90,33 +162,34 @@ router.get("/pdf/:filename", async (req, res) => {
   }
 });
 
-// Create blog (admin only) - with file upload support
-router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+// Create blog (blog:create; publishing or scheduling also needs blog:publish) - with file upload support
+router.post("/", protect, requirePermission("blog:create"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
-    const blogData = { ...req.body };
+    const blogData = { ...req.body, createdBy: req.user._id };
+    UPLOAD_BODY_FIELDS.forEach((field) => delete blogData[field]);
+    await Tag.assignTerms(blogData);
+
+    // Drafts only, unless the user may publish
+    const wantsPublish = blogData.published === true || blogData.published === 'true' || Boolean(blogData.publishAt);
+    if (wantsPublish && !hasPermission(req, "blog:publish")) {
+      await discardUploadedFiles(req);
+      return res.status(403).json({ message: "Forbidden: you cannot publish blogs" });
+    }
     
-    // Handle file upload
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        // PDF file upload
-        // On Vercel: stored in Cloudinary (req.file.path is Cloudinary URL)
-        // On cPanel/local: stored locally (req.file.path is local path)
-        if (req.file.path.includes('cloudinary.com')) {
-          // Cloudinary URL (Vercel)
-          blogData.pdfUrl = req.file.path;
-        } else {
-          // Local path (cPanel/local)
-          blogData.pdfUrl = `/uploads/blogs/${req.file.filename}`;
-        }
-        blogData.pdfFileName = req.file.originalname;
-        blogData.fileSize = formatFileSize(req.file.size);
+    // Handle file upload, or an asset reused from the media library
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
+        // PDF file upload (file.path is the stored file's URL)
+        blogData.pdfUrl = file.path;
+        blogData.pdfFileName = file.originalname;
+        blogData.fileSize = formatFileSize(file.size);
         blogData.fileType = 'pdf';
         blogData.isPdfPost = true;
         blogData.content = ""; // Clear content for PDF posts
-        blogData.imageUrl = null;
       } else {
-        // Image file upload - always stored in Cloudinary
-        blogData.imageUrl = req.file.path; // Cloudinary URL
+        // Image file upload
+        blogData.imageUrl = file.path;
         blogData.fileType = 'image';
         blogData.isPdfPost = false;
         blogData.pdfUrl = null;
@@ -125,6 +198,13 @@ router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleM
       }
     }
 
+    // Cover image and ordered attachments (images and PDFs with captions)
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      blogData.imageUrl = cover.path;
+    }
+    blogData.attachments = await resolveAttachments(req);
+
     // Convert string booleans to actual booleans
     if (typeof blogData.published === 'string') {
       blogData.published = blogData.published === 'true';
@@ -133,81 +213,77 @@ router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleM
       blogData.isPdfPost = blogData.isPdfPost === 'true';
     }
 
+    // Scheduled publishing - empty string clears the schedule
+    if (blogData.publishAt !== undefined) {
+      blogData.publishAt = blogData.publishAt ? new Date(blogData.publishAt) : null;
+    }
+
     const blog = new Blog(blogData);
     await blog.save();
+    await BlogRevision.snapshot(blog, { editedBy: req.user._id, reason: "create" });
+    await AuditLog.record(req, { action: "create", entityType: "Blog", after: blog });
     res.status(201).json(blog);
   } catch (err) {
     console.error('Error creating blog:', err);
     
-    // Clean up uploaded file if there was an error
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        if (req.file.path.includes('cloudinary.com')) {
-          // Delete from Cloudinary
-          await deleteFile(req.file.path);
-        } else {
-          // Delete local PDF file
-          const filePath = path.join(__dirname, '../uploads/blogs', req.file.filename);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        }
-      } else {
-        // Delete from Cloudinary
-        await deleteFile(req.file.path);
-      }
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error creating blog: " + err.message });
   }
 });
 
-// Update blog (admin only) - with file upload support
-router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+// Update blog (blog:edit, or blog:edit-own for own unpublished drafts) - with file upload support
+router.put("/:id", protect, requirePermission("blog:edit", "blog:edit-own"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    if (!blog) {
+      await discardUploadedFiles(req);
+      return res.status(404).json({ message: "Blog not found" });
+    }
+
+    // Without blog:edit, authors may only touch their own drafts
+    const isOwnDraft = !blog.published && blog.createdBy && blog.createdBy.equals(req.user._id);
+    if (!hasPermission(req, "blog:edit") && !isOwnDraft) {
+      await discardUploadedFiles(req);
+      return res.status(403).json({ message: "Forbidden: you can only edit your own drafts" });
+    }
+
+    // Changing the published state or schedule needs blog:publish
+    const changesPublish = (req.body.published !== undefined && String(req.body.published) !== String(blog.published))
+      || req.body.publishAt !== undefined;
+    if (changesPublish && !hasPermission(req, "blog:publish")) {
+      await discardUploadedFiles(req);
+      return res.status(403).json({ message: "Forbidden: you cannot publish blogs" });
+    }
 
     const updateData = { ...req.body };
+    delete updateData.createdBy;
+    delete updateData.previousSlugs;
+    UPLOAD_BODY_FIELDS.forEach((field) => delete updateData[field]);
+
+    // Editing the slug keeps the old one resolvable
+    await blog.applySlugUpdate(updateData);
+    await Tag.assignTerms(updateData);
+
+    // Keep the pre-edit state of blogs that have no history yet
+    await BlogRevision.ensureBaseline(blog);
     
-    // Handle file upload
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        // Delete old PDF if exists
-        if (blog.pdfUrl) {
-          await deleteFile(blog.pdfUrl);
-        }
-        // Delete old image if exists (Cloudinary)
-        if (blog.imageUrl) {
-          await deleteFile(blog.imageUrl);
-        }
-        
+    // Handle file upload, or an asset reused from the media library
+    // Replaced files are left to the asset garbage collector - older revisions may still use them
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
         // Update with new PDF
-        // On Vercel: stored in Cloudinary (req.file.path is Cloudinary URL)
-        // On cPanel/local: stored locally (req.file.path is local path)
-        if (req.file.path.includes('cloudinary.com')) {
-          updateData.pdfUrl = req.file.path; // Cloudinary URL
-        } else {
-          updateData.pdfUrl = `/uploads/blogs/${req.file.filename}`; // Local path
-        }
-        updateData.pdfFileName = req.file.originalname;
-        updateData.fileSize = formatFileSize(req.file.size);
+        updateData.pdfUrl = file.path;
+        updateData.pdfFileName = file.originalname;
+        updateData.fileSize = formatFileSize(file.size);
         updateData.fileType = 'pdf';
         updateData.isPdfPost = true;
         updateData.content = "";
-        updateData.imageUrl = null;
       } else {
-        // Delete old image if exists (Cloudinary)
-        if (blog.imageUrl) {
-          await deleteFile(blog.imageUrl);
-        }
-        // Delete old PDF if exists
-        if (blog.pdfUrl) {
-          await deleteFile(blog.pdfUrl);
-        }
-        
-        // Update with new image (Cloudinary)
-        updateData.imageUrl = req.file.path; // Cloudinary URL
+        // Update with new image
+        updateData.imageUrl = file.path;
         updateData.fileType = 'image';
         updateData.isPdfPost = false;
         updateData.pdfUrl = null;
@@ -216,6 +292,16 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
       }
     }
 
+    // Cover image, and attachments added after the existing ones
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      updateData.imageUrl = cover.path;
+    }
+    const attachments = await resolveAttachments(req);
+    if (attachments.length > 0) {
+      updateData.attachments = blog.attachmentsWith(attachments);
+    }
+
     // Convert string booleans to actual booleans
     if (typeof updateData.published === 'string') {
       updateData.published = updateData.published === 'true';
@@ -224,6 +310,11 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
       updateData.isPdfPost = updateData.isPdfPost === 'true';
     }
 
+    // Scheduled publishing - empty string clears the schedule
+    if (updateData.publishAt !== undefined) {
+      updateData.publishAt = updateData.publishAt ? new Date(updateData.publishAt) : null;
+    }
+
     updateData.updatedAt = Date.now();
 
     const updatedBlog = await Blog.findByIdAndUpdate(
@@ -231,47 +322,36 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
       updateData,
       { new: true }
     );
+    await BlogRevision.snapshot(updatedBlog, { editedBy: req.user._id });
+    await AuditLog.record(req, { action: "update", entityType: "Blog", before: blog, after: updatedBlog });
     
     res.json(updatedBlog);
   } catch (err) {
     console.error('Error updating blog:', err);
     
-    // Clean up uploaded file if there was an error
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        if (req.file.path.includes('cloudinary.com')) {
-          await deleteFile(req.file.path);
-        } else {
-          const filePath = path.join(__dirname, '../uploads/blogs', req.file.filename);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        }
-      } else {
-        await deleteFile(req.file.path);
-      }
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error updating blog: " + err.message });
   }
 });
 
-// Delete blog (admin only)
-router.delete("/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
+// Attachments (blog:edit, or blog:edit-own for own drafts) - add (multipart "attachments", with captions), caption, reorder, remove
+router.post("/:id/attachments", protect, requirePermission("blog:edit", "blog:edit-own"), upload.array('attachments', 10), handleMulterError, addAttachments("blogs"));
+router.put("/:id/attachments/order", protect, requirePermission("blog:edit", "blog:edit-own"), reorderAttachments("blogs"));
+router.put("/:id/attachments/:attachmentId", protect, requirePermission("blog:edit", "blog:edit-own"), updateAttachment("blogs"));
+router.delete("/:id/attachments/:attachmentId", protect, requirePermission("blog:edit", "blog:edit-own"), removeAttachment("blogs"));
+
+// Delete blog (blog:delete)
+router.delete("/:id", protect, requirePermission("blog:delete"), async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
     if (!blog) return res.status(404).json({ message: "Blog not found" });
 
-    // Delete associated files (handles both Cloudinary and local)
-    if (blog.imageUrl) {
-      await deleteFile(blog.imageUrl);
-    }
-
-    if (blog.pdfUrl) {
-      await deleteFile(blog.pdfUrl);
-    }
-
+    // Its files, including those only older revisions use, are removed by the asset garbage collector
+    await BlogRevision.deleteMany({ blog: blog._id });
     await Blog.findByIdAndDelete(req.params.id);
+    await AuditLog.record(req, { action: "delete", entityType: "Blog", before: blog });
     res.json({ message: "Blog deleted successfully" });
   } catch (err) {
     console.error('Error deleting blog:', err);
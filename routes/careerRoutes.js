@@ -1,59 +1,129 @@
 const express = require("express");
 const router = express.Router();
 const Career = require("../models/Career");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const AuditLog = require("../models/AuditLog");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery, paginate } = require("../middleware/listQueryMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const { exportEntity } = require("../controllers/exportController");
+const {
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment
+} = require("../controllers/attachmentController");
+const { importEntity } = require("../controllers/importController");
 const { 
   createUploadMiddleware, 
+  createMemoryUploadMiddleware,
+  ENTITY_UPLOAD_FIELDS,
+  UPLOAD_BODY_FIELDS,
+  discardUploadedFiles,
+  resolveRequestFile,
+  resolveCoverFile,
+  resolveAttachments,
   handleMulterError, 
-  deleteFromCloudinary,
   formatFileSize 
-} = require("../config/cloudinary");
+} = require("../config/upload");
+const {
+  applyForCareer,
+  getApplications,
+  getApplicationStats,
+  getApplication,
+  updateApplicationStatus,
+  addApplicationNote,
+  downloadCv,
+  deleteApplication
+} = require("../controllers/jobApplicationController");
 
 // Create upload middleware for careers
-const upload = createUploadMiddleware('ganu/careers', 20);
+const upload = createUploadMiddleware('careers', 20, { filePrefix: 'career' });
 
-// Get all careers (public) - only published careers
-router.get("/", async (req, res) => {
+// Spreadsheet upload for bulk import (parsed in memory, never stored)
+const importUpload = createMemoryUploadMiddleware(['.xlsx', '.xls', '.csv'], 5);
+
+// Create upload middleware for CVs - PDF/DOCX only, 10 MB limit
+// Stored as private files - only admins download them, through the API
+const cvUpload = createUploadMiddleware(
+  'applications',
+  10,
+  {
+    resourceType: 'private',
+    allowedMimeTypes: [
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ],
+    filePrefix: 'cv',
+    fileTypeMessage: 'Only PDF and DOCX files are allowed for CVs!'
+  }
+);
+
+// Public application form - per IP only, checked before the CV is uploaded
+const applyLimiter = rateLimit({
+  name: "career-apply",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many applications, please try again later"
+});
+
+// List options shared by the public and admin career lists
+const careerListOptions = {
+  sortFields: ["createdAt", "applicationDeadline", "title"],
+  defaultSort: "-createdAt",
+  filterFields: ["type", "location"],
+  searchable: true
+};
+
+// Get all careers (public) - only published careers, paginated
+router.get("/", listQuery(Career, careerListOptions), async (req, res) => {
   try {
-    const careers = await Career.find({ 
+    const result = await paginate(Career, { 
       published: true,
       applicationDeadline: { $gte: new Date() }
-    }).sort({ createdAt: -1 });
-    res.json(careers);
+    }, req.listQuery);
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching careers" });
   }
 });
 
-// Get all careers (admin only - including unpublished and expired)
-router.get("/admin/all", protect, requireRole(["ADMIN"]), async (req, res) => {
+// Get all careers (admin only - including unpublished and expired), paginated
+router.get("/admin/all", protect, requirePermission("career:read"), listQuery(Career, {
+  ...careerListOptions,
+  filterFields: [...careerListOptions.filterFields, "published"]
+}), async (req, res) => {
   try {
-    const careers = await Career.find().sort({ createdAt: -1 });
-    res.json(careers);
+    const result = await paginate(Career, {}, req.listQuery);
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching careers" });
   }
 });
 
-// Get single career (public) - only if published and not expired
+// Export careers as CSV/XLSX (admin only) - ?format=csv|xlsx&published=&type=&from=&to=
+router.get("/admin/export", protect, requirePermission("career:export"), exportEntity("careers"));
+
+// Bulk import careers from .xlsx/.csv (admin only) - ?mode=dry-run|commit
+router.post("/admin/import", protect, requirePermission("career:import"), importUpload.single('file'), handleMulterError, importEntity("careers"));
+
+// Get single career (public) - only if published and not expired; by slug or id, with SEO metadata
 router.get("/:id", async (req, res) => {
   try {
-    const career = await Career.findOne({ 
-      _id: req.params.id, 
+    const { doc: career, redirectTo } = await Career.findBySlugOrId(req.params.id, { 
       published: true,
       applicationDeadline: { $gte: new Date() }
     });
     if (!career) return res.status(404).json({ message: "Career not found" });
-    res.json(career);
+    res.json(career.toPublicJSON(redirectTo));
   } catch (err) {
     res.status(500).json({ message: "Server error fetching career" });
   }
 });
 
 // Get single career (admin - can access unpublished/expired)
-router.get("/admin/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
+router.get("/admin/:id", protect, requirePermission("career:read"), async (req, res) => {
   try {
-    const career = await Career.findById(req.params.id);
+    const { doc: career } = await Career.findBySlugOrId(req.params.id);
     if (!career) return res.status(404).json({ message: "Career not found" });
     res.json(career);
   } catch (err) {
@@ -62,25 +132,34 @@ router.get("/admin/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
 });
 
 // Create career (admin only) - with file upload support
-router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+router.post("/", protect, requirePermission("career:create"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
     const careerData = { ...req.body };
+    UPLOAD_BODY_FIELDS.forEach((field) => delete careerData[field]);
     
-    // Handle file upload from Cloudinary
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
+    // Handle file upload, or an asset reused from the media library (file.path is the stored file's URL)
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
         // PDF file upload
-        careerData.pdfUrl = req.file.path; // Cloudinary URL
-        careerData.pdfFileName = req.file.originalname;
-        careerData.fileSize = formatFileSize(req.file.size);
+        careerData.pdfUrl = file.path;
+        careerData.pdfFileName = file.originalname;
+        careerData.fileSize = formatFileSize(file.size);
         careerData.fileType = 'pdf';
       } else {
         // Image file upload
-        careerData.imageUrl = req.file.path; // Cloudinary URL
+        careerData.imageUrl = file.path;
         careerData.fileType = 'image';
       }
     }
 
+    // Cover image and ordered attachments (images and PDFs with captions)
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      careerData.imageUrl = cover.path;
+    }
+    careerData.attachments = await resolveAttachments(req);
+
     // Convert string booleans to actual booleans
     if (typeof careerData.published === 'string') {
       careerData.published = careerData.published === 'true';
@@ -93,57 +172,47 @@ router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleM
 
     const career = new Career(careerData);
     await career.save();
+    await AuditLog.record(req, { action: "create", entityType: "Career", after: career });
     res.status(201).json(career);
   } catch (err) {
     console.error('Error creating career:', err);
     
-    // Clean up uploaded file from Cloudinary if there was an error
-    if (req.file && req.file.path) {
-      await deleteFromCloudinary(req.file.path);
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error creating career: " + err.message });
   }
 });
 
 // Update career (admin only) - with file upload support
-router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+router.put("/:id", protect, requirePermission("career:edit"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
     const career = await Career.findById(req.params.id);
-    if (!career) return res.status(404).json({ message: "Career not found" });
+    if (!career) {
+      await discardUploadedFiles(req);
+      return res.status(404).json({ message: "Career not found" });
+    }
 
     const updateData = { ...req.body };
+    delete updateData.previousSlugs;
+    UPLOAD_BODY_FIELDS.forEach((field) => delete updateData[field]);
+
+    // Editing the slug keeps the old one resolvable
+    await career.applySlugUpdate(updateData);
     
-    // Handle file upload from Cloudinary
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        // Delete old PDF from Cloudinary if exists
-        if (career.pdfUrl) {
-          await deleteFromCloudinary(career.pdfUrl);
-        }
-        // Delete old image from Cloudinary if exists (replacing with PDF)
-        if (career.imageUrl) {
-          await deleteFromCloudinary(career.imageUrl);
-        }
-        
+    // Handle file upload, or an asset reused from the media library (file.path is the stored file's URL)
+    // Replaced files are left to the asset garbage collector
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
         // Update with new PDF
-        updateData.pdfUrl = req.file.path; // Cloudinary URL
-        updateData.pdfFileName = req.file.originalname;
-        updateData.fileSize = formatFileSize(req.file.size);
+        updateData.pdfUrl = file.path;
+        updateData.pdfFileName = file.originalname;
+        updateData.fileSize = formatFileSize(file.size);
         updateData.fileType = 'pdf';
-        updateData.imageUrl = null; // Clear image URL when PDF is uploaded
       } else {
-        // Delete old image from Cloudinary if exists
-        if (career.imageUrl) {
-          await deleteFromCloudinary(career.imageUrl);
-        }
-        // Delete old PDF from Cloudinary if exists (replacing with image)
-        if (career.pdfUrl) {
-          await deleteFromCloudinary(career.pdfUrl);
-        }
-        
         // Update with new image
-        updateData.imageUrl = req.file.path; // Cloudinary URL
+        updateData.imageUrl = file.path;
         updateData.fileType = 'image';
         updateData.pdfUrl = null; // Clear PDF URL when image is uploaded
         updateData.pdfFileName = null;
@@ -151,6 +220,16 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
       }
     }
 
+    // Cover image, and attachments added after the existing ones
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      updateData.imageUrl = cover.path;
+    }
+    const attachments = await resolveAttachments(req);
+    if (attachments.length > 0) {
+      updateData.attachments = career.attachmentsWith(attachments);
+    }
+
     // Convert string booleans to actual booleans
     if (typeof updateData.published === 'string') {
       updateData.published = updateData.published === 'true';
@@ -166,38 +245,36 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
     const updatedCareer = await Career.findByIdAndUpdate(
       req.params.id,
       updateData,
-      { new: true }
+      { new: true, runValidators: true }
     );
+    await AuditLog.record(req, { action: "update", entityType: "Career", before: career, after: updatedCareer });
     
     res.json(updatedCareer);
   } catch (err) {
     console.error('Error updating career:', err);
     
-    // Clean up uploaded file from Cloudinary if there was an error
-    if (req.file && req.file.path) {
-      await deleteFromCloudinary(req.file.path);
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error updating career: " + err.message });
   }
 });
 
+// Attachments (admin only) - add (multipart "attachments", with captions), caption, reorder, remove
+router.post("/:id/attachments", protect, requirePermission("career:edit"), upload.array('attachments', 10), handleMulterError, addAttachments("careers"));
+router.put("/:id/attachments/order", protect, requirePermission("career:edit"), reorderAttachments("careers"));
+router.put("/:id/attachments/:attachmentId", protect, requirePermission("career:edit"), updateAttachment("careers"));
+router.delete("/:id/attachments/:attachmentId", protect, requirePermission("career:edit"), removeAttachment("careers"));
+
 // Delete career (admin only)
-router.delete("/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
+router.delete("/:id", protect, requirePermission("career:delete"), async (req, res) => {
   try {
     const career = await Career.findById(req.params.id);
     if (!career) return res.status(404).json({ message: "Career not found" });
 
-    // Delete associated files from Cloudinary
-    if (career.imageUrl) {
-      await deleteFromCloudinary(career.imageUrl);
-    }
-
-    if (career.pdfUrl) {
-      await deleteFromCloudinary(career.pdfUrl);
-    }
-
+    // Its files are removed by the asset garbage collector once nothing else uses them
     await Career.findByIdAndDelete(req.params.id);
+    await AuditLog.record(req, { action: "delete", entityType: "Career", before: career });
     res.json({ message: "Career deleted successfully" });
   } catch (err) {
     console.error('Error deleting career:', err);
@@ -205,4 +282,17 @@ router.delete("/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
   }
 });
 
+// Job applications
+// Public: apply for a published, open career with a CV upload
+router.post("/:id/apply", applyLimiter, cvUpload.single('cv'), handleMulterError, applyForCareer);
+
+// Admin only: list, view, download and delete applications
+router.get("/admin/:id/applications", protect, requirePermission("career:applications"), getApplications);
+router.get("/admin/:id/applications/stats", protect, requirePermission("career:applications"), getApplicationStats);
+router.get("/admin/applications/:applicationId", protect, requirePermission("career:applications"), getApplication);
+router.put("/admin/applications/:applicationId/status", protect, requirePermission("career:applications"), updateApplicationStatus);
+router.post("/admin/applications/:applicationId/notes", protect, requirePermission("career:applications"), addApplicationNote);
+router.get("/admin/applications/:applicationId/cv", protect, requirePermission("career:applications"), downloadCv);
+router.delete("/admin/applications/:applicationId", protect, requirePermission("career:applications"), deleteApplication);
+
 module.exports = router;
@@ -5,15 +5,34 @@ const {
   markAsRead, 
   deleteContact 
 } = require("../controllers/contactController");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const { exportEntity } = require("../controllers/exportController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const Contact = require("../models/Contact");
 const router = express.Router();
 
+// Spam protection for the public form - counted per IP and per email
+const contactLimiter = rateLimit({
+  name: "contact",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keys: ["ip", "email"],
+  message: "Too many messages sent, please try again later"
+});
+
 // Public route - submit contact form
-router.post("/", sendJoinMessage);
+router.post("/", contactLimiter, sendJoinMessage);
 
 // Admin routes - protected
-router.get("/admin/all", protect, requireRole(["ADMIN"]), getContacts);
-router.put("/:id/read", protect, requireRole(["ADMIN"]), markAsRead);
-router.delete("/:id", protect, requireRole(["ADMIN"]), deleteContact);
+router.get("/admin/all", protect, requirePermission("contact:read"), listQuery(Contact, {
+  sortFields: ["createdAt", "name", "email"],
+  defaultSort: "-createdAt",
+  filterFields: ["read", "email"],
+  searchable: true
+}), getContacts);
+router.get("/admin/export", protect, requirePermission("contact:export"), exportEntity("contacts"));
+router.put("/:id/read", protect, requirePermission("contact:edit"), markAsRead);
+router.delete("/:id", protect, requirePermission("contact:delete"), deleteContact);
 
 module.exports = router;
\ No newline at end of file
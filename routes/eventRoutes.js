@@ -1,73 +1,147 @@
 const express = require("express");
 const router = express.Router();
 const Event = require("../models/Event");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const AuditLog = require("../models/AuditLog");
+const Tag = require("../models/Tag");
+const Album = require("../models/Album");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery, paginate } = require("../middleware/listQueryMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const { exportEntity } = require("../controllers/exportController");
+const { feed } = require("../controllers/feedController");
+const {
+  addAttachments,
+  updateAttachment,
+  reorderAttachments,
+  removeAttachment
+} = require("../controllers/attachmentController");
+const { importEntity } = require("../controllers/importController");
 const { 
   createUploadMiddleware, 
+  createMemoryUploadMiddleware,
+  ENTITY_UPLOAD_FIELDS,
+  UPLOAD_BODY_FIELDS,
+  discardUploadedFiles,
+  resolveRequestFile,
+  resolveCoverFile,
+  resolveAttachments,
   handleMulterError, 
-  deleteFromCloudinary,
   formatFileSize 
-} = require("../config/cloudinary");
+} = require("../config/upload");
+const {
+  registerForEvent,
+  getAvailability,
+  getRegistrationByToken,
+  cancelRegistrationByToken,
+  getRegistrations,
+  exportRegistrations,
+  cancelRegistrationAsAdmin,
+  promoteFromWaitlist
+} = require("../controllers/eventRegistrationController");
 
 // Create upload middleware for events
-const upload = createUploadMiddleware('ganu/events', 20);
+const upload = createUploadMiddleware('events', 20, { filePrefix: 'event' });
 
-// Get all events (public) - supports filtering by type
-router.get("/", async (req, res) => {
+// Public registration form - counted per IP and per email
+const registrationLimiter = rateLimit({
+  name: "event-register",
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keys: ["ip", "email"],
+  message: "Too many registrations, please try again later"
+});
+
+// Spreadsheet upload for bulk import (parsed in memory, never stored)
+const importUpload = createMemoryUploadMiddleware(['.xlsx', '.xls', '.csv'], 5);
+
+// Tag/category fields returned with events
+const TAXONOMY_POPULATE = { path: "tags categories", select: "name slug kind" };
+
+// List options shared by the event/news lists
+const eventListOptions = {
+  sortFields: ["date", "createdAt", "title"],
+  defaultSort: "date",
+  filterFields: ["location"],
+  searchable: true
+};
+
+// Get all events (public) - supports filtering by type, ?tag= and ?category= (slugs), paginated
+router.get("/", listQuery(Event, eventListOptions), async (req, res) => {
   try {
     const { type } = req.query;
-    const query = {};
+    const query = await Tag.buildFilter(req.query);
     
     // Filter by type if provided
     if (type && (type === "news" || type === "event")) {
       query.type = type;
     }
     
-    const events = await Event.find(query).sort({ date: 1 });
-    res.json(events);
+    const result = await paginate(Event, query, req.listQuery, { populate: TAXONOMY_POPULATE });
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching events" });
   }
 });
 
 // Get all news (public) - convenience endpoint
-router.get("/news", async (req, res) => {
+router.get("/news", listQuery(Event, { ...eventListOptions, defaultSort: "-date" }), async (req, res) => {
   try {
-    const news = await Event.find({ type: "news" }).sort({ date: -1 });
-    res.json(news);
+    const taxonomyFilter = await Tag.buildFilter(req.query);
+    const result = await paginate(Event, { type: "news", ...taxonomyFilter }, req.listQuery, {
+      populate: TAXONOMY_POPULATE
+    });
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching news" });
   }
 });
 
+// News subscription feed (public) - JSON Feed 1.1
+router.get("/news/feed.json", feed("news", "json"));
+
 // Get all events (public) - convenience endpoint
-router.get("/events", async (req, res) => {
+router.get("/events", listQuery(Event, eventListOptions), async (req, res) => {
   try {
-    const events = await Event.find({ type: "event" }).sort({ date: 1 });
-    res.json(events);
+    const taxonomyFilter = await Tag.buildFilter(req.query);
+    const result = await paginate(Event, { type: "event", ...taxonomyFilter }, req.listQuery, {
+      populate: TAXONOMY_POPULATE
+    });
+    res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error fetching events" });
   }
 });
 
-// Get single event (public)
+// Export events as CSV/XLSX (admin only) - ?format=csv|xlsx&type=&from=&to=
+router.get("/admin/export", protect, requirePermission("event:export"), exportEntity("events"));
+
+// Bulk import events from .xlsx/.csv (admin only) - ?mode=dry-run|commit
+router.post("/admin/import", protect, requirePermission("event:import"), importUpload.single('file'), handleMulterError, importEntity("events"));
+
+// Get single event (public) - by slug or id, with SEO metadata and its published photo albums
 router.get("/:id", async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const { doc: event, redirectTo } = await Event.findBySlugOrId(req.params.id);
     if (!event) return res.status(404).json({ message: "Event not found" });
-    res.json(event);
+    await event.populate(TAXONOMY_POPULATE);
+    const albums = await Album.find({ event: event._id, published: true })
+      .select("-images")
+      .sort({ createdAt: -1 })
+      .populate("coverImage", "title filename image");
+    res.json({ ...event.toPublicJSON(redirectTo), albums });
   } catch (err) {
     res.status(500).json({ message: "Server error fetching event" });
   }
 });
 
 // Create event (admin only) - with file upload support
-router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+router.post("/", protect, requirePermission("event:create"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
-    const { type, title, description, date, location } = req.body;
+    const { type, title, description, date, location, capacity, slug, metaTitle, metaDescription, ogImage, tags, categories } = req.body;
     
     // Validate required fields
     if (!type || !title || !description || !date || !location) {
+      await discardUploadedFiles(req);
       return res.status(400).json({ 
         message: "Type, title, description, date, and location are required" 
       });
@@ -75,6 +149,7 @@ router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleM
     
     // Validate type
     if (type !== "news" && type !== "event") {
+      await discardUploadedFiles(req);
       return res.status(400).json({ 
         message: "Type must be either 'news' or 'event'" 
       });
@@ -85,51 +160,79 @@ router.post("/", protect, requireRole(["ADMIN"]), upload.single('file'), handleM
       title,
       description,
       date: new Date(date),
-      location
+      location,
+      slug,
+      metaTitle,
+      metaDescription,
+      ogImage,
+      tags,
+      categories
     };
+    await Tag.assignTerms(eventData);
+    
+    // Optional attendee limit (empty = unlimited)
+    if (capacity) {
+      eventData.capacity = Number(capacity);
+    }
     
-    // Handle file upload from Cloudinary
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
+    // Handle file upload, or an asset reused from the media library (file.path is the stored file's URL)
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
         // PDF file upload
-        eventData.pdfUrl = req.file.path; // Cloudinary URL
-        eventData.pdfFileName = req.file.originalname;
-        eventData.fileSize = formatFileSize(req.file.size);
+        eventData.pdfUrl = file.path;
+        eventData.pdfFileName = file.originalname;
+        eventData.fileSize = formatFileSize(file.size);
         eventData.fileType = 'pdf';
       } else {
         // Image file upload
-        eventData.imageUrl = req.file.path; // Cloudinary URL
+        eventData.imageUrl = file.path;
         eventData.fileType = 'image';
       }
     }
+
+    // Cover image and ordered attachments (images and PDFs with captions)
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      eventData.imageUrl = cover.path;
+    }
+    eventData.attachments = await resolveAttachments(req);
     
     const event = new Event(eventData);
     await event.save();
+    await AuditLog.record(req, { action: "create", entityType: "Event", after: event });
     res.status(201).json(event);
   } catch (err) {
     console.error('Error creating event:', err);
     
-    // Clean up uploaded file from Cloudinary if there was an error
-    if (req.file && req.file.path) {
-      await deleteFromCloudinary(req.file.path);
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error creating event: " + err.message });
   }
 });
 
 // Update event (admin only) - with file upload support
-router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handleMulterError, async (req, res) => {
+router.put("/:id", protect, requirePermission("event:edit"), upload.fields(ENTITY_UPLOAD_FIELDS), handleMulterError, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
-    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!event) {
+      await discardUploadedFiles(req);
+      return res.status(404).json({ message: "Event not found" });
+    }
 
-    const { type, date, ...otherFields } = req.body;
+    const { type, date, capacity, previousSlugs, registeredCount, ...otherFields } = req.body;
     const updateData = { ...otherFields, updatedAt: Date.now() };
+    UPLOAD_BODY_FIELDS.forEach((field) => delete updateData[field]);
+
+    // Editing the slug keeps the old one resolvable
+    await event.applySlugUpdate(updateData);
+    await Tag.assignTerms(updateData);
     
     // Validate type if provided
     if (type !== undefined) {
       if (type !== "news" && type !== "event") {
+        await discardUploadedFiles(req);
         return res.status(400).json({ 
           message: "Type must be either 'news' or 'event'" 
         });
@@ -142,78 +245,80 @@ router.put("/:id", protect, requireRole(["ADMIN"]), upload.single('file'), handl
       updateData.date = new Date(date);
     }
     
-    // Handle file upload from Cloudinary
-    if (req.file) {
-      if (req.file.mimetype === 'application/pdf') {
-        // Delete old PDF from Cloudinary if exists
-        if (event.pdfUrl) {
-          await deleteFromCloudinary(event.pdfUrl);
-        }
-        // Delete old image from Cloudinary if exists (replacing with PDF)
-        if (event.imageUrl) {
-          await deleteFromCloudinary(event.imageUrl);
-        }
-        
+    // Capacity: empty string/null removes the limit
+    if (capacity !== undefined) {
+      updateData.capacity = capacity === '' || capacity === null ? null : Number(capacity);
+    }
+    
+    // Handle file upload, or an asset reused from the media library (file.path is the stored file's URL)
+    // Replaced files are left to the asset garbage collector
+    const file = await resolveRequestFile(req);
+    if (file) {
+      if (file.mimetype === 'application/pdf') {
         // Update with new PDF
-        updateData.pdfUrl = req.file.path; // Cloudinary URL
-        updateData.pdfFileName = req.file.originalname;
-        updateData.fileSize = formatFileSize(req.file.size);
+        updateData.pdfUrl = file.path;
+        updateData.pdfFileName = file.originalname;
+        updateData.fileSize = formatFileSize(file.size);
         updateData.fileType = 'pdf';
-        updateData.imageUrl = null; // Clear image URL when PDF is uploaded
       } else {
-        // Delete old image from Cloudinary if exists
-        if (event.imageUrl) {
-          await deleteFromCloudinary(event.imageUrl);
-        }
-        // Delete old PDF from Cloudinary if exists (replacing with image)
-        if (event.pdfUrl) {
-          await deleteFromCloudinary(event.pdfUrl);
-        }
-        
         // Update with new image
-        updateData.imageUrl = req.file.path; // Cloudinary URL
+        updateData.imageUrl = file.path;
         updateData.fileType = 'image';
         updateData.pdfUrl = null; // Clear PDF URL when image is uploaded
         updateData.pdfFileName = null;
         updateData.fileSize = null;
       }
     }
+
+    // Cover image, and attachments added after the existing ones
+    const cover = await resolveCoverFile(req);
+    if (cover) {
+      updateData.imageUrl = cover.path;
+    }
+    const attachments = await resolveAttachments(req);
+    if (attachments.length > 0) {
+      updateData.attachments = event.attachmentsWith(attachments);
+    }
     
     const updatedEvent = await Event.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     );
+    await AuditLog.record(req, { action: "update", entityType: "Event", before: event, after: updatedEvent });
+    
+    // Raising (or removing) the capacity frees places for waitlisted attendees
+    if (capacity !== undefined) {
+      await promoteFromWaitlist(updatedEvent);
+    }
     
     res.json(updatedEvent);
   } catch (err) {
     console.error('Error updating event:', err);
     
-    // Clean up uploaded file from Cloudinary if there was an error
-    if (req.file && req.file.path) {
-      await deleteFromCloudinary(req.file.path);
-    }
+    // Clean up uploaded files if there was an error
+    await discardUploadedFiles(req);
     
     res.status(400).json({ message: "Error updating event: " + err.message });
   }
 });
 
+// Attachments (admin only) - add (multipart "attachments", with captions), caption, reorder, remove
+router.post("/:id/attachments", protect, requirePermission("event:edit"), upload.array('attachments', 10), handleMulterError, addAttachments("events"));
+router.put("/:id/attachments/order", protect, requirePermission("event:edit"), reorderAttachments("events"));
+router.put("/:id/attachments/:attachmentId", protect, requirePermission("event:edit"), updateAttachment("events"));
+router.delete("/:id/attachments/:attachmentId", protect, requirePermission("event:edit"), removeAttachment("events"));
+
 // Delete event (admin only)
-router.delete("/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
+router.delete("/:id", protect, requirePermission("event:delete"), async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
     if (!event) return res.status(404).json({ message: "Event not found" });
 
-    // Delete associated files from Cloudinary
-    if (event.imageUrl) {
-      await deleteFromCloudinary(event.imageUrl);
-    }
-
-    if (event.pdfUrl) {
-      await deleteFromCloudinary(event.pdfUrl);
-    }
-
+    // Its files are removed by the asset garbage collector once nothing else uses them
     await Event.findByIdAndDelete(req.params.id);
+    await Album.updateMany({ event: event._id }, { event: null }); // Albums stay, unlinked
+    await AuditLog.record(req, { action: "delete", entityType: "Event", before: event });
     res.json({ message: "Event deleted successfully" });
   } catch (err) {
     console.error('Error deleting event:', err);
@@ -221,4 +326,16 @@ router.delete("/:id", protect, requireRole(["ADMIN"]), async (req, res) => {
   }
 });
 
+// Event registration
+// Public: register, check availability, and view/cancel via the emailed token
+router.post("/:id/register", registrationLimiter, registerForEvent);
+router.get("/:id/availability", getAvailability);
+router.get("/registrations/:token", getRegistrationByToken);
+router.post("/registrations/:token/cancel", cancelRegistrationByToken);
+
+// Admin only: list, export and cancel attendees
+router.get("/admin/:id/registrations", protect, requirePermission("event:registrations"), getRegistrations);
+router.get("/admin/:id/registrations/export", protect, requirePermission("event:registrations"), exportRegistrations);
+router.delete("/admin/registrations/:registrationId", protect, requirePermission("event:registrations"), cancelRegistrationAsAdmin);
+
 module.exports = router;
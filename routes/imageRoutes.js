@@ -1,5 +1,7 @@
 const express = require("express");
-const { protect, requireRole } = require("../middleware/authMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const Image = require("../models/Image");
 const {
   uploadImage,
   getImages,
@@ -9,19 +11,24 @@ const {
 const { 
   createUploadMiddleware, 
   handleMulterError
-} = require("../config/cloudinary");
+} = require("../config/upload");
 
 const router = express.Router();
 
 // Create upload middleware for images (5 MB limit for images)
-const upload = createUploadMiddleware('ganu/images', 5);
+const upload = createUploadMiddleware('images', 5, { filePrefix: 'image' });
 
-// Public: list images
-router.get("/", getImages);
+// Public: list images (paginated)
+router.get("/", listQuery(Image, {
+  sortFields: ["createdAt", "title"],
+  defaultSort: "-createdAt",
+  filterFields: ["uploadedBy"],
+  searchable: true
+}), getImages);
 
 // Admin only: upload, edit, delete
-router.post("/", protect, requireRole(["ADMIN"]), upload.single("image"), handleMulterError, uploadImage);
-router.put("/:id", protect, requireRole(["ADMIN"]), updateImage);
-router.delete("/:id", protect, requireRole(["ADMIN"]), deleteImage);
+router.post("/", protect, requirePermission("image:create"), upload.single("image"), handleMulterError, uploadImage);
+router.put("/:id", protect, requirePermission("image:edit"), updateImage);
+router.delete("/:id", protect, requirePermission("image:delete"), deleteImage);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { listJobs, getJobRuns, triggerJob, runCronJob } = require("../controllers/jobController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const router = express.Router();
+
+// Admin only: scheduled jobs and their run history
+router.get("/", protect, requirePermission("job:manage"), listJobs);
+router.get("/runs", protect, requirePermission("job:manage"), getJobRuns);
+router.post("/:name/run", protect, requirePermission("job:manage"), triggerJob);
+
+// Cron services (Vercel Cron Jobs) - authorised with CRON_SECRET instead of a user
+router.get("/:name/cron", runCronJob);
+
+module.exports = router;
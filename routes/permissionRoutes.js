@@ -0,0 +1,15 @@
+const express = require("express");
+const {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions
+} = require("../controllers/permissionController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const router = express.Router();
+
+// Role -> capability mapping
+router.get("/", protect, requirePermission("permission:manage"), getPermissions);
+router.put("/:role", protect, requirePermission("permission:manage"), updateRolePermissions);
+router.delete("/:role", protect, requirePermission("permission:manage"), resetRolePermissions);
+
+module.exports = router;
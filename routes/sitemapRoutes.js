@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getSitemapIndex, getSitemapChunk } = require("../controllers/sitemapController");
+
+// Sitemap index (public)
+router.get("/sitemap.xml", getSitemapIndex);
+
+// One sitemap chunk (public), e.g. /sitemaps/blog-1.xml
+router.get("/sitemaps/:kind-:page.xml", getSitemapChunk);
+
+module.exports = router;
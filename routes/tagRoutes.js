@@ -0,0 +1,21 @@
+const express = require("express");
+const {
+  getTags,
+  getTagCloud,
+  createTag,
+  updateTag,
+  deleteTag
+} = require("../controllers/tagController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const router = express.Router();
+
+// Public routes
+router.get("/", getTags);
+router.get("/cloud", getTagCloud);
+
+// Admin routes - protected
+router.post("/", protect, requirePermission("taxonomy:manage"), createTag);
+router.put("/:id", protect, requirePermission("taxonomy:manage"), updateTag);
+router.delete("/:id", protect, requirePermission("taxonomy:manage"), deleteTag);
+
+module.exports = router;
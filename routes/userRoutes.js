@@ -0,0 +1,39 @@
+const express = require("express");
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  setUserActive,
+  resetUserPassword,
+  resetUserTwoFactor,
+  deleteUser
+} = require("../controllers/userController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const User = require("../models/User");
+const router = express.Router();
+
+// Admin user management
+router.get("/", protect, requirePermission("user:manage"), listQuery(User, {
+  sortFields: ["createdAt", "name", "email", "lastLoginAt"],
+  defaultSort: "-createdAt",
+  filterFields: ["role", "active"],
+  searchable: true,
+  hiddenFields: [
+    "password",
+    "tokenVersion",
+    "passwordResetTokenHash",
+    "passwordResetExpires",
+    "twoFactorSecret",
+    "twoFactorLastStep",
+    "twoFactorBackupCodes"
+  ]
+}), getUsers);
+router.get("/:id", protect, requirePermission("user:manage"), getUser);
+router.put("/:id/role", protect, requirePermission("user:manage"), updateUserRole);
+router.put("/:id/active", protect, requirePermission("user:manage"), setUserActive);
+router.put("/:id/password", protect, requirePermission("user:manage"), resetUserPassword);
+router.delete("/:id/2fa", protect, requirePermission("user:manage"), resetUserTwoFactor);
+router.delete("/:id", protect, requirePermission("user:manage"), deleteUser);
+
+module.exports = router;
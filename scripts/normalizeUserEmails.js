@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+// One-time migration, run once at deploy with `npm run migrate:emails`
+// Accounts created before emails were normalised may hold capitals or spaces, so their logins would not match
+// Clashes (two accounts differing only in case) are reported, not merged
+const normalizeUserEmails = async () => {
+  const result = { normalized: 0, errors: [] };
+
+  const users = await User.find({ email: /[A-Z]|^\s|\s$/ }).select("email");
+  for (const user of users) {
+    const email = User.normalizeEmail(user.email);
+    try {
+      const clash = await User.exists({ _id: { $ne: user._id }, email });
+      if (clash) {
+        result.errors.push(`${user.email}: another account already uses ${email}`);
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { email });
+      result.normalized += 1;
+    } catch (err) {
+      result.errors.push(`${user.email}: ${err.message}`);
+    }
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  dotenv.config();
+  mongoose.connect(process.env.MONGO_URI)
+    .then(normalizeUserEmails)
+    .then((result) => {
+      console.log("User emails normalised:", result);
+      process.exitCode = result.errors.length > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+      console.error("normalizeUserEmails error:", err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = normalizeUserEmails;
@@ -7,10 +7,17 @@ const path = require("path");
 // Load env variables
 dotenv.config();
 
+const { startScheduler } = require("./jobs/scheduler");
+const { isVercel } = require("./config/cloudinary");
+
 connectDB();
 
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, or every client shares one rate limit
+// TRUST_PROXY is the number of proxy hops in front of the app (default 1 on Vercel, none elsewhere)
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || (isVercel ? 1 : false));
+
 // Enhanced CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -55,6 +62,11 @@ app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// CVs are private - only served through the admin download endpoint
+app.use("/uploads/applications", (req, res) => {
+  res.status(404).json({ message: "Not found" });
+});
+
 // Static files - serve PDFs and other uploads with proper headers
 app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
   setHeaders: (res, filePath) => {
@@ -86,7 +98,15 @@ app.use("/api/events", require("./routes/eventRoutes"));
 app.use("/api/blogs", require("./routes/blogRoutes"));
 app.use("/api/careers", require("./routes/careerRoutes"));
 app.use("/api/images", require("./routes/imageRoutes"));
+app.use("/api/albums", require("./routes/albumRoutes"));
 app.use("/api/contact", require("./routes/contactRoutes"));
+app.use("/api/tags", require("./routes/tagRoutes"));
+app.use("/api", require("./routes/sitemapRoutes"));
+app.use("/api/admin/jobs", require("./routes/jobRoutes"));
+app.use("/api/admin/permissions", require("./routes/permissionRoutes"));
+app.use("/api/admin/users", require("./routes/userRoutes"));
+app.use("/api/admin/audit", require("./routes/auditRoutes"));
+app.use("/api/admin/assets", require("./routes/assetRoutes"));
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -125,5 +145,11 @@ app.get("/api/cors-test", (req, res) => {
   });
 });
 
+// Scheduled jobs - skipped on Vercel where functions do not stay alive between requests
+// (there, Vercel Cron Jobs call GET /api/admin/jobs/:name/cron with CRON_SECRET)
+if (!isVercel && process.env.DISABLE_SCHEDULER !== 'true') {
+  startScheduler();
+}
+
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,69 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Album = require("../models/Album");
+const Image = require("../models/Image");
+const Asset = require("../models/Asset");
+const AuditLog = require("../models/AuditLog");
+const { addAlbumImages } = require("../controllers/albumController");
+const albumRoutes = require("../routes/albumRoutes");
+
+describe("addAlbumImages", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps the images already made and discards only the rest when one fails", async () => {
+    const files = ["a", "b", "c"].map((name) => ({ path: `/uploads/images/${name}.png`, originalname: `${name}.png` }));
+    mock.method(Album, "findOne", async () => new Album({ title: "Launch" }));
+    mock.method(Image, "countDocuments", async () => 0);
+    mock.method(AuditLog, "record", async () => {});
+    mock.method(Image, "create", async (data) => {
+      if (data.originalName === "b.png") throw new Error("Image validation failed");
+      return { _id: new mongoose.Types.ObjectId(), ...data };
+    });
+    const removeFile = mock.method(Asset, "removeFile", async () => {});
+    mock.method(console, "error", () => {});
+    const req = mockRequest({
+      params: { id: String(new mongoose.Types.ObjectId()) },
+      user: { _id: new mongoose.Types.ObjectId() },
+      files
+    });
+    req.permissions = ["album:edit", "image:create"];
+    const res = mockResponse();
+
+    await addAlbumImages(req, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(Image.create.mock.callCount(), 2);
+    assert.deepStrictEqual(removeFile.mock.calls.map((call) => call.arguments[0]), [
+      "/uploads/images/b.png",
+      "/uploads/images/c.png"
+    ]);
+  });
+});
+
+describe("album image upload route", () => {
+  // Middleware of POST /:id/images between requirePermission and multer
+  const layer = albumRoutes.stack.find((item) => item.route && item.route.path === "/:id/images" && item.route.methods.post);
+  const uploadGuard = layer.route.stack[2].handle;
+
+  const guard = (contentType, permissions) => {
+    const req = { ...mockRequest({ headers: { "content-type": contentType } }), permissions };
+    req.is = (type) => contentType.startsWith(type);
+    const res = mockResponse();
+    let passed = false;
+    uploadGuard(req, res, () => {
+      passed = true;
+    });
+    return passed ? "next" : res.statusCode;
+  };
+
+  it("refuses uploads without image:create before any file is stored", () => {
+    assert.strictEqual(guard("multipart/form-data; boundary=x", ["album:edit"]), 403);
+    assert.strictEqual(guard("multipart/form-data; boundary=x", ["album:edit", "image:create"]), "next");
+  });
+
+  it("lets existing images be added with album:edit only", () => {
+    assert.strictEqual(guard("application/json", ["album:edit"]), "next");
+  });
+});
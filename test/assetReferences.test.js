@@ -0,0 +1,63 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Asset = require("../models/Asset");
+const assetPlugin = require("../models/plugins/assetPlugin");
+
+describe("asset references", () => {
+  afterEach(() => mock.restoreAll());
+
+  const schema = new mongoose.Schema({ imageUrl: String, pdfUrl: String, attachments: [{ url: String }] });
+  schema.plugin(assetPlugin, { fields: ["imageUrl", "pdfUrl", "attachments.url"] });
+  const Post = mongoose.model("AssetReferencesPost", schema);
+
+  // Runs the document's post("save") hooks as a save would
+  const afterSave = (doc) => new Promise((resolve, reject) => {
+    schema.s.hooks.execPost("save", doc, [doc], (err) => (err ? reject(err) : resolve()));
+  });
+
+  it("syncs every file URL a saved document holds, once each", async () => {
+    const syncReferences = mock.method(Asset, "syncReferences", async () => {});
+    const post = new Post({
+      imageUrl: "/uploads/blogs/cover.png",
+      attachments: [{ url: "/uploads/blogs/a.pdf" }, { url: "/uploads/blogs/cover.png" }]
+    });
+
+    await afterSave(post);
+
+    assert.deepStrictEqual(syncReferences.mock.calls[0].arguments, [
+      "AssetReferencesPost", post._id, ["/uploads/blogs/cover.png", "/uploads/blogs/a.pdf"]
+    ]);
+  });
+
+  it("drops references to files the document no longer holds and adds the new ones", async () => {
+    const updateMany = mock.method(Asset, "updateMany", async () => ({}));
+    const entityId = new mongoose.Types.ObjectId();
+    const reference = { entityType: "Blog", entityId };
+
+    await Asset.syncReferences("Blog", entityId, ["/uploads/blogs/new.png"]);
+
+    assert.deepStrictEqual(updateMany.mock.calls.map((call) => call.arguments), [
+      [
+        { references: { $elemMatch: reference }, url: { $nin: ["/uploads/blogs/new.png"] } },
+        { $pull: { references: reference } }
+      ],
+      [
+        { url: { $in: ["/uploads/blogs/new.png"] }, references: { $not: { $elemMatch: reference } } },
+        { $push: { references: reference }, unreferencedSince: null }
+      ],
+      // Assets left without references start their grace period
+      [{ references: { $size: 0 }, unreferencedSince: null }, { unreferencedSince: updateMany.mock.calls[2].arguments[1].unreferencedSince }]
+    ]);
+    assert.ok(updateMany.mock.calls[2].arguments[1].unreferencedSince instanceof Date);
+  });
+
+  it("never fails the save when the references cannot be updated", async () => {
+    mock.method(Asset, "syncReferences", async () => {
+      throw new Error("database unavailable");
+    });
+    mock.method(console, "error", () => {});
+
+    await afterSave(new Post({ imageUrl: "/uploads/blogs/cover.png" }));
+  });
+});
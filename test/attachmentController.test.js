@@ -0,0 +1,101 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Event = require("../models/Event");
+const Asset = require("../models/Asset");
+const AuditLog = require("../models/AuditLog");
+const { MAX_ATTACHMENTS } = require("../models/plugins/attachmentsPlugin");
+const { addAttachments, reorderAttachments } = require("../controllers/attachmentController");
+
+describe("attachment ordering", () => {
+  afterEach(() => mock.restoreAll());
+
+  const editor = { _id: new mongoose.Types.ObjectId() };
+
+  const pdf = (name) => ({ url: `/uploads/events/${name}.pdf`, type: "pdf", fileName: `${name}.pdf` });
+
+  // An event whose save validates the attachments the way the database write would
+  const setup = (attachments) => {
+    const event = new Event({ title: "Open day", attachments });
+    mock.method(Event, "findById", async () => event);
+    mock.method(event, "save", async function () {
+      const error = this.validateSync(["attachments"]);
+      if (error) throw error;
+      return this;
+    });
+    mock.method(AuditLog, "record", async () => {});
+    // Library assets named in attachmentAssetIds, as stored files
+    mock.method(Asset, "toUploadedFile", async (assetId) => ({
+      path: `/uploads/library/${assetId}.pdf`,
+      mimetype: "application/pdf",
+      originalname: `${assetId}.pdf`,
+      size: 1024
+    }));
+    return event;
+  };
+
+  const call = async (handler, event, body) => {
+    const res = mockResponse();
+    await handler(mockRequest({ params: { id: String(event._id) }, body, user: editor }), res);
+    return res;
+  };
+
+  it("adds new attachments after the existing ones, in the order given", async () => {
+    const event = setup([pdf("agenda")]);
+
+    const res = await call(addAttachments("events"), event, { attachmentAssetIds: ["map", "menu"], captions: ["Map"] });
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(event.attachments.map(({ url }) => url), [
+      "/uploads/events/agenda.pdf",
+      "/uploads/library/map.pdf",
+      "/uploads/library/menu.pdf"
+    ]);
+    assert.strictEqual(event.attachments[1].caption, "Map");
+    assert.strictEqual(event.attachments[2].caption, undefined);
+  });
+
+  it("reorders attachments by id", async () => {
+    const event = setup([pdf("agenda"), pdf("map"), pdf("menu")]);
+    const [agenda, map, menu] = event.attachments.map(({ _id }) => String(_id));
+
+    const res = await call(reorderAttachments("events"), event, { order: [menu, agenda, map] });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(event.attachments.map(({ fileName }) => fileName), ["menu.pdf", "agenda.pdf", "map.pdf"]);
+    assert.strictEqual(event.save.mock.callCount(), 1);
+  });
+
+  it("rejects an order that does not name every attachment exactly once", async () => {
+    const event = setup([pdf("agenda"), pdf("map")]);
+    const [agenda, map] = event.attachments.map(({ _id }) => String(_id));
+
+    for (const order of [[agenda], [agenda, agenda], [agenda, map, String(new mongoose.Types.ObjectId())], agenda]) {
+      const res = await call(reorderAttachments("events"), event, { order });
+      assert.strictEqual(res.statusCode, 400);
+    }
+    assert.deepStrictEqual(event.attachments.map(({ fileName }) => fileName), ["agenda.pdf", "map.pdf"]);
+    assert.strictEqual(event.save.mock.callCount(), 0);
+  });
+
+  it("refuses attachments past the limit", async () => {
+    const full = Array.from({ length: MAX_ATTACHMENTS }, (_, index) => pdf(`file-${index}`));
+    const event = setup(full);
+    mock.method(console, "error", () => {});
+
+    const res = await call(addAttachments("events"), event, { attachmentAssetIds: ["extra"] });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.body.message, new RegExp(`No more than ${MAX_ATTACHMENTS} attachments`));
+    assert.throws(() => event.attachmentsWith([pdf("extra")]), /No more than/);
+  });
+
+  it("keeps existing attachments first when an update adds more", () => {
+    const event = new Event({ title: "Open day", attachments: [pdf("agenda")] });
+
+    const attachments = event.attachmentsWith([pdf("map")]);
+
+    assert.deepStrictEqual(attachments.map(({ fileName }) => fileName), ["agenda.pdf", "map.pdf"]);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+
+describe("AuditLog.record", () => {
+  afterEach(() => mock.restoreAll());
+
+  const actor = { _id: new mongoose.Types.ObjectId(), email: "admin@example.com" };
+  const request = () => ({ ...mockRequest({ user: actor, headers: { "user-agent": "test-agent" } }), ip: "203.0.113.7" });
+
+  it("records who changed what, from where, with only the changed fields", async () => {
+    const create = mock.method(AuditLog, "create", async (entry) => entry);
+    const fields = { name: "Ann", email: "ann@example.com", createdAt: new Date("2025-01-01") };
+    const before = new User({ ...fields, password: "old-hash", role: "AGENT" });
+    const after = new User({ ...fields, _id: before._id, password: "new-hash", role: "ADMIN" });
+
+    await AuditLog.record(request(), { action: "update", entityType: "User", before, after });
+
+    const entry = create.mock.calls[0].arguments[0];
+    assert.strictEqual(entry.actor, actor._id);
+    assert.strictEqual(entry.actorEmail, "admin@example.com");
+    assert.strictEqual(entry.entityId, before._id);
+    assert.strictEqual(entry.ip, "203.0.113.7");
+    assert.strictEqual(entry.userAgent, "test-agent");
+    assert.deepStrictEqual(entry.changes, { role: { before: "AGENT", after: "ADMIN" } });
+  });
+
+  it("skips updates that changed nothing", async () => {
+    const create = mock.method(AuditLog, "create", async (entry) => entry);
+    const blog = { _id: new mongoose.Types.ObjectId(), title: "Hello", updatedAt: new Date() };
+
+    const entry = await AuditLog.record(request(), { action: "update", entityType: "Blog", before: blog, after: { ...blog, updatedAt: new Date(0) } });
+
+    assert.strictEqual(entry, null);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  it("never fails the request when the entry cannot be written", async () => {
+    mock.method(AuditLog, "create", async () => {
+      throw new Error("database unavailable");
+    });
+    mock.method(console, "error", () => {});
+
+    const entry = await AuditLog.record(request(), { action: "delete", entityType: "Blog", before: { _id: new mongoose.Types.ObjectId() } });
+
+    assert.strictEqual(entry, null);
+  });
+});
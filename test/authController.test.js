@@ -0,0 +1,92 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const nodemailer = require("nodemailer");
+const { mockRequest, mockResponse } = require("./helpers");
+const User = require("../models/User");
+const Invitation = require("../models/Invitation");
+const AuditLog = require("../models/AuditLog");
+const { loginUser, createInvitation } = require("../controllers/authController");
+
+describe("loginUser", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("looks the user up by the normalised email", async () => {
+    const findOne = mock.method(User, "findOne", async () => null);
+    const res = mockResponse();
+
+    await loginUser(mockRequest({ body: { email: "  Ann@Example.COM ", password: "secret123" } }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { email: "ann@example.com" });
+  });
+
+  it("finds accounts stored before emails were normalised", async () => {
+    const findOne = mock.method(User, "findOne", async () => null);
+
+    await loginUser(mockRequest({ body: { email: "ann.lee@example.com", password: "secret123" } }), mockResponse());
+
+    const fallback = findOne.mock.calls[1].arguments[0].email;
+    assert.ok(fallback.test(" Ann.Lee@Example.COM"));
+    assert.ok(!fallback.test("annxlee@example.com"));
+  });
+
+  it("rejects an email that is not text", async () => {
+    const findOne = mock.method(User, "findOne", async () => null);
+    const res = mockResponse();
+
+    await loginUser(mockRequest({ body: { email: { $ne: null }, password: "secret123" } }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(findOne.mock.callCount(), 0);
+  });
+});
+
+describe("createInvitation", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.EMAIL;
+    delete process.env.EMAIL_PASS;
+  });
+
+  it("escapes the invitee's and inviter's names in the email", async () => {
+    process.env.EMAIL = "site@example.com";
+    process.env.EMAIL_PASS = "secret";
+    const sent = [];
+    mock.method(nodemailer, "createTransport", () => ({ sendMail: async (mail) => sent.push(mail) }));
+    mock.method(User, "findOne", async () => null);
+    mock.method(Invitation, "updateMany", async () => ({}));
+    mock.method(Invitation, "create", async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    mock.method(AuditLog, "record", async () => {});
+    const req = mockRequest({
+      body: { email: "New@Example.com", name: "<b>Bob</b>" },
+      user: { _id: new mongoose.Types.ObjectId(), name: "Eve <script>" }
+    });
+    const res = mockResponse();
+
+    await createInvitation(req, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.invitation.email, "new@example.com");
+    assert.ok(sent[0].html.includes("Hi &lt;b&gt;Bob&lt;/b&gt;,"));
+    assert.ok(sent[0].html.includes("Eve &lt;script&gt; has invited you"));
+  });
+});
+
+describe("createInvitation role", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only lets an admin invite an admin", async () => {
+    const create = mock.method(Invitation, "create", async (data) => data);
+    const req = mockRequest({
+      body: { email: "new@example.com", name: "Bob", role: "ADMIN" },
+      user: { _id: new mongoose.Types.ObjectId(), name: "Eve", role: "AGENT" }
+    });
+    const res = mockResponse();
+
+    await createInvitation(req, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const AuditLog = require("../models/AuditLog");
+const { restoreRevision } = require("../controllers/blogRevisionController");
+
+// Query stand-in that can be awaited directly or chained with sort/select
+const queryOf = (value) => ({
+  sort: () => queryOf(value),
+  select: () => queryOf(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe("restoreRevision", () => {
+  afterEach(() => mock.restoreAll());
+
+  const editor = { _id: new mongoose.Types.ObjectId() };
+
+  const setup = (revision) => {
+    const blog = new Blog({
+      title: "Current title",
+      content: "Overwritten by accident",
+      author: "Ann",
+      imageUrl: "/uploads/blogs/new.png",
+      attachments: [{ url: "/uploads/blogs/new.pdf", type: "pdf" }]
+    });
+    mock.method(Blog, "findById", async () => blog);
+    mock.method(blog, "save", async () => blog);
+    mock.method(BlogRevision, "exists", async () => true);
+    mock.method(BlogRevision, "findOne", (filter) => queryOf(filter.version !== undefined ? revision : { version: 3 }));
+    const create = mock.method(BlogRevision, "create", async (data) => data);
+    const record = mock.method(AuditLog, "record", async () => {});
+    return { blog, create, record };
+  };
+
+  const restore = async (blog, version) => {
+    const res = mockResponse();
+    await restoreRevision(mockRequest({ params: { id: String(blog._id), version: String(version) }, user: editor }), res);
+    return res;
+  };
+
+  it("copies the old revision back and saves the restore as a new revision", async () => {
+    const { blog, create, record } = setup({
+      version: 2,
+      title: "Original title",
+      content: "The text we wanted",
+      excerpt: "Short",
+      author: "Ann",
+      imageUrl: "/uploads/blogs/old.png",
+      attachments: [{ url: "/uploads/blogs/old.pdf", type: "pdf" }]
+    });
+
+    const res = await restore(blog, 2);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(blog.title, "Original title");
+    assert.strictEqual(blog.content, "The text we wanted");
+    assert.strictEqual(blog.imageUrl, "/uploads/blogs/old.png");
+    assert.strictEqual(blog.pdfUrl, null);
+    assert.deepStrictEqual(blog.attachments.map(({ url }) => url), ["/uploads/blogs/old.pdf"]);
+
+    const snapshot = create.mock.calls[0].arguments[0];
+    assert.strictEqual(snapshot.version, 4);
+    assert.strictEqual(snapshot.reason, "restore");
+    assert.strictEqual(snapshot.restoredFrom, 2);
+    assert.strictEqual(snapshot.editedBy, editor._id);
+    assert.strictEqual(snapshot.content, "The text we wanted");
+    assert.deepStrictEqual(record.mock.calls[0].arguments[1].metadata, { restoredFrom: 2 });
+  });
+
+  it("answers 404 for a revision the blog does not have", async () => {
+    const { blog, create } = setup(null);
+    const save = blog.save;
+
+    const res = await restore(blog, 9);
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Asset = require("../models/Asset");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const Image = require("../models/Image");
+const JobApplication = require("../models/JobApplication");
+const { LocalStorage, setDriver } = require("../config/storage");
+const job = require("../jobs/collectOrphanedAssets");
+
+const OLD = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+describe("collect-orphaned-assets job", () => {
+  let rootDir;
+
+  // Write a file into the upload directory, last modified at the given time
+  const writeFile = (key, modified = OLD) => {
+    const filePath = path.join(rootDir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, "file");
+    fs.utimesSync(filePath, modified, modified);
+  };
+  const stored = (key) => fs.existsSync(path.join(rootDir, key));
+
+  // Stub the database: referenced URLs per model field and the Asset records
+  const stubDatabase = ({ referenced = [], assets = [] } = {}) => {
+    for (const Model of [Blog, BlogRevision, Event, Career, Image, JobApplication]) {
+      mock.method(Model, "distinct", async () => (Model === Blog ? referenced : []));
+      mock.method(Model, "find", () => ({
+        select: () => ({ lean: () => ({ cursor: async function* () {} }) })
+      }));
+    }
+    mock.method(Asset, "find", async () => assets);
+    mock.method(Asset, "distinct", async (field) => (field === "url" ? assets.map((asset) => asset.url) : []));
+  };
+
+  before(() => {
+    process.env.STORAGE_DRIVER = "local";
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+  });
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    setDriver("local", new LocalStorage(rootDir));
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    delete process.env.ASSET_GC_DELETE_UNTRACKED;
+    delete process.env.ASSET_GC_DRY_RUN;
+  });
+
+  it("only reports untracked files unless their deletion is enabled", async () => {
+    writeFile("blogs/blog-1-1.pdf");
+    stubDatabase();
+
+    const result = await job.run();
+
+    assert.strictEqual(result.untrackedFiles, 1);
+    assert.strictEqual(result.deletedFiles, 0);
+    assert.ok(stored("blogs/blog-1-1.pdf"));
+  });
+
+  it("deletes old untracked files in the upload folders only", async () => {
+    process.env.ASSET_GC_DELETE_UNTRACKED = "true";
+    writeFile("blogs/blog-1-1.pdf");
+    writeFile("blogs/blog-2-2.pdf");
+    writeFile("events/event-3-3.png", new Date());
+    writeFile("1757129332119-ganu.png");
+    writeFile("backups/site.tar");
+    stubDatabase({ referenced: ["/uploads/blogs/blog-2-2.pdf"] });
+
+    const result = await job.run();
+
+    assert.strictEqual(result.deletedFiles, 1);
+    assert.ok(!stored("blogs/blog-1-1.pdf"));
+    assert.ok(stored("blogs/blog-2-2.pdf"), "referenced file");
+    assert.ok(stored("events/event-3-3.png"), "file within the grace period");
+    assert.ok(stored("1757129332119-ganu.png"), "file outside the upload folders");
+    assert.ok(stored("backups/site.tar"), "file outside the upload folders");
+  });
+
+  it("deletes unreferenced assets with their files, keeping referenced ones", async () => {
+    writeFile("images/image-1-1.png");
+    writeFile("images/image-2-2.png");
+    const asset = (url) => ({
+      url,
+      size: 4,
+      storedUrls: () => [url],
+      deleteOne: mock.fn(async () => {})
+    });
+    const unused = asset("/uploads/images/image-1-1.png");
+    const used = asset("/uploads/images/image-2-2.png");
+    stubDatabase({ referenced: [used.url], assets: [unused, used] });
+
+    const result = await job.run();
+
+    assert.strictEqual(result.deletedAssets, 1);
+    assert.strictEqual(unused.deleteOne.mock.callCount(), 1);
+    assert.strictEqual(used.deleteOne.mock.callCount(), 0);
+    assert.ok(!stored("images/image-1-1.png"));
+    assert.ok(stored("images/image-2-2.png"));
+  });
+});
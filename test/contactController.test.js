@@ -0,0 +1,36 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+const Contact = require("../models/Contact");
+const { sendJoinMessage } = require("../controllers/contactController");
+
+describe("sendJoinMessage", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects fields that are not text with 400", async () => {
+    const findOne = mock.method(Contact, "findOne", async () => null);
+
+    for (const body of [
+      { name: "Ann", email: "ann@example.com", message: { $ne: "" } },
+      { name: "Ann", email: ["ann@example.com"], message: "Hello" }
+    ]) {
+      const res = mockResponse();
+      await sendJoinMessage(mockRequest({ body }), res);
+      assert.strictEqual(res.statusCode, 400);
+    }
+    assert.strictEqual(findOne.mock.callCount(), 0);
+  });
+
+  it("does not log what visitors wrote", async () => {
+    const logged = [];
+    mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+    mock.method(Contact, "findOne", async () => null);
+    mock.method(Contact.prototype, "save", async () => {});
+    const res = mockResponse();
+
+    await sendJoinMessage(mockRequest({ body: { name: "Ann", email: "ann@example.com", message: "My phone is 0771234567" } }), res);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.ok(logged.every((line) => !line.includes("ann@example.com") && !line.includes("0771234567")));
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse, routeHandler } = require("./helpers");
+const Asset = require("../models/Asset");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const AuditLog = require("../models/AuditLog");
+const eventRoutes = require("../routes/eventRoutes");
+const careerRoutes = require("../routes/careerRoutes");
+
+const uploads = () => ({
+  file: [{ path: "/uploads/events/event-1-1.pdf", mimetype: "application/pdf" }],
+  cover: [{ path: "/uploads/events/event-2-2.png", mimetype: "image/png" }]
+});
+
+describe("event and career routes", () => {
+  let removeFile;
+
+  beforeEach(() => {
+    removeFile = mock.method(Asset, "removeFile", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("discards the uploads of an invalid new event", async () => {
+    const res = mockResponse();
+
+    await routeHandler(eventRoutes, "post", "/")(mockRequest({ body: { type: "event" }, files: uploads() }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(removeFile.mock.callCount(), 2);
+  });
+
+  it("discards the uploads when the event to update does not exist", async () => {
+    mock.method(Event, "findById", async () => null);
+    const res = mockResponse();
+
+    await routeHandler(eventRoutes, "put", "/:id")(
+      mockRequest({ params: { id: String(new mongoose.Types.ObjectId()) }, files: uploads() }),
+      res
+    );
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(removeFile.mock.callCount(), 2);
+  });
+
+  it("discards the uploads when the career to update does not exist", async () => {
+    mock.method(Career, "findById", async () => null);
+    const res = mockResponse();
+
+    await routeHandler(careerRoutes, "put", "/:id")(
+      mockRequest({ params: { id: String(new mongoose.Types.ObjectId()) }, files: uploads() }),
+      res
+    );
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(removeFile.mock.callCount(), 2);
+  });
+
+  it("keeps the cover image when a PDF replaces the career's file, and validates the update", async () => {
+    const career = {
+      _id: new mongoose.Types.ObjectId(),
+      applySlugUpdate: async () => {},
+      attachmentsWith: (attachments) => attachments
+    };
+    mock.method(Career, "findById", async () => career);
+    const findByIdAndUpdate = mock.method(Career, "findByIdAndUpdate", async (id, update) => ({ _id: id, ...update }));
+    mock.method(AuditLog, "record", async () => {});
+    const res = mockResponse();
+
+    await routeHandler(careerRoutes, "put", "/:id")(
+      mockRequest({
+        params: { id: String(career._id) },
+        files: { file: [{ path: "/uploads/careers/career-1-1.pdf", mimetype: "application/pdf", originalname: "role.pdf", size: 2048 }] }
+      }),
+      res
+    );
+
+    assert.strictEqual(res.statusCode, 200);
+    const [, update, options] = findByIdAndUpdate.mock.calls[0].arguments;
+    assert.strictEqual(update.pdfUrl, "/uploads/careers/career-1-1.pdf");
+    assert.ok(!("imageUrl" in update));
+    assert.strictEqual(options.runValidators, true);
+  });
+});
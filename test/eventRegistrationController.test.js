@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const { registerForEvent, cancelRegistrationByToken, exportRegistrations } = require("../controllers/eventRegistrationController");
+
+// Let other pending requests run between database calls, as they would against a real server
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// In-memory stand-ins for the Event and EventRegistration collections
+// Each conditional update is applied in one step, like MongoDB applies it to one document
+const createStore = ({ capacity }) => {
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    type: "event",
+    title: "Launch",
+    location: "Colombo",
+    date: new Date(Date.now() + 86400000),
+    capacity
+  };
+  const registrations = [];
+  const isActive = (registration) => registration.status !== "cancelled";
+
+  mock.method(Event, "findById", async () => ({ ...event }));
+  mock.method(Event, "updateOne", async (filter, update) => {
+    await tick();
+    let matches;
+    if (filter.registeredCount && filter.registeredCount.$exists === false) {
+      matches = event.registeredCount === undefined;
+    } else if (filter.$or) {
+      matches = event.capacity === null || event.registeredCount < event.capacity;
+    } else if (filter.registeredCount && filter.registeredCount.$gt === 0) {
+      matches = event.registeredCount > 0;
+    }
+    if (!matches) return { modifiedCount: 0 };
+
+    if (update.$inc) event.registeredCount += update.$inc.registeredCount;
+    else Object.assign(event, update);
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(EventRegistration, "countDocuments", async (filter) => {
+    await tick();
+    return registrations.filter((registration) => registration.status === filter.status).length;
+  });
+  mock.method(EventRegistration, "findOne", async (filter) => {
+    await tick();
+    if (filter.cancelTokenHash) {
+      return registrations.find((registration) => registration.cancelTokenHash === filter.cancelTokenHash) || null;
+    }
+    return registrations.find((registration) => isActive(registration) && registration.email === filter.email) || null;
+  });
+  mock.method(EventRegistration, "create", async (data) => {
+    await tick();
+    // Unique partial index on { event, email } for active registrations
+    if (registrations.some((registration) => isActive(registration) && registration.email === data.email)) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000, keyPattern: { event: 1, email: 1 } });
+    }
+    const registration = {
+      ...data,
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date(Date.now() + registrations.length),
+      set(changes) {
+        Object.assign(this, changes);
+      }
+    };
+    registrations.push(registration);
+    return registration;
+  });
+  mock.method(EventRegistration, "findOneAndUpdate", async (filter, update) => {
+    await tick();
+    if (filter.status === "waitlisted") {
+      const next = registrations
+        .filter((registration) => registration.status === "waitlisted")
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!next) return null;
+      Object.assign(next, update);
+      return next;
+    }
+
+    const registration = registrations.find((item) => item._id.equals(filter._id) && isActive(item));
+    if (!registration) return null;
+    const previous = { ...registration };
+    Object.assign(registration, update);
+    return previous;
+  });
+
+  return { event, registrations };
+};
+
+const register = async (eventId, email) => {
+  const res = mockResponse();
+  await registerForEvent(mockRequest({ params: { id: String(eventId) }, body: { name: "Guest", email } }), res);
+  return res;
+};
+
+describe("event registration", () => {
+  beforeEach(() => {
+    delete process.env.EMAIL;
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("never registers more attendees than the capacity under concurrent requests", async () => {
+    const { event, registrations } = createStore({ capacity: 2 });
+
+    const responses = await Promise.all(
+      ["a", "b", "c", "d", "e"].map((name) => register(event._id, `${name}@example.com`))
+    );
+
+    assert.ok(responses.every((res) => res.statusCode === 201));
+    assert.strictEqual(registrations.filter((r) => r.status === "registered").length, 2);
+    assert.strictEqual(registrations.filter((r) => r.status === "waitlisted").length, 3);
+    assert.strictEqual(event.registeredCount, 2);
+  });
+
+  it("registers an email only once when the same request arrives twice", async () => {
+    const { event, registrations } = createStore({ capacity: 10 });
+
+    const responses = await Promise.all([register(event._id, "dup@example.com"), register(event._id, "dup@example.com")]);
+
+    assert.deepStrictEqual(responses.map((res) => res.statusCode).sort(), [201, 400]);
+    assert.strictEqual(registrations.length, 1);
+    // The losing request gave its seat back
+    assert.strictEqual(event.registeredCount, 1);
+  });
+
+  it("hands a cancelled seat to the oldest waitlisted attendee, once", async () => {
+    const { event, registrations } = createStore({ capacity: 1 });
+    const first = await register(event._id, "first@example.com");
+    await register(event._id, "second@example.com");
+    await register(event._id, "third@example.com");
+
+    const cancel = () => {
+      const res = mockResponse();
+      return cancelRegistrationByToken(mockRequest({ params: { token: first.body.cancelToken } }), res).then(() => res);
+    };
+    const [one, two] = await Promise.all([cancel(), cancel()]);
+
+    assert.deepStrictEqual([one.statusCode, two.statusCode].sort(), [200, 400]);
+    assert.deepStrictEqual(registrations.map((r) => r.status), ["cancelled", "registered", "waitlisted"]);
+    assert.strictEqual(event.registeredCount, 1);
+  });
+});
+
+describe("exportRegistrations", () => {
+  afterEach(() => mock.restoreAll());
+
+  const eventId = new mongoose.Types.ObjectId();
+  const exportCsv = async (query) => {
+    mock.method(Event, "findById", async () => ({ _id: eventId }));
+    const find = mock.method(EventRegistration, "find", () => ({
+      sort: async () => [{
+        name: "=HYPERLINK(\"http://evil.example\")",
+        email: "ann@example.com",
+        phone: "+94 77 123 4567",
+        status: "registered",
+        createdAt: new Date("2025-01-01T00:00:00Z")
+      }]
+    }));
+    const res = mockResponse();
+    await exportRegistrations(mockRequest({ params: { id: eventId.toString() }, query }), res);
+    return { res, find };
+  };
+
+  it("keeps attendee fields from running as formulas", async () => {
+    const { res } = await exportCsv({});
+
+    assert.strictEqual(res.statusCode, 200);
+    const [, row] = res.body.toString().replace(/^\uFEFF/, "").split("\r\n");
+    assert.strictEqual(row, "\"'=HYPERLINK(\"\"http://evil.example\"\")\",ann@example.com,'+94 77 123 4567,registered,2025-01-01T00:00:00.000Z,,");
+  });
+
+  it("rejects an unknown status", async () => {
+    const { res, find } = await exportCsv({ status: { $ne: "cancelled" } });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+});
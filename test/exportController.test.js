@@ -0,0 +1,45 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+const Contact = require("../models/Contact");
+const { exportEntity } = require("../controllers/exportController");
+
+// Contact.find(...).sort().lean().cursor() over the given documents
+const stubContacts = (docs) => mock.method(Contact, "find", () => ({
+  sort: () => ({
+    lean: () => ({
+      cursor: async function* () {
+        yield* docs;
+      }
+    })
+  })
+}));
+
+describe("exportEntity", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects an invalid date range before streaming", async () => {
+    const find = stubContacts([]);
+    const res = mockResponse();
+
+    await exportEntity("contacts")(mockRequest({ query: { from: "2025-01-01", to: "next tuesday" } }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.body, { message: "'to' must be a valid date" });
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+
+  it("keeps spreadsheet formulas in CSV cells as text", async () => {
+    stubContacts([
+      { name: "=HYPERLINK(\"http://evil.example\")", email: "@x.com", message: "-1+1", read: false, createdAt: new Date(0) },
+      { name: "+cmd", email: "plain@example.com", message: "Hello, world", read: true, createdAt: new Date(0) }
+    ]);
+    const res = mockResponse();
+
+    await exportEntity("contacts")(mockRequest({ query: { format: "csv" } }), res);
+
+    const [, first, second] = res.body.split("\r\n");
+    assert.strictEqual(first, "\"'=HYPERLINK(\"\"http://evil.example\"\")\",'@x.com,'-1+1,No,1970-01-01T00:00:00.000Z");
+    assert.strictEqual(second, "'+cmd,plain@example.com,\"Hello, world\",Yes,1970-01-01T00:00:00.000Z");
+  });
+});
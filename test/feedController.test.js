@@ -0,0 +1,80 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Blog = require("../models/Blog");
+const Tag = require("../models/Tag");
+const { feed } = require("../controllers/feedController");
+
+// Chainable, awaitable stand-in for a Mongoose query resolving to `docs`
+const queryOf = (docs) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return query;
+};
+
+const tagId = new mongoose.Types.ObjectId();
+const blog = (title, updatedAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  content: "<p>Hi</p>",
+  tags: [tagId],
+  createdAt: updatedAt,
+  updatedAt
+});
+
+// ETag and Last-Modified the RSS feed sends for the given blogs and tag
+const headersFor = async (blogs, tag) => {
+  mock.method(Blog, "find", () => queryOf(blogs));
+  mock.method(Tag, "find", () => queryOf([tag]));
+  const res = mockResponse();
+  const req = { ...mockRequest({ headers: { host: "api.example.com" } }), originalUrl: "/api/blogs/feed.xml", fresh: false };
+
+  await feed("blogs", "rss")(req, res);
+
+  mock.restoreAll();
+  assert.strictEqual(res.statusCode, 200);
+  return { etag: res.headers.etag, lastModified: res.headers["last-modified"] };
+};
+
+describe("feed", () => {
+  afterEach(() => mock.restoreAll());
+
+  const older = blog("Older", new Date("2025-01-01"));
+  const newest = blog("Newest", new Date("2025-02-01"));
+  const tag = { _id: tagId, name: "News", updatedAt: new Date("2024-12-01") };
+
+  it("sends an ETag and the newest change as Last-Modified", async () => {
+    const { etag, lastModified } = await headersFor([newest, older], tag);
+
+    assert.match(etag, /^W\/"blogs-rss-/);
+    assert.strictEqual(lastModified, new Date("2025-02-01").toUTCString());
+  });
+
+  it("changes the ETag when the newest item is deleted", async () => {
+    const before = await headersFor([newest, older], tag);
+    const after = await headersFor([older], tag);
+
+    assert.notStrictEqual(before.etag, after.etag);
+  });
+
+  it("changes the ETag when a tag in the feed is renamed", async () => {
+    const before = await headersFor([newest, older], tag);
+    const after = await headersFor([newest, older], { ...tag, name: "Updates", updatedAt: new Date("2025-03-01") });
+
+    assert.notStrictEqual(before.etag, after.etag);
+  });
+
+  it("keeps the ETag while nothing changes", async () => {
+    const first = await headersFor([newest, older], tag);
+    const second = await headersFor([newest, older], tag);
+
+    assert.strictEqual(first.etag, second.etag);
+  });
+});
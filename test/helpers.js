@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// There is no database in tests - a query that was not stubbed fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+// Minimal Express response: records the status, headers and body a handler sends
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined, ended: false };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.end = (body) => {
+    if (body !== undefined) res.body = body;
+    res.ended = true;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.removeHeader = (name) => {
+    delete res.headers[name.toLowerCase()];
+  };
+  res.write = (chunk) => {
+    res.body = (res.body || "") + chunk;
+    return true;
+  };
+  return res;
+};
+
+// Request with the fields handlers read
+const mockRequest = ({ params = {}, query = {}, body = {}, user, file, files, headers = {} } = {}) => ({
+  params,
+  query,
+  body,
+  user,
+  file,
+  files,
+  ip: "127.0.0.1",
+  protocol: "http",
+  originalUrl: "/",
+  get: (name) => headers[name.toLowerCase()]
+});
+
+// The final handler of a route, after its auth and upload middleware
+const routeHandler = (router, method, path) => {
+  const layer = router.stack.find((item) => item.route && item.route.path === path && item.route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+};
+
+module.exports = {
+  mockResponse,
+  mockRequest,
+  routeHandler
+};
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const Asset = require("../models/Asset");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const Image = require("../models/Image");
+const imageVariantsPlugin = require("../models/plugins/imageVariantsPlugin");
+const { imageVariantsSchema } = require("../models/plugins/imageVariantsPlugin");
+const { LocalStorage, setDriver } = require("../config/storage");
+const { generateDerivatives, fitDimensions } = require("../config/imageDerivatives");
+const job = require("../jobs/generateImageDerivatives");
+
+// A 400x200 PNG
+const makeImage = () => sharp({
+  create: { width: 400, height: 200, channels: 3, background: { r: 200, g: 80, b: 40 } }
+}).png().toBuffer();
+
+describe("generateDerivatives", () => {
+  let rootDir;
+  const stored = () => fs.readdirSync(path.join(rootDir, "blogs")).sort();
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    fs.mkdirSync(path.join(rootDir, "blogs"));
+    setDriver("local", new LocalStorage(rootDir));
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("stores every size in every format without enlarging the image", async () => {
+    const derivatives = await generateDerivatives(await makeImage(), {
+      driverName: "local", url: "/uploads/blogs/blog-1.png", key: "blogs/blog-1.png", folder: "blogs", width: 400, height: 200
+    });
+
+    assert.deepStrictEqual(derivatives.map(({ name, format }) => `${name}.${format}`), [
+      "thumbnail.webp", "thumbnail.avif", "card.webp", "card.avif", "hero.webp", "hero.avif"
+    ]);
+    assert.deepStrictEqual(stored(), derivatives.map(({ name, format }) => `blog-1-${name}.${format}`).sort());
+    const hero = derivatives.find(({ name }) => name === "hero");
+    assert.deepStrictEqual([hero.width, hero.height], [400, 200]);
+    const thumbnail = derivatives.find(({ name }) => name === "thumbnail");
+    assert.deepStrictEqual([thumbnail.width, thumbnail.height], [320, 200]);
+  });
+
+  it("deletes the files already stored when one of them fails", async () => {
+    const storage = new LocalStorage(rootDir);
+    const put = storage.put.bind(storage);
+    let puts = 0;
+    mock.method(storage, "put", async (...args) => {
+      puts += 1;
+      if (puts === 3) throw new Error("disk full");
+      return put(...args);
+    });
+    setDriver("local", storage);
+
+    await assert.rejects(generateDerivatives(await makeImage(), {
+      driverName: "local", url: "/uploads/blogs/blog-1.png", key: "blogs/blog-1.png", folder: "blogs", width: 400, height: 200
+    }), /disk full/);
+
+    assert.deepStrictEqual(stored(), []);
+  });
+
+  it("only builds URLs for drivers that transform on delivery", async () => {
+    const driver = { transformUrl: (url, { width, format }) => `${url}?w=${width}&f=${format}`, put: mock.fn() };
+    setDriver("transforming", driver);
+
+    const derivatives = await generateDerivatives(Buffer.alloc(0), {
+      driverName: "transforming", url: "https://cdn.example.com/a.png", key: "a.png", folder: "blogs", width: 400, height: 200
+    });
+
+    assert.strictEqual(driver.put.mock.callCount(), 0);
+    assert.deepStrictEqual(derivatives[0], {
+      name: "thumbnail", format: "webp", url: "https://cdn.example.com/a.png?w=320&f=webp", width: 320, height: 200
+    });
+  });
+
+  it("fits sizes the way sharp does", () => {
+    assert.deepStrictEqual(fitDimensions(4000, 2000, { width: 1920, fit: "inside" }), { width: 1920, height: 960 });
+    assert.deepStrictEqual(fitDimensions(4000, 2000, { width: 800, height: 500, fit: "cover" }), { width: 800, height: 500 });
+    assert.deepStrictEqual(fitDimensions(100, 50, { width: 800, height: 500, fit: "cover" }), { width: 100, height: 50 });
+  });
+});
+
+describe("imageVariantsPlugin", () => {
+  const schema = new mongoose.Schema({
+    imageUrl: String,
+    attachments: [{ url: String, image: { type: imageVariantsSchema, default: null } }]
+  });
+  schema.plugin(imageVariantsPlugin, { fields: { imageUrl: "image", "attachments.url": "image" } });
+  const Post = mongoose.model("ImageVariantsPost", schema);
+
+  const asset = new Asset({
+    url: "/uploads/blogs/blog-1.png",
+    width: 400,
+    height: 200,
+    blurhash: "LKO2?U%2Tw=w",
+    derivatives: [
+      { name: "card", format: "webp", url: "/uploads/blogs/blog-1-card.webp", width: 400, height: 200 },
+      { name: "card", format: "avif", url: "/uploads/blogs/blog-1-card.avif", width: 400, height: 200 }
+    ]
+  });
+  const variants = {
+    width: 400,
+    height: 200,
+    blurhash: "LKO2?U%2Tw=w",
+    card: { width: 400, height: 200, webp: "/uploads/blogs/blog-1-card.webp", avif: "/uploads/blogs/blog-1-card.avif" }
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it("copies the variants of the cover and attached images when a document is saved", async () => {
+    mock.method(Asset, "find", () => ({ select: async () => [asset] }));
+    const post = new Post({
+      imageUrl: asset.url,
+      attachments: [{ url: asset.url }, { url: "/uploads/blogs/blog-2.pdf" }]
+    });
+
+    await new Promise((resolve, reject) => schema.s.hooks.execPre("save", post, [{}], (err) => (err ? reject(err) : resolve())));
+
+    assert.deepStrictEqual(post.toObject().image, variants);
+    assert.deepStrictEqual(post.toObject().attachments[0].image, variants);
+    assert.strictEqual(post.attachments[1].image, null);
+  });
+
+  it("updates every document using an image once its variants exist", async () => {
+    const updateMany = mock.method(Post, "updateMany", async () => ({}));
+
+    await Post.applyImageVariants(asset.url, variants);
+
+    assert.deepStrictEqual(updateMany.mock.calls.map((call) => call.arguments), [
+      [{ imageUrl: asset.url }, { $set: { image: variants } }],
+      [
+        { "attachments.url": asset.url },
+        { $set: { "attachments.$[item].image": variants } },
+        { arrayFilters: [{ "item.url": asset.url }] }
+      ]
+    ]);
+  });
+});
+
+describe("generate-image-derivatives job", () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    setDriver("local", new LocalStorage(rootDir));
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("makes the derivatives of waiting images and shows them on their documents", async () => {
+    fs.mkdirSync(path.join(rootDir, "images"));
+    fs.writeFileSync(path.join(rootDir, "images", "image-1.png"), await makeImage());
+    const asset = new Asset({
+      url: "/uploads/images/image-1.png", key: "images/image-1.png", driver: "local", resourceType: "image",
+      folder: "images", mimeType: "image/png"
+    });
+    const svg = new Asset({ url: "/uploads/images/logo.svg", driver: "local", resourceType: "image", mimeType: "image/svg+xml" });
+    mock.method(Asset, "find", () => ({ sort: () => ({ limit: async () => [asset, svg] }) }));
+    mock.method(asset, "save", async () => asset);
+    mock.method(svg, "save", async () => svg);
+    const applied = [Blog, Event, Career, Image].map((Model) => mock.method(Model, "applyImageVariants", async () => {}));
+
+    const result = await job.run();
+
+    assert.deepStrictEqual(result, { processed: 1, skipped: 1, errors: [] });
+    assert.strictEqual(asset.derivatives.length, 6);
+    assert.ok(asset.derivativesGeneratedAt);
+    assert.ok(svg.derivativesGeneratedAt);
+    applied.forEach((applyImageVariants) => {
+      assert.deepStrictEqual(applyImageVariants.mock.calls[0].arguments, [asset.url, asset.toImageVariants()]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+const Event = require("../models/Event");
+const AuditLog = require("../models/AuditLog");
+const { importEntity } = require("../controllers/importController");
+
+const HEADER = "Title,Description,Date,Location,Type";
+const csvFile = (lines) => ({ originalname: "events.csv", buffer: Buffer.from([HEADER, ...lines].join("\n")) });
+const eventRow = (title) => `${title},About ${title},2030-05-01,Colombo,event`;
+
+const runImport = async (mode, file) => {
+  const res = mockResponse();
+  await importEntity("events")(mockRequest({ query: { mode }, file }), res);
+  return res;
+};
+
+describe("importEntity", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("reports valid and invalid rows by spreadsheet row number in a dry run", async () => {
+    const insertMany = mock.method(Event, "insertMany", async () => []);
+
+    const res = await runImport("dry-run", csvFile([eventRow("Launch"), "Broken,,not a date,Colombo,party", eventRow("Meetup")]));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.validRows, [2, 4]);
+    assert.strictEqual(res.body.skipped[0].row, 3);
+    assert.deepStrictEqual(res.body.skipped[0].errors.map(({ field }) => field).sort(), ["date", "description", "type"]);
+    assert.strictEqual(res.body.inserted, 0);
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+  });
+
+  it("inserts the other rows when one is refused, reporting it and auditing the inserted ones", async () => {
+    mock.method(Event.prototype, "assignSlug", async function () {
+      this.slug = this.title.toLowerCase();
+    });
+    mock.method(Event, "insertMany", async (docs, options) => {
+      assert.strictEqual(options.ordered, false);
+      const error = new Error("E11000 duplicate key error");
+      error.writeErrors = [{ index: 1, err: { code: 11000, keyValue: { slug: "meetup" } } }];
+      error.insertedDocs = [docs[0], docs[2]];
+      throw error;
+    });
+    const record = mock.method(AuditLog, "record", async () => {});
+    mock.method(console, "log", () => {});
+
+    const res = await runImport("commit", csvFile([eventRow("Launch"), eventRow("Meetup"), eventRow("Gala")]));
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.inserted, 2);
+    assert.deepStrictEqual(res.body.validRows, [2, 4]);
+    assert.deepStrictEqual(res.body.skipped, [
+      { row: 3, errors: [{ field: "slug", message: "Another record already uses the slug 'meetup'" }] }
+    ]);
+    assert.strictEqual(record.mock.calls[0].arguments[1].metadata.ids.length, 2);
+  });
+
+  it("refuses spreadsheets with too many rows", async () => {
+    const res = await runImport("dry-run", csvFile(Array.from({ length: 1001 }, (_, i) => eventRow(`Event ${i}`))));
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.body.message, /Too many rows \(max 1000\)/);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { mockRequest, mockResponse } = require("./helpers");
+const Career = require("../models/Career");
+const JobApplication = require("../models/JobApplication");
+const Asset = require("../models/Asset");
+const { handleMulterError } = require("../config/upload");
+const { applyForCareer, getApplications, addApplicationNote } = require("../controllers/jobApplicationController");
+
+describe("applyForCareer", () => {
+  const careerId = new mongoose.Types.ObjectId();
+  const cv = { path: "/uploads/applications/cv.pdf", originalname: "cv.pdf", mimetype: "application/pdf", size: 1024 };
+
+  beforeEach(() => {
+    mock.method(Career, "findById", async () => ({
+      _id: careerId,
+      published: true,
+      applicationDeadline: new Date(Date.now() + 86400000)
+    }));
+    mock.method(JobApplication, "findOne", async () => null);
+    mock.method(Asset, "removeFile", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("rejects non-text fields with 400 and discards the CV", async () => {
+    const req = mockRequest({ params: { id: String(careerId) }, body: { name: "Ann", email: ["a@b.co"] }, file: cv });
+    const res = mockResponse();
+
+    await applyForCareer(req, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(Asset.removeFile.mock.callCount(), 1);
+  });
+
+  it("rejects blank names", async () => {
+    const req = mockRequest({ params: { id: String(careerId) }, body: { name: "  ", email: "a@b.co" }, file: cv });
+    const res = mockResponse();
+
+    await applyForCareer(req, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.body.message, /required/);
+  });
+
+  it("stores a trimmed, lowercased application", async () => {
+    const create = mock.method(JobApplication, "create", async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    const req = mockRequest({ params: { id: String(careerId) }, body: { name: " Ann ", email: " Ann@B.co " }, file: cv });
+    const res = mockResponse();
+
+    await applyForCareer(req, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    const data = create.mock.calls[0].arguments[0];
+    assert.strictEqual(data.name, "Ann");
+    assert.strictEqual(data.email, "ann@b.co");
+    assert.strictEqual(data.cvUrl, cv.path);
+  });
+});
+
+describe("getApplications", () => {
+  afterEach(() => mock.restoreAll());
+
+  const statusFor = async (query) => {
+    mock.method(Career, "findById", async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const find = mock.method(JobApplication, "find", () => ({ sort: async () => [] }));
+    const res = mockResponse();
+    await getApplications(mockRequest({ params: { id: "1" }, query }), res);
+    mock.restoreAll();
+    return { status: res.statusCode, find };
+  };
+
+  it("rejects a search that is not text and dates that are not dates", async () => {
+    for (const query of [{ q: ["ann"] }, { from: "yesterday" }, { to: "2025-13-45" }]) {
+      const { status, find } = await statusFor(query);
+      assert.strictEqual(status, 400, JSON.stringify(query));
+      assert.strictEqual(find.mock.callCount(), 0);
+    }
+    assert.strictEqual((await statusFor({ q: "ann", from: "2025-01-01" })).status, 200);
+  });
+});
+
+describe("addApplicationNote", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a note that is not text", async () => {
+    const findById = mock.method(JobApplication, "findById", async () => null);
+    const res = mockResponse();
+
+    await addApplicationNote(mockRequest({ params: { applicationId: "1" }, body: { text: { $gt: "" } } }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(findById.mock.callCount(), 0);
+  });
+});
+
+describe("handleMulterError", () => {
+  it("reports the size limit of the upload that failed", () => {
+    const req = mockRequest({});
+    req.uploadMaxSize = 10;
+    const res = mockResponse();
+
+    handleMulterError(new multer.MulterError("LIMIT_FILE_SIZE", "cv"), req, res, () => {});
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, "File too large. Maximum size is 10MB.");
+  });
+});
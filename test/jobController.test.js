@@ -0,0 +1,25 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+const { runCronJob } = require("../controllers/jobController");
+
+describe("runCronJob", () => {
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  const call = async (authorization) => {
+    const res = mockResponse();
+    await runCronJob(mockRequest({ params: { name: "no-such-job" }, headers: { authorization } }), res);
+    return res.statusCode;
+  };
+
+  it("needs CRON_SECRET to be set and sent as a bearer token", async () => {
+    assert.strictEqual(await call("Bearer "), 401);
+
+    process.env.CRON_SECRET = "cron-secret";
+    assert.strictEqual(await call(undefined), 401);
+    assert.strictEqual(await call("Bearer wrong"), 401);
+    assert.strictEqual(await call("Bearer cron-secret"), 404);
+  });
+});
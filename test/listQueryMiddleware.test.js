@@ -0,0 +1,48 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+const Event = require("../models/Event");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+
+const middleware = listQuery(Event, { sortFields: ["date", "title"], defaultSort: "date", filterFields: ["location"], searchable: true });
+
+// Run the middleware - resolves to { res, listQuery } (listQuery is undefined when the request was rejected)
+const run = (query) => {
+  const req = mockRequest({ query });
+  const res = mockResponse();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, listQuery: nextCalled ? req.listQuery : undefined };
+};
+
+describe("listQuery", () => {
+  it("parses paging, sorting and search", () => {
+    const { listQuery: parsed } = run({ page: "2", limit: "10", sort: "-title", q: " launch " });
+
+    assert.strictEqual(parsed.page, 2);
+    assert.strictEqual(parsed.limit, 10);
+    assert.strictEqual(parsed.sortField, "title");
+    assert.strictEqual(parsed.sortDirection, -1);
+    assert.strictEqual(parsed.search, "launch");
+  });
+
+  for (const [name, value] of [
+    ["sort", ["date", "title"]],
+    ["q", { $ne: "" }],
+    ["page", ["1", "2"]],
+    ["limit", ["5"]],
+    ["cursor", { id: "x" }],
+    ["fields", ["title"]],
+    ["location", { $ne: "Colombo" }]
+  ]) {
+    it(`rejects a ${name} that is not a single value`, () => {
+      const { res, listQuery: parsed } = run({ [name]: value });
+
+      assert.strictEqual(parsed, undefined);
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body, { message: `${name} must be a single value` });
+    });
+  }
+});
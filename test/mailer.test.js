@@ -0,0 +1,18 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { escapeHtml } = require("../config/mailer");
+
+describe("escapeHtml", () => {
+  it("escapes markup and quotes", () => {
+    assert.strictEqual(
+      escapeHtml(`<a href="x" onclick='y'>Tom & Jerry</a>`),
+      "&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;"
+    );
+  });
+
+  it("turns missing values into empty text", () => {
+    assert.strictEqual(escapeHtml(undefined), "");
+    assert.strictEqual(escapeHtml(null), "");
+    assert.strictEqual(escapeHtml(42), "42");
+  });
+});
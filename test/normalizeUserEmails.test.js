@@ -0,0 +1,25 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const normalizeUserEmails = require("../scripts/normalizeUserEmails");
+
+describe("normalizeUserEmails migration", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("lowercases stored emails and reports accounts that would clash", async () => {
+    const mixed = { _id: new mongoose.Types.ObjectId(), email: " Ann@Example.com" };
+    const clashing = { _id: new mongoose.Types.ObjectId(), email: "BOB@example.com" };
+    mock.method(User, "find", () => ({ select: async () => [mixed, clashing] }));
+    mock.method(User, "exists", async ({ email }) => (email === "bob@example.com" ? { _id: new mongoose.Types.ObjectId() } : null));
+    const updateOne = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const result = await normalizeUserEmails();
+
+    assert.strictEqual(result.normalized, 1);
+    assert.deepStrictEqual(result.errors, ["BOB@example.com: another account already uses bob@example.com"]);
+    assert.deepStrictEqual(updateOne.mock.calls.map((call) => call.arguments), [
+      [{ _id: mixed._id }, { email: "ann@example.com" }]
+    ]);
+  });
+});
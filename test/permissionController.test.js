@@ -0,0 +1,43 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const RolePermission = require("../models/RolePermission");
+const { updateRolePermissions } = require("../controllers/permissionController");
+
+describe("updateRolePermissions", () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const permission of ["user:manage", "permission:manage"]) {
+    it(`refuses to grant ${permission} to a non-admin role`, async () => {
+      const findOneAndUpdate = mock.method(RolePermission, "findOneAndUpdate", async () => null);
+      const req = mockRequest({
+        params: { role: "agent" },
+        body: { permissions: ["blog:read", permission] },
+        user: { _id: new mongoose.Types.ObjectId(), role: "AGENT" }
+      });
+      const res = mockResponse();
+
+      await updateRolePermissions(req, res);
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.match(res.body.message, new RegExp(permission));
+      assert.strictEqual(findOneAndUpdate.mock.callCount(), 0);
+    });
+  }
+});
+
+describe("RolePermission.getPermissions", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RolePermission.clearCache();
+  });
+
+  it("drops admin-only capabilities stored for other roles", async () => {
+    mock.method(RolePermission, "findOne", async () => ({
+      permissions: ["blog:read", "user:manage", "permission:manage"]
+    }));
+
+    assert.deepStrictEqual(await RolePermission.getPermissions("AGENT"), ["blog:read"]);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const { refreshToken } = require("../controllers/authController");
+
+// Let other pending requests run between database calls
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("refresh token rotation", () => {
+  let records;
+  const user = { _id: new mongoose.Types.ObjectId(), tokenVersion: 0, active: true };
+
+  // In-memory refresh token collection - updates are applied in one step, like MongoDB does per document
+  const matches = (record, filter) => Object.entries(filter).every(([field, value]) => (
+    value === null ? !record[field] : String(record[field]) === String(value)
+  ));
+
+  before(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  beforeEach(() => {
+    records = [];
+    mock.method(RefreshToken, "create", async (data) => {
+      const record = new RefreshToken(data);
+      records.push(record);
+      return record;
+    });
+    mock.method(RefreshToken.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(RefreshToken, "findOne", async (filter) => {
+      await tick();
+      return records.find((record) => matches(record, filter)) || null;
+    });
+    mock.method(RefreshToken, "findOneAndUpdate", async (filter, update) => {
+      await tick();
+      const record = records.find((item) => matches(item, filter));
+      if (!record) return null;
+      record.set(update);
+      return record;
+    });
+    mock.method(RefreshToken, "updateMany", async (filter, update) => {
+      await tick();
+      records.filter((record) => matches(record, filter)).forEach((record) => record.set(update));
+      return {};
+    });
+    mock.method(User, "findById", async () => user);
+    mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const refresh = async (token) => {
+    const res = mockResponse();
+    await refreshToken(mockRequest({ body: { refreshToken: token } }), res);
+    return res;
+  };
+
+  it("replaces the refresh token with a new one of the same session", async () => {
+    const { token: first } = await RefreshToken.issue(user._id);
+
+    const res = await refresh(first);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.notStrictEqual(res.body.refreshToken, first);
+    const [used, next] = records;
+    assert.strictEqual(used.revokedReason, "rotated");
+    assert.ok(used.replacedBy.equals(next._id));
+    assert.strictEqual(next.family, used.family);
+    assert.ok(!next.revokedAt);
+  });
+
+  it("ends the whole session when a rotated token is used again", async () => {
+    const { token: first } = await RefreshToken.issue(user._id);
+    const { body: { refreshToken: second } } = await refresh(first);
+
+    const reused = await refresh(first);
+    const afterReuse = await refresh(second);
+
+    assert.strictEqual(reused.statusCode, 401);
+    assert.strictEqual(afterReuse.statusCode, 401);
+    assert.strictEqual(records[1].revokedReason, "reuse detected");
+  });
+
+  it("lets only one of two concurrent refreshes rotate a token", async () => {
+    const { token } = await RefreshToken.issue(user._id);
+
+    const responses = await Promise.all([refresh(token), refresh(token)]);
+
+    assert.deepStrictEqual(responses.map((res) => res.statusCode).sort(), [200, 401]);
+    assert.strictEqual(records.filter((record) => record.revokedReason === "rotated").length, 1);
+  });
+
+  it("does not keep sessions of a deactivated user", async () => {
+    const { token } = await RefreshToken.issue(user._id);
+    User.findById.mock.mockImplementation(async () => ({ ...user, active: false }));
+
+    const res = await refresh(token);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(records[0].revokedReason, "user deactivated");
+  });
+});
@@ -0,0 +1,19 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const JobRun = require("../models/JobRun");
+const { runJob, isJobRunning } = require("../jobs/scheduler");
+
+describe("runJob", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("does not leave the job marked as running when its run cannot be recorded", async () => {
+    mock.method(JobRun, "create", async () => {
+      throw new Error("database unavailable");
+    });
+
+    await assert.rejects(runJob("publish-scheduled-blogs"), /database unavailable/);
+
+    assert.strictEqual(isJobRunning("publish-scheduled-blogs"), false);
+    await assert.rejects(runJob("publish-scheduled-blogs"), /database unavailable/);
+  });
+});
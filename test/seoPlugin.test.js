@@ -0,0 +1,46 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse, routeHandler } = require("./helpers");
+const Blog = require("../models/Blog");
+const blogRoutes = require("../routes/blogRoutes");
+
+describe("slugs", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps an edited slug's old value resolvable", async () => {
+    const blog = new Blog({ title: "Hello", content: "x", author: "Ann", slug: "hello", previousSlugs: ["hi"] });
+    mock.method(Blog, "exists", async () => null);
+    const update = { slug: "Hello World!" };
+
+    await blog.applySlugUpdate(update);
+
+    assert.strictEqual(update.slug, "hello-world");
+    assert.deepStrictEqual(update.previousSlugs, ["hi", "hello"]);
+  });
+
+  it("answers an old slug with the blog and a permanent redirect to the current one", async () => {
+    const blog = new Blog({ title: "Hello World", content: "<p>Hi there</p>", author: "Ann", slug: "hello-world", published: true });
+    mock.method(blog, "populate", async () => blog);
+    const findOne = mock.method(Blog, "findOne", async (filter) => (filter.previousSlugs === "hello" ? blog : null));
+    const res = mockResponse();
+
+    await routeHandler(blogRoutes, "get", "/:id")(mockRequest({ params: { id: "Hello" } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.redirect, { slug: "hello-world", permanent: true });
+    assert.strictEqual(res.body.seo.canonicalUrl, "https://ganuprofessional.lk/blogs/hello-world");
+    assert.ok(findOne.mock.calls.every((call) => call.arguments[0].published === true));
+  });
+
+  it("sends no redirect for the current slug", async () => {
+    const blog = new Blog({ title: "Hello World", content: "x", author: "Ann", slug: "hello-world", published: true });
+    mock.method(blog, "populate", async () => blog);
+    mock.method(Blog, "findOne", async (filter) => (filter.slug === "hello-world" ? blog : null));
+    const res = mockResponse();
+
+    await routeHandler(blogRoutes, "get", "/:id")(mockRequest({ params: { id: "hello-world" } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.redirect, undefined);
+  });
+});
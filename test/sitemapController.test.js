@@ -0,0 +1,90 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { mockRequest, mockResponse } = require("./helpers");
+
+process.env.SITEMAP_ALLOWED_HOSTS = "api.example.com, localhost:5000";
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Career = require("../models/Career");
+const { invalidate } = require("../config/sitemapCache");
+const { getSitemapIndex, getSitemapChunk } = require("../controllers/sitemapController");
+
+describe("getSitemapIndex", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    invalidate();
+    process.env.SITEMAP_ALLOWED_HOSTS = "api.example.com, localhost:5000";
+  });
+
+  const stubContent = () => {
+    for (const Model of [Blog, Event, Career]) {
+      mock.method(Model, "countDocuments", async () => (Model === Blog ? 1 : 0));
+      mock.method(Model, "findOne", () => ({ sort: () => ({ select: async () => null }) }));
+    }
+  };
+
+  it("builds sitemap URLs from an allowed host", async () => {
+    stubContent();
+    const res = mockResponse();
+
+    await getSitemapIndex(mockRequest({ headers: { host: "API.example.com" } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.body, /<loc>http:\/\/api\.example\.com\/api\/sitemaps\/blog-1\.xml<\/loc>/);
+  });
+
+  it("rejects any other host without building a sitemap", async () => {
+    stubContent();
+    const res = mockResponse();
+
+    await getSitemapIndex(mockRequest({ headers: { host: "evil.example" } }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(Blog.countDocuments.mock.callCount(), 0);
+  });
+
+  it("lists the sitemaps under the frontend's domain when no host is configured", async () => {
+    delete process.env.SITEMAP_ALLOWED_HOSTS;
+    stubContent();
+    const res = mockResponse();
+
+    await getSitemapIndex(mockRequest({ headers: { host: "evil.example" } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.body, /<loc>https:\/\/ganuprofessional\.lk\/api\/sitemaps\/blog-1\.xml<\/loc>/);
+  });
+});
+
+describe("getSitemapChunk", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    invalidate();
+  });
+
+  const requestChunk = async (page) => {
+    const res = mockResponse();
+    await getSitemapChunk(mockRequest({ params: { kind: "blog", page: String(page) } }), res);
+    return res.statusCode;
+  };
+
+  it("refuses pages past the end without querying for them", async () => {
+    mock.method(Blog, "countDocuments", async () => 1);
+    const find = mock.method(Blog, "find", () => {
+      throw new Error("not expected");
+    });
+
+    assert.strictEqual(await requestChunk(2), 404);
+    assert.strictEqual(await requestChunk(999), 404);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+
+  it("does not cache a missing page", async () => {
+    mock.method(Blog, "countDocuments", async () => 1);
+    const chain = { sort: () => chain, skip: () => chain, limit: () => chain, select: async () => [] };
+    const find = mock.method(Blog, "find", () => chain);
+
+    assert.strictEqual(await requestChunk(1), 404);
+    assert.strictEqual(await requestChunk(1), 404);
+    assert.strictEqual(find.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { cloudinary } = require("../config/cloudinary");
+const { CloudinaryStorage, S3Storage, putFile } = require("../config/storage");
+
+const PRIVATE_URL = "https://res.cloudinary.com/demo/raw/authenticated/s--AbCd1234--/v1700000000/ganu/applications/cv-1700000000000-1.pdf";
+const PUBLIC_URL = "https://res.cloudinary.com/demo/raw/upload/v1700000000/ganu/blogs/blog-1700000000000-1.pdf";
+
+// Records the options of Cloudinary uploads and answers like the upload API
+const stubUpload = () => mock.method(cloudinary.uploader, "upload_stream", (options, callback) => ({
+  end: () => callback(null, {
+    secure_url: `https://res.cloudinary.com/demo/raw/${options.type}/v1/${options.folder}/${options.public_id}`,
+    public_id: `${options.folder}/${options.public_id}`,
+    bytes: 3
+  })
+}));
+
+describe("Cloudinary storage", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  it("uploads private files as authenticated resources", async () => {
+    process.env.STORAGE_DRIVER = "cloudinary";
+    const upload = stubUpload();
+
+    const cv = await putFile(Buffer.from("cv!"), {
+      folder: "applications", resourceType: "private", originalName: "cv.pdf", contentType: "application/pdf"
+    });
+    const pdf = await putFile(Buffer.from("pdf"), {
+      folder: "blogs", resourceType: "document", originalName: "post.pdf", contentType: "application/pdf"
+    });
+
+    const [cvOptions, pdfOptions] = upload.mock.calls.map((call) => call.arguments[0]);
+    assert.strictEqual(cvOptions.type, "authenticated");
+    assert.strictEqual(cvOptions.access_mode, undefined);
+    assert.strictEqual(pdfOptions.type, "upload");
+    assert.match(cv.url, /\/raw\/authenticated\//);
+    assert.match(pdf.url, /\/raw\/upload\//);
+  });
+
+  it("reads the delivery type back from the URL", () => {
+    const storage = new CloudinaryStorage();
+
+    assert.deepStrictEqual(storage.parseUrl(PRIVATE_URL), {
+      publicId: "ganu/applications/cv-1700000000000-1.pdf", resourceType: "raw", type: "authenticated"
+    });
+    assert.deepStrictEqual(storage.parseUrl(PUBLIC_URL), {
+      publicId: "ganu/blogs/blog-1700000000000-1.pdf", resourceType: "raw", type: "upload"
+    });
+    assert.strictEqual(storage.keyOf(PUBLIC_URL), "raw/ganu/blogs/blog-1700000000000-1.pdf");
+    assert.strictEqual(storage.keyOf(PRIVATE_URL), "raw/authenticated/ganu/applications/cv-1700000000000-1.pdf");
+  });
+
+  it("serves private files through signed download links only", async () => {
+    const storage = new CloudinaryStorage();
+    const download = mock.method(cloudinary.utils, "private_download_url", () => "https://api.cloudinary.com/signed");
+    const fetched = [];
+    mock.method(global, "fetch", async (url) => {
+      fetched.push(url);
+      return new Response("cv!", { status: 200 });
+    });
+
+    assert.strictEqual(await storage.signedUrl(PRIVATE_URL), "https://api.cloudinary.com/signed");
+    await storage.get(PRIVATE_URL);
+
+    assert.deepStrictEqual(fetched, ["https://api.cloudinary.com/signed"]);
+    assert.ok(download.mock.calls.every((call) => call.arguments[2].type === "authenticated"));
+  });
+
+  it("deletes private files with their delivery type", async () => {
+    const storage = new CloudinaryStorage();
+    const destroy = mock.method(cloudinary.uploader, "destroy", async () => ({ result: "ok" }));
+    mock.method(console, "log", () => {});
+
+    await storage.delete(PRIVATE_URL);
+
+    assert.deepStrictEqual(destroy.mock.calls[0].arguments, [
+      "ganu/applications/cv-1700000000000-1.pdf", { resource_type: "raw", type: "authenticated" }
+    ]);
+  });
+});
+
+describe("S3 storage", () => {
+  afterEach(() => mock.restoreAll());
+
+  const storage = () => new S3Storage({
+    endpoint: "https://s3.eu-west-1.amazonaws.com",
+    region: "eu-west-1",
+    bucket: "ganu",
+    accessKeyId: "AKIDEXAMPLE",
+    secretAccessKey: "secret",
+    keyPrefix: "site/",
+    publicUrl: "https://cdn.example.com"
+  });
+
+  // Records the key and headers of every PUT
+  const stubPut = () => {
+    const puts = [];
+    mock.method(global, "fetch", async (url, { method, headers }) => {
+      puts.push({ method, url: String(url), headers });
+      return new Response("", { status: 200 });
+    });
+    return puts;
+  };
+
+  it("keeps private files out of the public prefix with a private ACL", async () => {
+    const s3 = storage();
+    const puts = stubPut();
+
+    const cv = await s3.put(Buffer.from("cv!"), {
+      folder: "applications", fileName: "cv-1.pdf", contentType: "application/pdf", isPrivate: true
+    });
+    const pdf = await s3.put(Buffer.from("pdf"), {
+      folder: "blogs", fileName: "blog-1.pdf", contentType: "application/pdf"
+    });
+
+    assert.strictEqual(cv.key, "site/private/applications/cv-1.pdf");
+    assert.strictEqual(puts[0].headers["x-amz-acl"], "private");
+    assert.strictEqual(pdf.key, "site/blogs/blog-1.pdf");
+    assert.strictEqual(puts[1].headers["x-amz-acl"], undefined);
+    assert.strictEqual(s3.keyOf(cv.url), cv.key);
+  });
+
+  it("signs download links for private files", async () => {
+    const s3 = storage();
+    stubPut();
+    const cv = await s3.put(Buffer.from("cv!"), {
+      folder: "applications", fileName: "cv-1.pdf", contentType: "application/pdf", isPrivate: true
+    });
+
+    const signed = new URL(await s3.signedUrl(cv.url, { downloadName: "cv.pdf" }));
+
+    assert.match(signed.pathname, /\/site\/private\/applications\/cv-1\.pdf$/);
+    assert.ok(signed.searchParams.get("X-Amz-Signature"));
+  });
+});
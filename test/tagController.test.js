@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const Tag = require("../models/Tag");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const { getTagCloud } = require("../controllers/tagController");
+
+// Runs the $match / $unwind / $group pipeline of the tag cloud over in-memory documents
+const stubAggregate = (Model, docs) => mock.method(Model, "aggregate", async ([{ $match: match }, { $unwind: unwind }]) => {
+  const field = unwind.slice(1);
+  const counts = new Map();
+  docs
+    .filter((doc) => Object.entries(match).every(([key, value]) => doc[key] === value))
+    .flatMap((doc) => doc[field] || [])
+    .forEach((id) => counts.set(String(id), (counts.get(String(id)) || 0) + 1));
+  return [...counts].map(([_id, count]) => ({ _id, count }));
+});
+
+describe("getTagCloud", () => {
+  afterEach(() => mock.restoreAll());
+
+  const news = { _id: new mongoose.Types.ObjectId(), name: "News", slug: "news" };
+  const drafts = { _id: new mongoose.Types.ObjectId(), name: "Drafts", slug: "drafts" };
+  const hiring = { _id: new mongoose.Types.ObjectId(), name: "Hiring", slug: "hiring" };
+
+  const cloud = async (query = {}) => {
+    stubAggregate(Blog, [
+      { published: true, tags: [news._id, hiring._id] },
+      { published: true, tags: [news._id] },
+      { published: false, tags: [drafts._id, news._id] }
+    ]);
+    stubAggregate(Event, [{ tags: [hiring._id] }]);
+    mock.method(Tag, "find", async ({ _id }) => [news, drafts, hiring].filter((tag) => _id.$in.includes(String(tag._id))));
+    const res = mockResponse();
+    await getTagCloud(mockRequest({ query }), res);
+    return res;
+  };
+
+  it("counts only published blogs, plus events, most used first", async () => {
+    const res = await cloud();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.map(({ name, count }) => [name, count]), [["Hiring", 2], ["News", 2]]);
+  });
+
+  it("counts one content type with ?type=", async () => {
+    const res = await cloud({ type: "blog" });
+
+    assert.deepStrictEqual(res.body.map(({ name, count }) => [name, count]), [["News", 2], ["Hiring", 1]]);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { generateCode, verifyCode } = require("../config/totp");
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP codes", () => {
+  afterEach(() => mock.timers.reset());
+
+  it("match the RFC 6238 test vectors (last six digits)", () => {
+    assert.strictEqual(generateCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+    assert.strictEqual(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+    assert.strictEqual(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+  });
+
+  it("accept the previous and next step for clock drift, but nothing further", () => {
+    mock.timers.enable({ apis: ["Date"], now: 1111111109 * 1000 });
+    const step = Math.floor(1111111109 / 30);
+
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, "12345"), null);
+  });
+});
+
+describe("verifyTwoFactorCode", () => {
+  let user;
+  let backupCodes;
+  let stored;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: 1111111109 * 1000 });
+    user = new User({ name: "Ann", email: "ann@example.com", password: "x", role: "ADMIN", twoFactorEnabled: true });
+    user.twoFactorSecret = RFC_SECRET;
+    backupCodes = user.generateBackupCodes();
+    stored = { twoFactorLastStep: null, twoFactorBackupCodes: [...user.twoFactorBackupCodes] };
+
+    // The two conditional updates verifyTwoFactorCode makes, applied to the stored user
+    mock.method(User, "updateOne", async (filter, update) => {
+      if (filter.$or) {
+        const fresh = stored.twoFactorLastStep === null || stored.twoFactorLastStep < update.twoFactorLastStep;
+        if (!fresh) return { modifiedCount: 0 };
+        stored.twoFactorLastStep = update.twoFactorLastStep;
+        return { modifiedCount: 1 };
+      }
+      const hash = filter.twoFactorBackupCodes;
+      if (!stored.twoFactorBackupCodes.includes(hash)) return { modifiedCount: 0 };
+      stored.twoFactorBackupCodes = stored.twoFactorBackupCodes.filter((code) => code !== update.$pull.twoFactorBackupCodes);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it("accepts a code once and rejects its replay", async () => {
+    const code = generateCode(RFC_SECRET);
+
+    assert.strictEqual(await user.verifyTwoFactorCode(code), true);
+    assert.strictEqual(await user.verifyTwoFactorCode(code), false);
+  });
+
+  it("rejects a code from a step before the last accepted one", async () => {
+    const now = Math.floor(Date.now() / 1000 / 30);
+
+    assert.strictEqual(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, now)), true);
+    assert.strictEqual(await user.verifyTwoFactorCode(generateCode(RFC_SECRET, now - 1)), false);
+  });
+
+  it("accepts each backup code once, in any format", async () => {
+    const [code] = backupCodes;
+
+    assert.strictEqual(await user.verifyTwoFactorCode(code.toUpperCase().replace("-", " ")), true);
+    assert.strictEqual(await user.verifyTwoFactorCode(code), false);
+    assert.strictEqual(stored.twoFactorBackupCodes.length, 9);
+  });
+
+  it("rejects wrong codes", async () => {
+    assert.strictEqual(await user.verifyTwoFactorCode("000000"), false);
+    assert.strictEqual(await user.verifyTwoFactorCode(""), false);
+  });
+});
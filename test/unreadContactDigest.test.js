@@ -0,0 +1,37 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const nodemailer = require("nodemailer");
+const Contact = require("../models/Contact");
+const job = require("../jobs/unreadContactDigest");
+
+describe("unread-contact-digest job", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.EMAIL;
+    delete process.env.EMAIL_PASS;
+    delete process.env.ADMIN_EMAIL;
+  });
+
+  it("escapes contact details in the digest", async () => {
+    process.env.EMAIL = "site@example.com";
+    process.env.EMAIL_PASS = "secret";
+    process.env.ADMIN_EMAIL = "admin@example.com";
+    const sent = [];
+    mock.method(nodemailer, "createTransport", () => ({ sendMail: async (mail) => sent.push(mail) }));
+    mock.method(Contact, "find", () => ({
+      sort: async () => [{
+        createdAt: new Date("2025-01-01"),
+        name: "<script>alert(1)</script>",
+        email: "a@b.co",
+        message: "<img src=x onerror=alert(1)>"
+      }]
+    }));
+
+    const result = await job.run();
+
+    assert.deepStrictEqual(result, { sent: true, unread: 1 });
+    assert.ok(!sent[0].html.includes("<script>"));
+    assert.ok(!sent[0].html.includes("<img"));
+    assert.ok(sent[0].html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { mockRequest, mockResponse } = require("./helpers");
+const User = require("../models/User");
+const { listQuery } = require("../middleware/listQueryMiddleware");
+const { getUsers, updateUserRole } = require("../controllers/userController");
+
+// Query filter getUsers counts with for the given query string
+const filterFor = async (query) => {
+  const countDocuments = mock.method(User, "countDocuments", async () => 0);
+  const chain = { sort: () => chain, select: () => chain, skip: () => chain, limit: async () => [] };
+  mock.method(User, "find", () => chain);
+
+  const req = mockRequest({ query });
+  listQuery(User, { filterFields: ["role", "active"], hiddenFields: ["password"] })(req, mockResponse(), () => {});
+  const res = mockResponse();
+  await getUsers(req, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  return countDocuments.mock.calls[0].arguments[0];
+};
+
+describe("getUsers", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("counts users without an active field as active", async () => {
+    assert.deepStrictEqual(await filterFor({ active: "true", role: "AGENT" }), { role: "AGENT", active: { $ne: false } });
+  });
+
+  it("lists deactivated users with active=false", async () => {
+    assert.deepStrictEqual(await filterFor({ active: "false" }), { active: false });
+  });
+
+  it("lists everyone without the filter", async () => {
+    assert.deepStrictEqual(await filterFor({}), {});
+  });
+});
+
+describe("updateUserRole", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only lets an admin make someone an admin", async () => {
+    const findById = mock.method(User, "findById", async () => null);
+    const req = mockRequest({
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { role: "admin" },
+      user: { _id: new mongoose.Types.ObjectId(), role: "AGENT" }
+    });
+    const res = mockResponse();
+
+    await updateUserRole(req, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(findById.mock.callCount(), 0);
+  });
+});